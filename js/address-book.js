@@ -0,0 +1,387 @@
+/* address-book.js
+   Saved shipping addresses for returning customers
+
+   Addresses are persisted (storage.js) under STORAGE_KEYS.addresses
+   (separately from the checkout, so placing an order keeps them) as:
+   [{ id, label, isDefault, firstName, lastName, address1, address2, city,
+      state, postalCode, country, phone }]
+   Exactly one address is the default while the book is not empty.
+
+   Saved addresses are re-checked with validatePostalCode() and
+   validatePhone() whenever they are read, so an address saved under older
+   rules is flagged (and its fields highlighted when used) instead of being
+   sent on as if it were valid.
+
+   AddressBookController adds the "Saved addresses" panel to the shipping
+   page: use an address to fill the form, edit, delete, or make it the
+   default. The default address fills an empty form on load.
+
+   Requires common.js, i18n.js and validation.js (browser only)
+*/
+
+/* ==========================================
+   ADDRESS RECORDS
+   ========================================== */
+
+const ADDRESS_BOOK_FIELDS = ['firstName', 'lastName', 'address1', 'address2', 'city', 'state', 'postalCode', 'country', 'phone'];
+
+/* Saving beyond this many addresses is refused */
+const ADDRESS_BOOK_LIMIT = 10;
+
+const AddressBookMessages = I18n.defineMessages('addressBook', {
+  full: 'The address book holds up to {limit} addresses. Delete one to save another.',
+  saved: 'Saved "{label}" to your address book.',
+  updated: 'Updated "{label}".',
+  deleted: 'Deleted "{label}".',
+  invalid: 'Some details of this address no longer pass our checks. Please correct the highlighted fields.',
+  empty: 'No saved addresses yet. Fill in the form and choose Save address to keep it for next time.',
+  confirmDelete: 'Delete "{label}" from your address book?',
+  save: 'Save address',
+  update: 'Update "{label}"',
+  isDefault: 'DEFAULT',
+  use: 'USE',
+  edit: 'EDIT',
+  makeDefault: 'MAKE DEFAULT',
+  delete: 'DELETE'
+});
+
+/**
+ * Stored shape of an address (unknown properties dropped, text trimmed)
+ */
+function normalizeSavedAddress(entry = {}) {
+  const address = {
+    id: String(entry.id || ''),
+    label: String(entry.label || '').trim(),
+    isDefault: Boolean(entry.isDefault)
+  };
+
+  ADDRESS_BOOK_FIELDS.forEach(field => {
+    address[field] = entry[field] ? String(entry[field]).trim() : '';
+  });
+
+  return address;
+}
+
+/**
+ * Field errors of a saved address under the current rules: { postalCode?, phone? }
+ */
+function checkSavedAddress(address) {
+  const errors = {};
+  const country = address.country || 'NZ';
+
+  const postal = validatePostalCode(address.postalCode, country);
+  if (!postal.valid) errors.postalCode = postal.message;
+
+  const phone = validatePhone(address.phone, country);
+  if (!phone.valid) errors.phone = phone.message;
+
+  return errors;
+}
+
+/**
+ * One-line summary, e.g. "1 Queen St, Auckland 1010, NZ"
+ */
+function formatSavedAddress(address) {
+  return [
+    address.address1,
+    address.address2,
+    [address.city, address.state, address.postalCode].filter(Boolean).join(' '),
+    address.country
+  ].filter(Boolean).join(', ');
+}
+
+function createAddressId() {
+  return `addr_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/* ==========================================
+   BROWSER STORE
+   ========================================== */
+
+const AddressBook = (function () {
+  function readAddresses() {
+    const entries = loadFromStorage(STORAGE_KEYS.addresses, []);
+    if (!Array.isArray(entries)) return [];
+
+    return entries
+      .filter(entry => entry && typeof entry.id === 'string' && entry.id)
+      .map(normalizeSavedAddress);
+  }
+
+  /* Keep exactly one default (the first address when none is marked) */
+  function writeAddresses(addresses) {
+    const defaultId = (addresses.find(address => address.isDefault) || addresses[0])?.id;
+    saveToStorage(STORAGE_KEYS.addresses, addresses.map(address => ({ ...address, isDefault: address.id === defaultId })));
+  }
+
+  /**
+   * Saved addresses, default first, each with `errors` from checkSavedAddress
+   */
+  function getAll() {
+    return readAddresses()
+      .sort((a, b) => Number(b.isDefault) - Number(a.isDefault))
+      .map(address => ({ ...address, errors: checkSavedAddress(address) }));
+  }
+
+  function get(id) {
+    return getAll().find(address => address.id === id) || null;
+  }
+
+  function getDefault() {
+    return getAll().find(address => address.isDefault) || null;
+  }
+
+  /**
+   * Add an address, or update the one with entry.id. A blank label becomes
+   * "Address N". Returns the saved address, or null when the book is full.
+   */
+  function save(entry) {
+    const addresses = readAddresses();
+    const index = entry.id ? addresses.findIndex(address => address.id === entry.id) : -1;
+
+    if (index === -1 && addresses.length >= ADDRESS_BOOK_LIMIT) return null;
+
+    const address = normalizeSavedAddress({
+      ...entry,
+      id: index === -1 ? createAddressId() : entry.id,
+      label: String(entry.label || '').trim() || `Address ${addresses.length + 1}`
+    });
+
+    if (address.isDefault) addresses.forEach(item => { item.isDefault = false; });
+
+    if (index === -1) {
+      addresses.push(address);
+    } else {
+      addresses[index] = { ...address, isDefault: address.isDefault || addresses[index].isDefault };
+    }
+
+    writeAddresses(addresses);
+    return get(address.id);
+  }
+
+  function remove(id) {
+    writeAddresses(readAddresses().filter(address => address.id !== id));
+  }
+
+  function setDefault(id) {
+    writeAddresses(readAddresses().map(address => ({ ...address, isDefault: address.id === id })));
+  }
+
+  return { getAll, get, getDefault, save, remove, setDefault };
+})();
+
+/* ==========================================
+   SHIPPING PAGE CONTROLLER
+   ========================================== */
+
+const AddressBookController = (function () {
+  let form = null;
+  let listEl = null;
+  let statusEl = null;
+
+  /* Id of the address being edited in the form ('' when adding) */
+  let editingId = '';
+  let editingAddress = null;
+
+  function getField(id) {
+    return document.getElementById(id);
+  }
+
+  function setStatus(message) {
+    if (!statusEl) return;
+
+    statusEl.textContent = message;
+    statusEl.classList.toggle('hidden', !message);
+  }
+
+  /**
+   * The form's address fields as an address
+   */
+  function readForm() {
+    const address = {};
+
+    ADDRESS_BOOK_FIELDS.forEach(field => {
+      const input = form.elements[field];
+      address[field] = input && !input.disabled ? input.value.trim() : '';
+    });
+
+    return address;
+  }
+
+  /**
+   * Fill the form with an address. The country goes first: shipping.js
+   * rebuilds the address fields for it; the change events of the other
+   * fields let it recompute the rates. The postcode and phone errors of an
+   * address that no longer passes the checks are shown on their fields.
+   */
+  function fillForm(address) {
+    const countryInput = form.elements.country;
+    if (countryInput) {
+      countryInput.value = address.country || '';
+      countryInput.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    ADDRESS_BOOK_FIELDS.forEach(field => {
+      const input = form.elements[field];
+      if (!input || field === 'country') return;
+
+      input.value = address[field] || '';
+      clearFieldError(input);
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+
+    Object.keys(address.errors || {}).forEach(field => {
+      if (form.elements[field]) showFieldError(form.elements[field], address.errors[field]);
+    });
+  }
+
+  function setEditing(address) {
+    editingId = address ? address.id : '';
+    editingAddress = address;
+
+    const labelInput = getField('addressLabel');
+    const defaultInput = getField('addressDefault');
+    const cancelButton = getField('cancelAddressEdit');
+
+    if (labelInput) labelInput.value = address ? address.label : '';
+    if (defaultInput) defaultInput.checked = address ? address.isDefault : false;
+    cancelButton?.classList.toggle('hidden', !address);
+    renderSaveButton();
+  }
+
+  function renderSaveButton() {
+    const saveButton = getField('saveAddress');
+    if (!saveButton) return;
+
+    saveButton.textContent = editingAddress ? AddressBookMessages.update({ label: editingAddress.label }) : AddressBookMessages.save;
+  }
+
+  function render() {
+    if (!listEl) return;
+
+    const addresses = AddressBook.getAll();
+
+    if (addresses.length === 0) {
+      listEl.innerHTML = `<p class="text-sm text-white opacity-80">${escapeHTML(AddressBookMessages.empty)}</p>`;
+      return;
+    }
+
+    listEl.innerHTML = addresses.map(address => {
+      const problems = Object.values(address.errors);
+      const name = [address.firstName, address.lastName].filter(Boolean).join(' ');
+
+      return `
+        <article class="border ${address.id === editingId ? 'border-brand-blue' : 'border-brand-green-dark'} bg-brand-green px-5 py-4" data-address-id="${escapeHTML(address.id)}">
+          <div class="flex flex-wrap items-start justify-between gap-4">
+            <div class="min-w-0">
+              <h3 class="text-sm tracking-widest text-white">${escapeHTML(address.label)}${address.isDefault ? ` <span class="ml-2 text-xs text-brand-green-light">${AddressBookMessages.isDefault}</span>` : ''}</h3>
+              <p class="mt-1 text-xs text-white opacity-80">${escapeHTML([name, formatSavedAddress(address)].filter(Boolean).join(' · '))}</p>
+              ${problems.map(problem => `<p class="mt-1 text-xs text-red-400">${escapeHTML(problem)}</p>`).join('')}
+            </div>
+
+            <div class="flex flex-wrap gap-3 text-xs tracking-widest text-white">
+              <button type="button" data-address-action="use" class="underline hover:text-brand-blue-light">${AddressBookMessages.use}</button>
+              <button type="button" data-address-action="edit" class="underline hover:text-brand-blue-light">${AddressBookMessages.edit}</button>
+              ${address.isDefault ? '' : `<button type="button" data-address-action="default" class="underline hover:text-brand-blue-light">${AddressBookMessages.makeDefault}</button>`}
+              <button type="button" data-address-action="delete" class="underline hover:text-brand-blue-light">${AddressBookMessages.delete}</button>
+            </div>
+          </div>
+        </article>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Save the form's address (validated like the checkout) to the book
+   */
+  function saveFromForm() {
+    const getCountry = () => form.elements.country?.value || 'NZ';
+    if (!validateForm(form, { getCountry })) return;
+
+    const address = AddressBook.save({
+      ...readForm(),
+      id: editingId,
+      label: getField('addressLabel')?.value,
+      isDefault: Boolean(getField('addressDefault')?.checked)
+    });
+
+    if (!address) {
+      setStatus(AddressBookMessages.full({ limit: ADDRESS_BOOK_LIMIT }));
+      return;
+    }
+
+    setStatus(editingId ? AddressBookMessages.updated({ label: address.label }) : AddressBookMessages.saved({ label: address.label }));
+    setEditing(null);
+    render();
+  }
+
+  function handleAction(action, id) {
+    const address = AddressBook.get(id);
+    if (!address) return;
+
+    if (action === 'use') {
+      fillForm(address);
+      setEditing(null);
+      setStatus(Object.keys(address.errors).length > 0 ? AddressBookMessages.invalid : '');
+    } else if (action === 'edit') {
+      fillForm(address);
+      setEditing(address);
+      setStatus(Object.keys(address.errors).length > 0 ? AddressBookMessages.invalid : '');
+    } else if (action === 'default') {
+      AddressBook.setDefault(id);
+    } else if (action === 'delete') {
+      if (!window.confirm(AddressBookMessages.confirmDelete({ label: address.label }))) return;
+
+      AddressBook.remove(id);
+      if (editingId === id) setEditing(null);
+      setStatus(AddressBookMessages.deleted({ label: address.label }));
+    }
+
+    render();
+  }
+
+  /**
+   * options.prefill: fill the form with the default address (when nothing
+   * was entered earlier in this checkout)
+   */
+  function init(shippingForm, options = {}) {
+    form = shippingForm;
+    listEl = document.getElementById('savedAddresses');
+    statusEl = document.getElementById('addressBookStatus');
+    if (!form || !listEl) return;
+
+    listEl.addEventListener('click', e => {
+      const button = e.target.closest('[data-address-action]');
+      if (!button) return;
+
+      handleAction(button.dataset.addressAction, button.closest('[data-address-id]')?.dataset.addressId);
+    });
+
+    getField('saveAddress')?.addEventListener('click', saveFromForm);
+    getField('cancelAddressEdit')?.addEventListener('click', () => {
+      setEditing(null);
+      setStatus('');
+      render();
+    });
+
+    /* Addresses saved in another tab */
+    window.addEventListener('storage', e => {
+      if (isStorageEventFor(e, STORAGE_KEYS.addresses)) render();
+    });
+
+    window.addEventListener('language:change', () => {
+      renderSaveButton();
+      render();
+    });
+
+    const defaultAddress = AddressBook.getDefault();
+    if (options.prefill && defaultAddress) {
+      fillForm(defaultAddress);
+      if (Object.keys(defaultAddress.errors).length > 0) setStatus(AddressBookMessages.invalid);
+    }
+
+    render();
+  }
+
+  return { init, render };
+})();
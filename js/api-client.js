@@ -0,0 +1,146 @@
+/* api-client.js
+   Client of the shop's JSON API (server/api.js)
+
+   Pages use the API when they are served with
+   <meta name="shop-api" content="/api">, which the development server
+   adds (npm run dev). Without it ShopApi is null and the pages keep
+   everything in browser storage (storage.js), as on the static site.
+
+   createApiClient(baseUrl, { clientId, fetch }) returns
+   { getCatalog, getProduct, getCart, saveCart, clearCart, checkOrder,
+     placeOrder, getOrders, getOrder, subscribe }, each resolving to the
+   response body. Orders are sent as submissions (order-check.js) without
+   their card details.
+   A failed request rejects with an Error carrying { status, code, fields }
+   (status 0 when the server could not be reached); fields maps form field
+   names to messages, ready for showFieldError().
+
+   The client id names this browser's cart and orders on the server. It is
+   made up on first use and kept under STORAGE_KEYS.apiClient.
+
+   Requires common.js (STORAGE_KEYS, saveToStorage, loadFromStorage) in the browser
+*/
+
+// Message catalogs (i18n.js; required in Node)
+const ApiI18n = typeof I18n !== 'undefined' ? I18n : require('./i18n.js').I18n;
+
+const API_META_NAME = 'shop-api';
+
+const ApiClientMessages = ApiI18n.defineMessages('api', {
+  unreachable: 'The shop could not be reached. Please check your connection and try again.',
+  failed: 'Something went wrong. Please try again.'
+});
+
+/**
+ * Error of a failed request: { status, code, message, fields? }
+ */
+function toApiError(status, error = {}) {
+  const err = new Error(error.message || ApiClientMessages.failed);
+  err.status = status;
+  err.code = error.code || 'request_failed';
+  if (error.fields) err.fields = error.fields;
+  return err;
+}
+
+/**
+ * Random client id, e.g. "c-lz3k9q-4f8a1b2c"
+ */
+function createApiClientId(random = Math.random) {
+  const part = () => Math.floor(random() * 0x100000000).toString(16).padStart(8, '0');
+  return `c-${Date.now().toString(36)}-${part()}`;
+}
+
+/**
+ * This browser's client id (made up and kept on first use)
+ */
+function getApiClientId() {
+  let id = loadFromStorage(STORAGE_KEYS.apiClient, '');
+
+  if (!id) {
+    id = createApiClientId();
+    saveToStorage(STORAGE_KEYS.apiClient, id);
+  }
+
+  return id;
+}
+
+/**
+ * API client for `baseUrl` (e.g. "/api"). options.clientId: the id, or a
+ * function returning it; options.fetch: fetch to use (tests)
+ */
+function createApiClient(baseUrl, options = {}) {
+  const base = String(baseUrl).replace(/\/$/, '');
+  const send = options.fetch || ((url, init) => fetch(url, init));
+  const getClientId = typeof options.clientId === 'function' ? options.clientId : () => options.clientId;
+
+  async function request(method, path, body) {
+    const init = { method, headers: { Accept: 'application/json' } };
+    if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+
+    let response;
+    try {
+      response = await send(`${base}${path}`, init);
+    } catch (err) {
+      throw toApiError(0, { code: 'unreachable', message: ApiClientMessages.unreachable });
+    }
+
+    if (response.status === 204) return null;
+
+    let data = null;
+    try {
+      data = await response.json();
+    } catch (err) {
+      // Not JSON (e.g. a proxy error page)
+    }
+
+    if (!response.ok) throw toApiError(response.status, data && data.error);
+    return data;
+  }
+
+  const client = () => encodeURIComponent(getClientId());
+
+  return {
+    getCatalog: () => request('GET', '/products'),
+    getProduct: sku => request('GET', `/products/${encodeURIComponent(sku)}`),
+
+    getCart: () => request('GET', `/carts/${client()}`),
+    /* Only sku, variant and qty are sent; the server prices the lines */
+    saveCart: items => request('PUT', `/carts/${client()}`, {
+      items: items.map(item => ({ sku: item.sku, variant: item.variant || '', qty: item.qty }))
+    }),
+    clearCart: () => request('DELETE', `/carts/${client()}`),
+
+    /* The server recomputes the totals; its field errors come back in err.fields */
+    checkOrder: submission => request('POST', '/orders/check', { submission }),
+    placeOrder: (submission, payment) => request('POST', '/orders', { client: getClientId(), submission, payment }),
+    getOrders: () => request('GET', `/orders?client=${client()}`),
+    getOrder: number => request('GET', `/orders/${encodeURIComponent(number)}?client=${client()}`),
+
+    subscribe: email => request('POST', '/newsletter', { email })
+  };
+}
+
+/**
+ * API address from the page's <meta name="shop-api"> ('' without one)
+ */
+function getApiBaseUrl() {
+  if (typeof document === 'undefined') return '';
+
+  const meta = document.querySelector(`meta[name="${API_META_NAME}"]`);
+  return meta ? meta.getAttribute('content') || '' : '';
+}
+
+/* The pages' client; null on the static site */
+const ShopApi = getApiBaseUrl() ? createApiClient(getApiBaseUrl(), { clientId: getApiClientId }) : null;
+
+/* Allow the client to be used in Node (tests, tooling) */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createApiClient,
+    createApiClientId,
+    toApiError
+  };
+}
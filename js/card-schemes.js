@@ -0,0 +1,204 @@
+/* card-schemes.js
+   Card schemes we accept: number ranges, lengths, CVV and display
+
+   Scheme entry:
+   { name,
+     ranges: ['4', ['2221', '2720'], ...],  // IIN prefixes, or [first, last]
+                                            // prefix ranges of equal length
+     lengths: [16],                         // valid card number lengths
+     cvvLength: 3,                          // digits of the security code
+     gaps: [4, 8, 12],                      // spaces after these digits
+     luhn?: false,                          // not Luhn-checked (some UnionPay)
+     icon }                                 // short brand mark for the number field
+
+   A number belongs to the scheme with the longest matching prefix, so
+   Maestro's 5018 wins over Mastercard's 51-55 ranges and the
+   Mastercard 2-series (2221-2720) needs four digits before it is known.
+*/
+
+/* ==========================================
+   SCHEMES
+   ========================================== */
+
+const CARD_SCHEMES = {
+  visa: {
+    name: 'Visa',
+    ranges: ['4'],
+    lengths: [13, 16, 19],
+    cvvLength: 3,
+    gaps: [4, 8, 12, 16],
+    icon: 'VISA'
+  },
+
+  mastercard: {
+    name: 'Mastercard',
+    ranges: [['51', '55'], ['2221', '2720']],
+    lengths: [16],
+    cvvLength: 3,
+    gaps: [4, 8, 12],
+    icon: 'MC'
+  },
+
+  amex: {
+    name: 'American Express',
+    ranges: ['34', '37'],
+    lengths: [15],
+    cvvLength: 4,
+    gaps: [4, 10],
+    icon: 'AMEX'
+  },
+
+  discover: {
+    name: 'Discover',
+    ranges: ['6011', ['644', '649'], '65'],
+    lengths: [16, 17, 18, 19],
+    cvvLength: 3,
+    gaps: [4, 8, 12, 16],
+    icon: 'DISC'
+  },
+
+  jcb: {
+    name: 'JCB',
+    ranges: [['3528', '3589']],
+    lengths: [16, 17, 18, 19],
+    cvvLength: 3,
+    gaps: [4, 8, 12, 16],
+    icon: 'JCB'
+  },
+
+  diners: {
+    name: 'Diners Club',
+    ranges: [['300', '305'], '36', '38', '39'],
+    lengths: [14, 15, 16, 17, 18, 19],
+    cvvLength: 3,
+    gaps: [4, 10],
+    icon: 'DINERS'
+  },
+
+  unionpay: {
+    name: 'UnionPay',
+    ranges: ['62', '81'],
+    lengths: [16, 17, 18, 19],
+    cvvLength: 3,
+    gaps: [4, 8, 12, 16],
+    luhn: false,
+    icon: 'UP'
+  },
+
+  maestro: {
+    name: 'Maestro',
+    ranges: ['5018', '5020', '5038', '5893', '6304', '6759', ['6761', '6763']],
+    lengths: [12, 13, 14, 15, 16, 17, 18, 19],
+    cvvLength: 3,
+    gaps: [4, 8, 12, 16],
+    icon: 'MAESTRO'
+  }
+};
+
+/* Numbers of no known scheme: 13-19 digits in groups of four */
+const CARD_UNKNOWN_SCHEME = {
+  lengths: [13, 14, 15, 16, 17, 18, 19],
+  gaps: [4, 8, 12, 16],
+  icon: '▭'
+};
+
+/* ==========================================
+   LOOKUPS
+   ========================================== */
+
+/**
+ * Scheme entry with its id, or null
+ */
+function getCardScheme(id) {
+  return CARD_SCHEMES[id] ? { id, ...CARD_SCHEMES[id] } : null;
+}
+
+/* Length of the prefix of `range` that digits start with (0: no match) */
+function matchCardRange(digits, range) {
+  const [first, last] = Array.isArray(range) ? range : [range, range];
+  const prefix = digits.slice(0, first.length);
+
+  if (prefix.length < first.length) return 0;
+  return prefix >= first && prefix <= last ? first.length : 0;
+}
+
+/**
+ * Scheme of a (partial) card number, or null while it is unknown
+ */
+function detectCardScheme(cardNumber) {
+  const digits = String(cardNumber ?? '').replace(/\D/g, '');
+  let best = null;
+  let bestLength = 0;
+
+  Object.keys(CARD_SCHEMES).forEach(id => {
+    CARD_SCHEMES[id].ranges.forEach(range => {
+      const length = matchCardRange(digits, range);
+      if (length > bestLength) {
+        best = id;
+        bestLength = length;
+      }
+    });
+  });
+
+  return best ? getCardScheme(best) : null;
+}
+
+/**
+ * Digits in the scheme's groups, e.g. Amex "3782 822463 10005"
+ * (scheme null: groups of four)
+ */
+function formatCardDigits(digits, scheme) {
+  const gaps = (scheme || CARD_UNKNOWN_SCHEME).gaps;
+  let formatted = '';
+
+  for (let i = 0; i < digits.length; i++) {
+    if (gaps.includes(i)) formatted += ' ';
+    formatted += digits[i];
+  }
+
+  return formatted;
+}
+
+/**
+ * Longest number of the scheme as formatted (for the input's maxlength)
+ */
+function getCardNumberMaxLength(scheme) {
+  const { lengths, gaps } = scheme || CARD_UNKNOWN_SCHEME;
+  const longest = Math.max(...lengths);
+  return longest + gaps.filter(gap => gap < longest).length;
+}
+
+/**
+ * Luhn (mod 10) check digit test
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  let isEven = false;
+
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = parseInt(digits[i], 10);
+
+    if (isEven) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+
+    sum += digit;
+    isEven = !isEven;
+  }
+
+  return sum % 10 === 0;
+}
+
+/* Allow the registry to be loaded in Node (tests, tooling) */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CARD_SCHEMES,
+    CARD_UNKNOWN_SCHEME,
+    getCardScheme,
+    detectCardScheme,
+    formatCardDigits,
+    getCardNumberMaxLength,
+    passesLuhn
+  };
+}
@@ -0,0 +1,277 @@
+/* cart-store.js
+   Cart store shared by every page.
+
+   Line items are persisted (storage.js) under STORAGE_KEYS.cart
+   as [{ sku, variant, qty, name, variantName, price, image }].
+   `sku` + `variant` identify a line; name/price/image are a snapshot
+   taken when the item is added so pages without the catalog (e.g. the
+   header badge) can still show the cart. The cart page re-prices every
+   line from the catalog.
+
+   Lines saved for later are kept in the same shape under
+   STORAGE_KEYS.savedForLater; they are not part of the order.
+
+   Every change (to either list) dispatches a "cart:change" event on window.
+
+   With the API (api-client.js) the cart also lives on the server: every
+   change is sent there in the background, and the server's cart replaces
+   the stored one when the page loads (unless the cart already changed on
+   this page). Saved-for-later lines stay in the browser.
+
+   Requires common.js (STORAGE_KEYS, saveToStorage, loadFromStorage) and api-client.js
+*/
+
+const CART_MAX_QTY = 99;
+
+const CartStore = (function () {
+  /**
+   * Read line items from storage, ignoring malformed entries
+   */
+  function readItems(key = STORAGE_KEYS.cart) {
+    const items = loadFromStorage(key, []);
+    if (!Array.isArray(items)) return [];
+
+    return items.filter(item => item && typeof item.sku === 'string' && Number(item.qty) > 0);
+  }
+
+  /* Server copy of the cart (api-client.js): changes are sent one after
+     another, and a cart changed on this page is not replaced by the server's */
+  let serverQueue = Promise.resolve();
+  let changedOnPage = false;
+
+  function sendItems(items) {
+    if (!ShopApi) return;
+
+    serverQueue = serverQueue
+      .then(() => ShopApi.saveCart(items))
+      .catch(err => console.warn('Could not save the cart on the server', err));
+  }
+
+  /**
+   * Persist line items and let listeners know the cart changed.
+   * options.send: false for items that came from the server
+   */
+  function writeItems(items, options = {}) {
+    saveToStorage(STORAGE_KEYS.cart, items);
+    if (options.send !== false) {
+      changedOnPage = true;
+      sendItems(items);
+    }
+    window.dispatchEvent(new CustomEvent('cart:change', { detail: { items: items.slice() } }));
+  }
+
+  /**
+   * Take the server's cart; a browser whose cart the server has never
+   * seen sends its own
+   */
+  async function loadFromServer() {
+    if (!ShopApi) return;
+
+    try {
+      const cart = await ShopApi.getCart();
+      if (changedOnPage) return;
+
+      const stored = readItems();
+      if (!cart.updatedAt) {
+        if (stored.length > 0) sendItems(stored);
+        return;
+      }
+
+      const lineKey = items => items.map(item => `${item.sku}|${item.variant || ''}|${item.qty}`).join(',');
+      if (lineKey(cart.items) !== lineKey(stored)) writeItems(cart.items, { send: false });
+    } catch (err) {
+      console.warn('Could not load the cart from the server', err);
+    }
+  }
+
+  function writeSavedItems(saved) {
+    saveToStorage(STORAGE_KEYS.savedForLater, saved);
+    window.dispatchEvent(new CustomEvent('cart:change', { detail: { items: readItems(), saved: saved.slice() } }));
+  }
+
+  function normalizeQty(qty) {
+    const value = parseInt(qty, 10);
+    if (!Number.isFinite(value)) return 0;
+    return Math.min(Math.max(value, 0), CART_MAX_QTY);
+  }
+
+  function findIndex(items, sku, variant) {
+    const variantKey = variant || '';
+    return items.findIndex(item => item.sku === sku && (item.variant || '') === variantKey);
+  }
+
+  /**
+   * Add a product (and optional variant) to the cart.
+   * Adding an existing line increases its quantity.
+   * `details` is an optional snapshot: { name, variantName, price, image }
+   */
+  function addItem(sku, variant, qty = 1, details = {}) {
+    const amount = normalizeQty(qty);
+    if (!sku || amount === 0) return getItems();
+
+    const items = readItems();
+    const index = findIndex(items, sku, variant);
+
+    if (index === -1) {
+      items.push({
+        sku,
+        variant: variant || '',
+        qty: amount,
+        name: details.name || sku,
+        variantName: details.variantName || '',
+        price: Number(details.price) || 0,
+        image: details.image || ''
+      });
+    } else {
+      items[index].qty = normalizeQty(items[index].qty + amount);
+    }
+
+    writeItems(items);
+    return items;
+  }
+
+  /**
+   * Remove a line from the cart
+   */
+  function removeItem(sku, variant) {
+    const items = readItems();
+    const index = findIndex(items, sku, variant);
+    if (index === -1) return items;
+
+    items.splice(index, 1);
+    writeItems(items);
+    return items;
+  }
+
+  /**
+   * Put a removed line back at its old position (undo); merged into the
+   * line of the same product if one was added since
+   */
+  function restoreItem(item, index = Infinity) {
+    const items = readItems();
+    const existing = findIndex(items, item.sku, item.variant);
+
+    if (existing === -1) {
+      items.splice(Math.min(index, items.length), 0, { ...item, qty: normalizeQty(item.qty) || 1 });
+    } else {
+      items[existing].qty = normalizeQty(items[existing].qty + Number(item.qty));
+    }
+
+    writeItems(items);
+    return items;
+  }
+
+  /**
+   * Set the quantity of a line. A quantity of 0 removes it.
+   */
+  function updateQty(sku, variant, qty) {
+    const amount = normalizeQty(qty);
+    if (amount === 0) return removeItem(sku, variant);
+
+    const items = readItems();
+    const index = findIndex(items, sku, variant);
+    if (index === -1) return items;
+
+    items[index].qty = amount;
+    writeItems(items);
+    return items;
+  }
+
+  /**
+   * Refresh the stored name/price snapshot of a line (e.g. from the catalog)
+   */
+  function updateDetails(sku, variant, details) {
+    const items = readItems();
+    const index = findIndex(items, sku, variant);
+    if (index === -1) return items;
+
+    items[index] = { ...items[index], ...details, sku: items[index].sku, variant: items[index].variant, qty: items[index].qty };
+    writeItems(items);
+    return items;
+  }
+
+  /**
+   * Move a line to the saved-for-later list (a saved line of the same
+   * product takes the quantity)
+   */
+  function saveForLater(sku, variant) {
+    const items = readItems();
+    const index = findIndex(items, sku, variant);
+    if (index === -1) return items;
+
+    const [item] = items.splice(index, 1);
+    const saved = readItems(STORAGE_KEYS.savedForLater).filter(line => !(line.sku === sku && (line.variant || '') === (variant || '')));
+
+    writeItems(items);
+    writeSavedItems([item, ...saved]);
+    return items;
+  }
+
+  /**
+   * Move a saved line back into the cart
+   */
+  function moveToCart(sku, variant) {
+    const saved = readItems(STORAGE_KEYS.savedForLater);
+    const index = findIndex(saved, sku, variant);
+    if (index === -1) return readItems();
+
+    const [item] = saved.splice(index, 1);
+    writeSavedItems(saved);
+    return restoreItem(item);
+  }
+
+  function removeSavedItem(sku, variant) {
+    const saved = readItems(STORAGE_KEYS.savedForLater);
+    const index = findIndex(saved, sku, variant);
+    if (index === -1) return saved;
+
+    saved.splice(index, 1);
+    writeSavedItems(saved);
+    return saved;
+  }
+
+  /**
+   * Lines saved for later (copies, safe to modify)
+   */
+  function getSavedItems() {
+    return readItems(STORAGE_KEYS.savedForLater).map(item => ({ ...item }));
+  }
+
+  /**
+   * Empty the cart (saved lines are kept)
+   */
+  function clear() {
+    writeItems([]);
+  }
+
+  /**
+   * Current line items (copies, safe to modify)
+   */
+  function getItems() {
+    return readItems().map(item => ({ ...item }));
+  }
+
+  /**
+   * Total number of units in the cart
+   */
+  function getCount() {
+    return readItems().reduce((sum, item) => sum + Number(item.qty), 0);
+  }
+
+  loadFromServer();
+
+  return {
+    addItem,
+    removeItem,
+    restoreItem,
+    updateQty,
+    updateDetails,
+    clear,
+    getItems,
+    getCount,
+    saveForLater,
+    moveToCart,
+    removeSavedItem,
+    getSavedItems
+  };
+})();
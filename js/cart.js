@@ -1,70 +1,433 @@
 /* cart.js
    Cart page functionality:
-   - Recalculate subtotal, taxes, shipping, and total
-   - Store totals in localStorage so Shipping can reuse them
+   - Render line items from the cart store (priced from the catalog)
+   - Quantity steppers bounded by the product's stock (catalog) and
+     CART_MAX_QTY; typed quantities are checked with validateQuantity()
+   - Lines that exceed the stock left are reduced (or saved for later when
+     it has sold out) with a notice
+   - Remove a line (with undo) or save it for later; saved lines are
+     listed below the cart and can be moved back
+   - Line totals and the summary recalculate as quantities change
+   - Apply the discount code (promotions.js)
+   - Summary panel and saved totals come from summary.js
+     (tax for the saved destination, NZ until one is entered)
+   - "Next" goes through the checkout flow (checkout.js), which explains
+     instead of moving on when the cart is empty
 */
 
-(function initCart() {
-  const cartItems = Array.from(document.querySelectorAll("[data-cart-item]"));
-  if (cartItems.length === 0) return;
+(async function initCart() {
+  const listEl = document.getElementById("cartItems");
+  if (!listEl) return;
 
-  const subtotalEl = document.getElementById("cartSubtotal");
-  const shippingEl = document.getElementById("cartShipping");
-  const taxesEl = document.getElementById("cartTaxes");
-  const totalEl = document.getElementById("cartTotal");
+  const emptyEl = document.getElementById("cartEmpty");
+  const emptyCategoriesEl = document.getElementById("cartEmptyCategories");
+  const noticeEl = document.getElementById("cartNotice");
+  const undoEl = document.getElementById("cartUndo");
+  const undoText = document.getElementById("cartUndoText");
+  const undoButton = document.getElementById("cartUndoButton");
+  const savedSection = document.getElementById("savedForLater");
+  const savedListEl = document.getElementById("savedItems");
 
-  function readCartFromDOM() {
-    return cartItems.map((item) => {
-      const price = Number(item.getAttribute("data-price")) || 0;
-      const qtySelect = item.querySelector("[data-qty]");
-      const qty = qtySelect ? Number(qtySelect.value) || 1 : 1;
+  const promoForm = document.getElementById("promoForm");
+  const promoInput = document.getElementById("promoCode");
+  const promoApplied = document.getElementById("promoApplied");
+  const promoAppliedCode = document.getElementById("promoAppliedCode");
+  const promoRemove = document.getElementById("promoRemove");
+  const nextLink = document.getElementById("cartNext");
 
-      return { price, qty };
+  const CartMessages = I18n.defineMessages("cartPage", {
+    removed: "Removed \"{name}\" from your cart.",
+    savedForLater: "Saved \"{name}\" for later.",
+    movedToCart: "Moved \"{name}\" back to your cart.",
+    stockReduced: "Only {count} of \"{name}\" left in stock, so its quantity was reduced.",
+    soldOut: "\"{name}\" has sold out and was saved for later.",
+    lowStock: "Only {count} left",
+    outOfStock: "Out of stock",
+    quantity: "Quantity",
+    decrease: "Decrease quantity of {name}",
+    increase: "Increase quantity of {name}",
+    remove: "REMOVE",
+    saveForLater: "SAVE FOR LATER",
+    moveToCart: "MOVE TO CART",
+    undo: "UNDO",
+    heading: "Shopping Cart",
+    itemsLabel: "Shopping cart items",
+    emptyHint: "Find your next adventure in the shop, or move something back from your saved items.",
+    continueShopping: "CONTINUE SHOPPING",
+    savedHeading: "Saved for later",
+    promoLabel: "ENTER COUPON CODE",
+    promoCode: "Discount code",
+    promoApply: "Apply",
+    promoRemove: "Remove"
+  });
+
+  /* Stock at or below this is pointed out on the line */
+  const LOW_STOCK = 5;
+
+  /* Last removed line, until it is undone or another line is removed */
+  let lastRemoved = null;
+
+  const catalog = await loadSummaryCatalog();
+
+  function readCart() {
+    return readSummaryLines(catalog);
+  }
+
+  /* Most of a line that can be ordered */
+  function getMaxQty(row) {
+    return row.stock === null || row.stock === undefined ? CART_MAX_QTY : Math.min(row.stock, CART_MAX_QTY);
+  }
+
+  function getStockNote(row) {
+    if (row.stock === null || row.stock === undefined) return "";
+    if (row.stock === 0) return CartMessages.outOfStock;
+    return row.stock <= LOW_STOCK || Number(row.qty) >= row.stock ? CartMessages.lowStock({ count: row.stock }) : "";
+  }
+
+  function setNotice(message) {
+    if (!noticeEl) return;
+
+    noticeEl.textContent = message;
+    noticeEl.classList.toggle("hidden", !message);
+  }
+
+  function showUndo(item) {
+    lastRemoved = item;
+    if (!undoEl) return;
+
+    undoEl.classList.toggle("hidden", !item);
+    if (undoText) undoText.textContent = item ? CartMessages.removed({ name: item.line.name }) : "";
+    if (undoButton) undoButton.textContent = CartMessages.undo;
+  }
+
+  /**
+   * Bring the cart within the stock left: reduce quantities, save sold-out
+   * lines for later. Returns the notices to show.
+   */
+  function applyStockLimits(cart) {
+    const notices = [];
+
+    cart.forEach((row) => {
+      const max = getMaxQty(row);
+      if (Number(row.qty) <= max) return;
+
+      if (max === 0) {
+        CartStore.saveForLater(row.sku, row.variant);
+        notices.push(CartMessages.soldOut({ name: row.name }));
+      } else {
+        CartStore.updateQty(row.sku, row.variant, max);
+        notices.push(CartMessages.stockReduced({ count: max, name: row.name }));
+      }
     });
+
+    return notices;
   }
 
-  function calculateTotals(cart, shippingCost) {
-    const subtotal = cart.reduce((sum, row) => sum + row.price * row.qty, 0);
-    const taxes = subtotal * TAX_RATE;
-    const total = subtotal + taxes + shippingCost;
+  function renderEmptyState(isEmpty) {
+    if (!emptyEl) return;
+
+    emptyEl.classList.toggle("hidden", !isEmpty);
+    if (!isEmpty || !emptyCategoriesEl || !catalog) return;
 
-    return { subtotal, taxes, shippingCost, total };
+    emptyCategoriesEl.innerHTML = (catalog.categories || []).map((category) => `
+      <a href="shop.html?category=${encodeURIComponent(category.id)}" class="inline-flex items-center justify-center bg-brand-green-dark px-6 py-3 hover:bg-brand-blue-dark focus:outline-none">${escapeHTML(category.name.toUpperCase())}</a>
+    `).join("");
   }
 
-  function renderTotals(totals) {
-    if (subtotalEl) subtotalEl.textContent = formatCurrency(totals.subtotal);
+  function renderItems(cart) {
+    renderEmptyState(cart.length === 0);
+    nextLink?.classList.toggle("hidden", cart.length === 0);
 
-    if (shippingEl) {
-      shippingEl.textContent = totals.shippingCost === 0 ? "FREE" : formatCurrency(totals.shippingCost);
-    }
+    listEl.innerHTML = cart.map((row, index) => {
+      const qtyId = `qty-${index + 1}`;
+      const qty = Number(row.qty);
+      const max = getMaxQty(row);
+      const name = escapeHTML(row.name);
+
+      return `
+        <article data-cart-item data-sku="${escapeHTML(row.sku)}" data-variant="${escapeHTML(row.variant)}" data-max="${max}" class="${index === 0 ? "mt-8" : "mt-10"} grid grid-cols-1 gap-6 sm:grid-cols-[110px_1fr_150px] sm:items-start">
+          <figure class="w-28">
+            <div class="flex aspect-[4/3] items-center justify-center border border-brand-green-dark bg-brand-green">
+              <img src="${escapeHTML(row.image || "src/images/logo.png")}" alt="Cart item ${name}" class="h-full w-full object-cover" />
+            </div>
+          </figure>
+
+          <div>
+            <p class="text-xs uppercase tracking-widest text-white">${name}</p>
+            ${row.variantName ? `<p class="mt-2 text-xs tracking-widest text-white opacity-80">${escapeHTML(row.variantName)}</p>` : ""}
+            ${row.description ? `<p class="mt-2 max-w-md text-sm leading-6 text-white opacity-80">${escapeHTML(row.description)}</p>` : ""}
+            <p class="mt-2 text-sm text-white opacity-80" data-price="${Number(row.price)}">${formatCurrency(row.price)}</p>
+            <div class="mt-4 flex flex-wrap gap-4 text-xs tracking-widest text-white">
+              <button type="button" data-line-action="save" class="underline hover:text-brand-blue-light focus:outline-none">${CartMessages.saveForLater}</button>
+              <button type="button" data-line-action="remove" class="underline hover:text-brand-blue-light focus:outline-none">${CartMessages.remove}</button>
+            </div>
+          </div>
+
+          <div class="sm:justify-self-end sm:text-right">
+            <label class="sr-only" for="${qtyId}">${CartMessages.quantity}</label>
+            <div class="inline-flex items-stretch">
+              <button type="button" data-step="-1" aria-label="${escapeHTML(CartMessages.decrease({ name: row.name }))}" ${qty <= 1 ? "disabled" : ""} class="w-9 border border-brand-green-dark bg-brand-green text-white hover:bg-brand-blue-dark focus:outline-none disabled:opacity-40">−</button>
+              <input
+                id="${qtyId}"
+                name="${qtyId}"
+                data-qty
+                type="number"
+                inputmode="numeric"
+                min="1"
+                max="${max}"
+                value="${qty}"
+                class="w-14 border-y border-brand-green-dark bg-brand-green px-2 py-2 text-center text-sm text-white focus:border-brand-blue focus:outline-none"
+              />
+              <button type="button" data-step="1" aria-label="${escapeHTML(CartMessages.increase({ name: row.name }))}" ${qty >= max ? "disabled" : ""} class="w-9 border border-brand-green-dark bg-brand-green text-white hover:bg-brand-blue-dark focus:outline-none disabled:opacity-40">+</button>
+            </div>
+            <p id="${qtyId}-error" class="error-message hidden text-red-400 text-xs mt-1"></p>
+            <p data-stock-note class="mt-2 text-xs text-brand-blue-light">${escapeHTML(getStockNote(row))}</p>
+            <p class="mt-2 text-sm text-white" data-line-total data-price="${row.price * qty}">${formatCurrency(row.price * qty)}</p>
+          </div>
+        </article>
+      `;
+    }).join("");
+  }
+
+  /* A saved line priced and stocked from the catalog (snapshot otherwise) */
+  function describeSavedItem(item) {
+    const product = catalog ? getProductBySku(catalog, item.sku) : null;
+    if (!product) return { ...item, stock: null };
+
+    const variant = getVariantBySku(product, item.variant);
+    return {
+      ...item,
+      name: product.name,
+      variantName: variant ? getVariantName(product, variant) : item.variantName,
+      price: getVariantPrice(product, variant),
+      image: getVariantImage(product, variant).src,
+      stock: getVariantStock(product, variant)
+    };
+  }
+
+  function renderSavedItems() {
+    if (!savedSection || !savedListEl) return;
+
+    const saved = CartStore.getSavedItems().map(describeSavedItem);
+    savedSection.classList.toggle("hidden", saved.length === 0);
 
-    if (taxesEl) taxesEl.textContent = formatCurrency(totals.taxes);
-    if (totalEl) totalEl.textContent = formatCurrency(totals.total);
+    savedListEl.innerHTML = saved.map((row) => `
+      <article data-saved-item data-sku="${escapeHTML(row.sku)}" data-variant="${escapeHTML(row.variant)}" class="mt-6 flex flex-wrap items-center gap-6">
+        <img src="${escapeHTML(row.image || "src/images/logo.png")}" alt="" class="h-14 w-20 border border-brand-green-dark bg-brand-green object-cover" />
+        <div class="min-w-0 flex-1">
+          <p class="text-xs uppercase tracking-widest text-white">${escapeHTML(row.name)}${row.variantName ? ` · ${escapeHTML(row.variantName)}` : ""}</p>
+          <p class="mt-1 text-sm text-white opacity-80"><span data-price="${Number(row.price)}">${formatCurrency(row.price)}</span>${row.stock === 0 ? ` · ${CartMessages.outOfStock}` : ""}</p>
+        </div>
+        <div class="flex flex-wrap gap-4 text-xs tracking-widest text-white">
+          <button type="button" data-saved-action="cart" ${row.stock === 0 ? "disabled" : ""} class="underline hover:text-brand-blue-light focus:outline-none disabled:no-underline disabled:opacity-40">${CartMessages.moveToCart}</button>
+          <button type="button" data-saved-action="remove" class="underline hover:text-brand-blue-light focus:outline-none">${CartMessages.remove}</button>
+        </div>
+      </article>
+    `).join("");
   }
 
-  function saveTotals(totals) {
-    saveToStorage(STORAGE_KEYS.totals, totals);
+  /**
+   * Update a line in place (keeps focus in its quantity input)
+   */
+  function updateLine(article, qty) {
+    const max = Number(article.getAttribute("data-max"));
+    const row = readCart().find((line) => line.sku === article.getAttribute("data-sku") && (line.variant || "") === article.getAttribute("data-variant"));
+    if (!row) return;
+
+    article.querySelector("[data-qty]").value = String(qty);
+    article.querySelector("[data-step='-1']").disabled = qty <= 1;
+    article.querySelector("[data-step='1']").disabled = qty >= max;
+    article.querySelector("[data-stock-note]").textContent = getStockNote({ ...row, qty });
+
+    const totalEl = article.querySelector("[data-line-total]");
+    totalEl.setAttribute("data-price", String(row.price * qty));
+    totalEl.textContent = formatCurrency(row.price * qty);
   }
 
-  function recompute() {
-    const cart = readCartFromDOM();
+  function renderPromoCode(code) {
+    if (!promoApplied) return;
 
+    promoApplied.classList.toggle("hidden", !code);
+    if (promoAppliedCode) promoAppliedCode.textContent = code ? `CODE ${code} APPLIED` : "";
+  }
+
+  function recompute(cart) {
     /* In the wireframe, cart shipping is FREE */
     const shippingCost = 0;
 
-    const totals = calculateTotals(cart, shippingCost);
-    renderTotals(totals);
-    saveTotals(totals);
+    const storedCode = loadFromStorage(STORAGE_KEYS.promoCode, "");
+    const destination = loadFromStorage(STORAGE_KEYS.shipping, {}) || {};
+    const totals = calculateOrderTotals(cart, { promoCode: storedCode, shippingCost, destination });
+
+    /* A saved code can stop applying (cart changed, campaign ended) */
+    if (storedCode && !totals.promoCode) {
+      removeFromStorage(STORAGE_KEYS.promoCode);
+      if (promoInput) {
+        promoInput.value = storedCode;
+        showFieldError(promoInput, totals.promoError);
+      }
+    }
+
+    renderPromoCode(totals.promoCode);
+    renderOrderSummary("cart", totals);
+    saveOrderTotals(totals);
+  }
+
+  function refresh() {
+    const notices = applyStockLimits(readCart());
+    if (notices.length > 0) setNotice(notices.join(" "));
+
+    const cart = readCart();
+    renderItems(cart);
+    renderSavedItems();
+    recompute(cart);
   }
 
-  /* Attach events */
-  cartItems.forEach((item) => {
-    const qtySelect = item.querySelector("[data-qty]");
-    if (!qtySelect) return;
+  /**
+   * Set a line's quantity (bounded by its stock) and recalculate
+   */
+  function setLineQty(article, qty) {
+    const max = Number(article.getAttribute("data-max"));
+    const amount = Math.min(Math.max(qty, 1), max);
+
+    CartStore.updateQty(article.getAttribute("data-sku"), article.getAttribute("data-variant"), amount);
+    updateLine(article, amount);
+    recompute(readCart());
+  }
+
+  /* Attach events (delegated, line items are re-rendered) */
+  listEl.addEventListener("click", (e) => {
+    const article = e.target.closest("[data-cart-item]");
+    if (!article) return;
+
+    const stepButton = e.target.closest("[data-step]");
+    if (stepButton) {
+      const input = article.querySelector("[data-qty]");
+      clearFieldError(input);
+      setLineQty(article, (parseInt(input.value, 10) || 1) + Number(stepButton.getAttribute("data-step")));
+      return;
+    }
+
+    const actionButton = e.target.closest("[data-line-action]");
+    if (!actionButton) return;
+
+    const sku = article.getAttribute("data-sku");
+    const variant = article.getAttribute("data-variant");
+    const items = CartStore.getItems();
+    const index = items.findIndex((item) => item.sku === sku && (item.variant || "") === variant);
+    const line = readCart().find((row) => row.sku === sku && (row.variant || "") === variant);
+    if (index === -1 || !line) return;
+
+    setNotice("");
+
+    if (actionButton.getAttribute("data-line-action") === "remove") {
+      CartStore.removeItem(sku, variant);
+      showUndo({ item: items[index], index, line });
+      refresh();
+      undoButton?.focus();
+    } else {
+      CartStore.saveForLater(sku, variant);
+      showUndo(null);
+      refresh();
+      setNotice(CartMessages.savedForLater({ name: line.name }));
+    }
+  });
+
+  listEl.addEventListener("change", (e) => {
+    const input = e.target.closest("[data-qty]");
+    if (!input) return;
+
+    const article = input.closest("[data-cart-item]");
+    const max = Number(article.getAttribute("data-max"));
+    const result = validateQuantity(input.value.trim(), max);
+
+    if (result.valid) {
+      clearFieldError(input);
+      setLineQty(article, parseInt(input.value, 10));
+      return;
+    }
+
+    showFieldError(input, result.message);
+
+    /* Too many: order what is left instead */
+    if (parseInt(input.value, 10) > max) setLineQty(article, max);
+  });
+
+  undoButton?.addEventListener("click", () => {
+    if (!lastRemoved) return;
+
+    CartStore.restoreItem(lastRemoved.item, lastRemoved.index);
+    showUndo(null);
+    refresh();
+  });
+
+  savedListEl?.addEventListener("click", (e) => {
+    const button = e.target.closest("[data-saved-action]");
+    const article = button?.closest("[data-saved-item]");
+    if (!article) return;
+
+    const sku = article.getAttribute("data-sku");
+    const variant = article.getAttribute("data-variant");
+    const saved = CartStore.getSavedItems().find((item) => item.sku === sku && (item.variant || "") === variant);
+    if (!saved) return;
+
+    if (button.getAttribute("data-saved-action") === "cart") {
+      CartStore.moveToCart(sku, variant);
+      setNotice(CartMessages.movedToCart({ name: describeSavedItem(saved).name }));
+    } else {
+      CartStore.removeSavedItem(sku, variant);
+      setNotice("");
+    }
+
+    refresh();
+  });
+
+  promoForm?.addEventListener("submit", (e) => {
+    e.preventDefault();
+
+    const code = normalizePromoCode(promoInput.value);
+    if (!code) {
+      showFieldError(promoInput, ErrorMessages.required);
+      promoInput.focus();
+      return;
+    }
+
+    const result = checkPromoCode(code, readCart());
+    if (!result.valid) {
+      showFieldError(promoInput, result.message);
+      promoInput.focus();
+      return;
+    }
+
+    clearFieldError(promoInput);
+    promoInput.value = "";
+    saveToStorage(STORAGE_KEYS.promoCode, code);
+    recompute(readCart());
+  });
+
+  promoRemove?.addEventListener("click", () => {
+    removeFromStorage(STORAGE_KEYS.promoCode);
+    recompute(readCart());
+  });
+
+  nextLink?.addEventListener("click", (e) => {
+    e.preventDefault();
+    CheckoutFlow.next("cart");
+  });
+
+  /* Line prices are re-formatted by common.js, the summary is re-rendered here */
+  window.addEventListener("currency:change", () => recompute(readCart()));
+
+  window.addEventListener("language:change", () => {
+    showUndo(lastRemoved);
+    refresh();
+  });
 
-    qtySelect.addEventListener("change", recompute);
+  /* Other tabs: their cart or saved list changed */
+  window.addEventListener("storage", (e) => {
+    if (isStorageEventFor(e, STORAGE_KEYS.cart, STORAGE_KEYS.savedForLater)) refresh();
   });
 
-  /* Initial calculation */
-  recompute();
+  /* Initial render */
+  refresh();
 })();
@@ -0,0 +1,435 @@
+/* catalog.js
+   Product catalog module for Aotearoa Adventure Gear
+
+   - Loads products and categories from data/products.json (or the API,
+     see api-client.js)
+   - Lookup helpers (by SKU, category, featured)
+   - Variant helpers: the options of a product (size, colour, model) and
+     the variant, price, stock and image of a combination
+   - Rendering functions for the shop grid, home carousel,
+     home product grid and product detail page
+
+   The lookup and variant helpers also run in Node (server/api.js).
+
+   Prices carry a data-price attribute so common.js can re-format them
+   when the display currency changes.
+   Requires common.js (formatCurrency, escapeHTML) and api-client.js
+*/
+
+/* ==========================================
+   CATALOG DATA
+   ========================================== */
+
+const CATALOG_URL = 'data/products.json';
+
+/* Cached request so every page fetches the JSON file only once */
+let catalogRequest = null;
+
+/**
+ * Load the catalog (categories + products) from the API when the page has
+ * one (api-client.js), otherwise from the JSON file
+ */
+function loadCatalog() {
+  if (!catalogRequest) {
+    const request = ShopApi
+      ? ShopApi.getCatalog()
+      : fetch(CATALOG_URL).then(response => {
+          if (!response.ok) {
+            throw new Error(`Catalog request failed (${response.status})`);
+          }
+          return response.json();
+        });
+
+    catalogRequest = request
+      .then(data => ({
+        categories: Array.isArray(data.categories) ? data.categories : [],
+        products: Array.isArray(data.products) ? data.products : []
+      }))
+      .then(applyCatalogRatings)
+      .catch(err => {
+        // Allow a retry on the next call instead of caching the failure
+        catalogRequest = null;
+        throw err;
+      });
+  }
+
+  return catalogRequest;
+}
+
+/**
+ * Ratings and review counts from the approved reviews (reviews.js, on the
+ * pages that show ratings); products keep no rating when they cannot be read
+ */
+async function applyCatalogRatings(catalog) {
+  if (typeof ReviewStore === 'undefined' || !ReviewStore) return catalog;
+
+  try {
+    applyReviewRatings(catalog.products, await ReviewStore.getAll());
+  } catch (err) {
+    console.warn('Could not load reviews', err);
+  }
+
+  return catalog;
+}
+
+/**
+ * Find a product by its SKU
+ */
+function getProductBySku(catalog, sku) {
+  return catalog.products.find(product => product.sku === sku) || null;
+}
+
+/**
+ * Find a category by its id
+ */
+function getCategory(catalog, categoryId) {
+  return catalog.categories.find(category => category.id === categoryId) || null;
+}
+
+/**
+ * Products flagged as featured (home page carousel)
+ */
+function getFeaturedProducts(catalog) {
+  return catalog.products.filter(product => product.featured);
+}
+
+/**
+ * Other products from the same category first, then the rest of the catalog
+ */
+function getSimilarProducts(catalog, product, limit = 3) {
+  const others = catalog.products.filter(item => item.sku !== product.sku);
+  const sameCategory = others.filter(item => item.category === product.category);
+  const rest = others.filter(item => item.category !== product.category);
+
+  return sameCategory.concat(rest).slice(0, limit);
+}
+
+/* ==========================================
+   VARIANTS
+   ========================================== */
+
+/*
+   A product lists its options and one variant per combination it is
+   made in (a combination without a variant does not exist):
+     options:  [{ id: 'size', name: 'Size', values: ['40 L', '55 L'] }, ...]
+     variants: [{ sku, options: { size: '55 L', colour: 'Ochre' },
+                  price?, stock, image? }]
+   A variant without its own price or image uses the product's. Stock is
+   per variant; products without variants may have a product-level stock.
+*/
+
+function getProductOptions(product) {
+  return Array.isArray(product.options) ? product.options : [];
+}
+
+function getVariantBySku(product, sku) {
+  return (product.variants || []).find(variant => variant.sku === sku) || null;
+}
+
+/**
+ * Variant label from its option values, e.g. "55 L / Ochre"
+ */
+function getVariantName(product, variant) {
+  if (!variant) return '';
+
+  return getProductOptions(product)
+    .map(option => (variant.options || {})[option.id])
+    .filter(Boolean)
+    .join(' / ');
+}
+
+function getVariantPrice(product, variant) {
+  return variant && Number.isFinite(variant.price) ? variant.price : product.price;
+}
+
+/**
+ * Units left (null when the catalog does not track it)
+ */
+function getVariantStock(product, variant) {
+  const stock = variant ? variant.stock : product.stock;
+  return Number.isFinite(stock) ? stock : null;
+}
+
+function getVariantImage(product, variant) {
+  return (variant && variant.image) || getPrimaryImage(product);
+}
+
+/**
+ * Variants that agree with the chosen option values ({ optionId: value };
+ * options not chosen yet match anything)
+ */
+function getMatchingVariants(product, selection) {
+  return (product.variants || []).filter(variant =>
+    getProductOptions(product).every(option => !selection[option.id] || (variant.options || {})[option.id] === selection[option.id])
+  );
+}
+
+/**
+ * The variant of a complete selection, or null
+ */
+function findVariant(product, selection) {
+  const options = getProductOptions(product);
+  if (options.some(option => !selection[option.id])) return null;
+
+  return getMatchingVariants(product, selection)[0] || null;
+}
+
+/**
+ * Whether choosing `value` for an option (with the other choices kept)
+ * leads to a variant in stock
+ */
+function isOptionValueAvailable(product, selection, optionId, value) {
+  return getMatchingVariants(product, { ...selection, [optionId]: value })
+    .some(variant => getVariantStock(product, variant) !== 0);
+}
+
+/**
+ * Lowest price of a product across its variants
+ */
+function getLowestPrice(product) {
+  const prices = (product.variants || []).map(variant => getVariantPrice(product, variant));
+  return prices.length > 0 ? Math.min(...prices) : product.price;
+}
+
+/* ==========================================
+   FORMATTING HELPERS
+   ========================================== */
+
+/**
+ * Link to the detail page of a product
+ */
+function getProductUrl(product) {
+  return `product-detail.html?sku=${encodeURIComponent(product.sku)}`;
+}
+
+/**
+ * Main image of a product ({ src, alt })
+ */
+function getPrimaryImage(product) {
+  const image = product.images && product.images[0];
+  return image || { src: 'src/images/logo.png', alt: product.name };
+}
+
+/**
+ * Rating as a five star string, e.g. 3.6 -> ★★★★☆
+ */
+function formatStars(rating) {
+  const filled = Math.max(0, Math.min(5, Math.round(Number(rating) || 0)));
+  return '★'.repeat(filled) + '☆'.repeat(5 - filled);
+}
+
+/**
+ * Accessible label for a star rating
+ */
+function formatRatingLabel(rating) {
+  const rounded = Math.round((Number(rating) || 0) * 10) / 10;
+  return `Rating ${rounded} out of 5`;
+}
+
+/* ==========================================
+   RENDERING
+   ========================================== */
+
+/**
+ * Shop page: compact cards with thumbnail, name, rating and price
+ */
+function renderShopGrid(container, products) {
+  if (!container) return;
+
+  container.innerHTML = products.map(product => {
+    const image = getPrimaryImage(product);
+
+    return `
+      <article class="flex items-start gap-4" data-sku="${escapeHTML(product.sku)}">
+        <a href="${getProductUrl(product)}" class="flex items-start gap-4 group">
+          <figure class="shrink-0">
+            <div class="flex h-20 w-20 items-center justify-center border border-brand-green-dark bg-brand-green overflow-hidden">
+              <img src="${escapeHTML(image.src)}" alt="${escapeHTML(image.alt)}" class="h-full w-full object-cover transition-transform duration-500 group-hover:scale-110" />
+            </div>
+          </figure>
+
+          <div class="min-w-0">
+            <p class="text-xs uppercase tracking-widest text-white group-hover:text-brand-blue-light transition-colors">${escapeHTML(product.name)}</p>
+            <p class="mt-1 text-xs text-white opacity-80" aria-label="${formatRatingLabel(product.rating)}">${formatStars(product.rating)}</p>
+            <p class="mt-2 text-sm text-white opacity-80" data-price="${Number(product.price)}">${formatCurrency(product.price)}</p>
+          </div>
+        </a>
+      </article>
+    `;
+  }).join('');
+}
+
+/**
+ * Home page: Swiper slides for the featured products carousel
+ */
+function renderHomeCarousel(wrapper, products) {
+  if (!wrapper) return;
+
+  wrapper.innerHTML = products.map(product => {
+    const image = getPrimaryImage(product);
+
+    return `
+      <div class="swiper-slide">
+        <article class="group">
+          <a href="${getProductUrl(product)}" class="block">
+            <div class="aspect-[4/5] overflow-hidden border border-brand-green-dark bg-brand-green-dark shadow-xl">
+              <img src="${escapeHTML(image.src)}" alt="${escapeHTML(product.name)}" class="h-full w-full object-cover transition-transform duration-500 group-hover:scale-105" />
+            </div>
+            <p class="mt-3 text-center text-xs uppercase tracking-widest text-white group-hover:text-brand-blue-light transition-colors">${escapeHTML(product.name)}</p>
+            <p class="mt-1 text-center text-sm font-light text-brand-blue-light" data-price="${Number(product.price)}">${formatCurrency(product.price)}</p>
+          </a>
+        </article>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Home page: one large product card plus a 2x2 grid of smaller cards
+ */
+function renderHomeGrid(largeContainer, smallContainer, products) {
+  const [first, ...rest] = products;
+
+  function cardBody(product) {
+    return `
+      <div>
+        <p class="text-xs uppercase tracking-widest text-white group-hover:text-brand-blue-light transition-colors">${escapeHTML(product.name)}</p>
+        <p class="text-xs text-brand-blue-light" data-price="${Number(product.price)}">${formatCurrency(product.price)}</p>
+      </div>
+      <p class="text-xs text-white" aria-label="${formatRatingLabel(product.rating)}">${formatStars(product.rating)}</p>
+    `;
+  }
+
+  if (largeContainer && first) {
+    const image = getPrimaryImage(first);
+    largeContainer.innerHTML = `
+      <a href="${getProductUrl(first)}" class="block group">
+        <div class="flex aspect-square items-center justify-center border border-brand-green-dark bg-brand-green-dark overflow-hidden">
+          <img src="${escapeHTML(image.src)}" alt="${escapeHTML(image.alt)}" class="h-full w-full object-cover transition-transform duration-500 group-hover:scale-110" />
+        </div>
+        <div class="mt-4 flex items-end justify-between">${cardBody(first)}</div>
+      </a>
+    `;
+  }
+
+  if (smallContainer) {
+    smallContainer.innerHTML = rest.slice(0, 4).map(product => {
+      const image = getPrimaryImage(product);
+
+      return `
+        <article>
+          <a href="${getProductUrl(product)}" class="block group">
+            <div class="flex aspect-[16/9] items-center justify-center border border-brand-green-dark bg-brand-green-dark overflow-hidden">
+              <img src="${escapeHTML(image.src)}" alt="${escapeHTML(image.alt)}" class="h-full w-full object-cover transition-transform duration-500 group-hover:scale-110" />
+            </div>
+            <div class="mt-3 flex items-end justify-between">${cardBody(product)}</div>
+          </a>
+        </article>
+      `;
+    }).join('');
+  }
+}
+
+/**
+ * Product detail page: fill the page elements from a product record.
+ * `elements` holds the DOM nodes (image, title, rating, reviews, price,
+ * variants, description, similar) so the markup stays in the HTML file.
+ */
+function renderProductDetail(elements, product, catalog) {
+  const image = getPrimaryImage(product);
+
+  if (elements.image) {
+    elements.image.src = image.src;
+    elements.image.alt = image.alt;
+  }
+
+  if (elements.title) elements.title.textContent = product.name;
+
+  if (elements.rating) {
+    elements.rating.textContent = formatStars(product.rating);
+    elements.rating.setAttribute('aria-label', formatRatingLabel(product.rating));
+  }
+
+  if (elements.reviews) {
+    const count = Number(product.reviewCount) || 0;
+    elements.reviews.textContent = `${count} ${count === 1 ? 'review' : 'reviews'}`;
+  }
+
+  if (elements.price) {
+    elements.price.setAttribute('data-price', String(product.price));
+    elements.price.textContent = formatCurrency(product.price);
+  }
+  if (elements.description) elements.description.textContent = product.description || '';
+
+  /* One select per option; product.js disables values that are sold out */
+  if (elements.options) {
+    elements.options.innerHTML = getProductOptions(product).map(option => {
+      const id = `option-${escapeHTML(option.id)}`;
+
+      return `
+        <div>
+          <label class="sr-only" for="${id}">Select ${escapeHTML(option.name)}</label>
+          <select
+            id="${id}"
+            name="${escapeHTML(option.id)}"
+            required
+            data-variant-option
+            class="w-56 border border-brand-green-dark bg-brand-green px-4 py-2 text-sm text-white focus:border-brand-blue focus:outline-none"
+          >
+            <option value="" selected>Select ${escapeHTML(option.name)}</option>
+            ${option.values.map(value => `<option value="${escapeHTML(value)}">${escapeHTML(value)}</option>`).join('')}
+          </select>
+          <span id="${id}-error" class="error-message hidden text-red-400 text-xs mt-1"></span>
+        </div>
+      `;
+    }).join('');
+  }
+
+  if (elements.similar && catalog) {
+    elements.similar.innerHTML = getSimilarProducts(catalog, product).map(item => {
+      const itemImage = getPrimaryImage(item);
+
+      return `
+        <article class="text-left">
+          <a href="${getProductUrl(item)}" class="block group">
+            <figure class="w-28">
+              <div class="flex aspect-[4/3] items-center justify-center border border-brand-green-dark bg-brand-green overflow-hidden">
+                <img src="${escapeHTML(itemImage.src)}" alt="${escapeHTML(itemImage.alt)}" class="h-full w-full object-cover" />
+              </div>
+            </figure>
+            <p class="mt-4 text-xs uppercase tracking-widest text-white group-hover:text-brand-blue-light transition-colors">${escapeHTML(item.name)}</p>
+            <p class="mt-1 text-xs text-white opacity-80" aria-label="${formatRatingLabel(item.rating)}">${formatStars(item.rating)}</p>
+            <p class="mt-2 text-xs text-white opacity-80" data-price="${Number(item.price)}">${formatCurrency(item.price)}</p>
+          </a>
+        </article>
+      `;
+    }).join('');
+  }
+
+  document.title = `Aotearoa Adventure Gear | ${product.name}`;
+}
+
+/**
+ * Message shown in place of product markup when the catalog cannot be loaded
+ */
+function renderCatalogError(container) {
+  if (!container) return;
+  container.innerHTML = '<p class="text-sm text-white opacity-80">Products could not be loaded. Please refresh the page.</p>';
+}
+
+/* Allow the lookup and variant helpers to be used in Node (server/api.js) */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CATALOG_URL,
+    getProductBySku,
+    getCategory,
+    getProductOptions,
+    getVariantBySku,
+    getVariantName,
+    getVariantPrice,
+    getVariantStock,
+    getVariantImage,
+    findVariant,
+    getLowestPrice
+  };
+}
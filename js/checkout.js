@@ -0,0 +1,339 @@
+/* checkout.js
+   Checkout flow controller: Cart -> Shipping -> Payment
+
+   - The transition rules are plain functions of a state snapshot
+     ({ itemCount, cartKey, shipping }) so they can be tested in Node
+   - Each checkout page names its step on <body data-checkout-step="...">.
+     Entering a step without its prerequisites redirects to the step that
+     is missing and explains why (e.g. payment with an empty cart -> cart)
+   - Renders the progress indicator (#checkoutProgress) with links back
+     to the completed steps
+   - Going back keeps what was entered: the shipping form is saved as a
+     draft while typing and the chosen payment method is remembered
+
+   Requires common.js and cart-store.js (browser only)
+*/
+
+/* ==========================================
+   STEPS & RULES
+   ========================================== */
+
+const CHECKOUT_STEPS = [
+  { id: 'cart', label: 'Shopping Cart', url: 'cart.html' },
+  { id: 'shipping', label: 'Shipping Details', url: 'shipping.html' },
+  { id: 'payment', label: 'Payment Options', url: 'payment.html' }
+];
+
+// Message catalogs (i18n.js; required in Node)
+const CheckoutI18n = typeof I18n !== 'undefined' ? I18n : require('./i18n.js').I18n;
+
+const CheckoutMessages = CheckoutI18n.defineMessages('checkout', {
+  emptyCart: 'Your cart is empty. Add a product before checking out.',
+  missingShipping: 'Please enter your shipping details first.',
+  cartChanged: 'Your cart has changed since you chose shipping. Please check your shipping details again.',
+  shippingRejected: 'Please check your shipping details before paying.',
+  stepCompleted: 'completed',
+  stepNotStarted: 'not started',
+  stepUnavailable: 'not available yet',
+  next: 'Next',
+  back: 'Back',
+  cancel: 'Cancel',
+  summary: 'Summary',
+  summaryLabel: 'Order summary',
+  voucher: 'HAVE A VOUCHER?',
+  subtotal: 'SUBTOTAL',
+  shipping: 'SHIPPING',
+  total: 'TOTAL'
+});
+
+/* Step labels of the progress indicator, by step id */
+const CheckoutStepLabels = CheckoutI18n.defineMessages(
+  'checkoutStep',
+  Object.fromEntries(CHECKOUT_STEPS.map(item => [item.id, item.label]))
+);
+
+function getCheckoutStepIndex(step) {
+  return CHECKOUT_STEPS.findIndex(item => item.id === step);
+}
+
+/**
+ * Fingerprint of the cart contents, so a completed step can tell
+ * whether the cart changed after it (e.g. shipping was priced for other items)
+ */
+function getCartKey(items) {
+  return (items || [])
+    .map(item => `${item.sku}|${item.variant || ''}|${Number(item.qty) || 0}`)
+    .sort()
+    .join(',');
+}
+
+/**
+ * What stops a step from being entered: null, or { step, reason } with the
+ * step to send the shopper to and a CheckoutMessages key.
+ * state: { itemCount, cartKey, shipping: { cartKey } | null }
+ */
+function getCheckoutBlocker(step, state) {
+  switch (step) {
+    case 'cart':
+      return null;
+    case 'shipping':
+      return state.itemCount > 0 ? null : { step: 'cart', reason: 'emptyCart' };
+    case 'payment': {
+      const blocker = getCheckoutBlocker('shipping', state);
+      if (blocker) return blocker;
+      if (!state.shipping) return { step: 'shipping', reason: 'missingShipping' };
+      if (state.shipping.cartKey !== state.cartKey) return { step: 'shipping', reason: 'cartChanged' };
+      return null;
+    }
+    default:
+      return { step: 'cart', reason: '' };
+  }
+}
+
+/**
+ * The step a shopper asking for `step` may actually see: { step, reason }
+ * (reason is '' when the step is allowed)
+ */
+function resolveCheckoutStep(step, state) {
+  let current = { step, reason: '' };
+  let blocker = getCheckoutBlocker(current.step, state);
+
+  while (blocker) {
+    current = { step: blocker.step, reason: current.reason || blocker.reason };
+    blocker = getCheckoutBlocker(current.step, state);
+  }
+
+  return current;
+}
+
+/**
+ * Move through the flow from `current`.
+ * event: 'next', 'back' or { type: 'goto', step }
+ * Returns { step, reason }: the step to show (unchanged when blocked, with the reason)
+ */
+function checkoutTransition(current, event, state) {
+  const index = getCheckoutStepIndex(current);
+  const type = typeof event === 'string' ? event : event && event.type;
+  let target = current;
+
+  if (type === 'next') target = (CHECKOUT_STEPS[index + 1] || CHECKOUT_STEPS[index]).id;
+  if (type === 'back') target = (CHECKOUT_STEPS[index - 1] || CHECKOUT_STEPS[0]).id;
+  if (type === 'goto') target = event.step;
+
+  if (getCheckoutStepIndex(target) === -1) return { step: current, reason: '' };
+
+  const blocker = getCheckoutBlocker(target, state);
+  if (blocker && type === 'next') return { step: current, reason: blocker.reason };
+
+  return resolveCheckoutStep(target, state);
+}
+
+/* ==========================================
+   BROWSER CONTROLLER
+   ========================================== */
+
+const CHECKOUT_NOTICE_KEY = 'checkout_notice';
+
+/* Field errors a step sends back to an earlier one (e.g. a refused order) */
+const CHECKOUT_ERRORS_KEY = 'checkout_errors';
+
+const CheckoutFlow = (function () {
+  function readRecord() {
+    const record = loadFromStorage(STORAGE_KEYS.checkout, {});
+    return record && typeof record === 'object' ? record : {};
+  }
+
+  function writeRecord(record) {
+    saveToStorage(STORAGE_KEYS.checkout, record, { ttl: CHECKOUT_STORAGE_TTL });
+  }
+
+  /**
+   * Snapshot of the stored checkout for the transition rules
+   */
+  function getState() {
+    const items = CartStore.getItems();
+    const record = readRecord();
+
+    return {
+      itemCount: CartStore.getCount(),
+      cartKey: getCartKey(items),
+      shipping: record.shipping || null
+    };
+  }
+
+  /**
+   * Mark a step as done (shipping remembers the cart it was priced for)
+   */
+  function completeStep(step) {
+    const record = readRecord();
+    if (step === 'shipping') {
+      record.shipping = { cartKey: getCartKey(CartStore.getItems()), completedAt: new Date().toISOString() };
+    }
+    writeRecord(record);
+  }
+
+  /**
+   * Forget the flow (after an order is placed)
+   */
+  function reset() {
+    removeFromStorage(STORAGE_KEYS.checkout);
+  }
+
+  function getDraft(step) {
+    const drafts = readRecord().drafts || {};
+    return drafts[step] || {};
+  }
+
+  function saveDraft(step, data) {
+    const record = readRecord();
+    record.drafts = { ...(record.drafts || {}), [step]: data };
+    writeRecord(record);
+  }
+
+  /**
+   * Go to a step, with a CheckoutMessages reason and field errors for its
+   * form (see takeFieldErrors)
+   */
+  function go(step, reason, fieldErrors) {
+    const target = CHECKOUT_STEPS[getCheckoutStepIndex(step)];
+    if (!target) return;
+
+    if (reason) AppSessionStorage.set(CHECKOUT_NOTICE_KEY, reason);
+    if (fieldErrors) AppSessionStorage.set(CHECKOUT_ERRORS_KEY, fieldErrors);
+    window.location.href = target.url;
+  }
+
+  /**
+   * Field errors left for this page by go() ({} when none; taken once)
+   */
+  function takeFieldErrors() {
+    const errors = AppSessionStorage.get(CHECKOUT_ERRORS_KEY, {});
+    AppSessionStorage.remove(CHECKOUT_ERRORS_KEY);
+    return errors && typeof errors === 'object' ? errors : {};
+  }
+
+  /**
+   * Redirect when the page's step cannot be entered yet. Returns true when allowed.
+   */
+  function guard(step) {
+    const resolved = resolveCheckoutStep(step, getState());
+    if (resolved.step === step) return true;
+
+    AppSessionStorage.set(CHECKOUT_NOTICE_KEY, resolved.reason);
+    window.location.replace(CHECKOUT_STEPS[getCheckoutStepIndex(resolved.step)].url);
+    return false;
+  }
+
+  /**
+   * Continue to the next step, or explain why not. Returns the result.
+   */
+  function next(from) {
+    const result = checkoutTransition(from, 'next', getState());
+
+    if (result.step === from) {
+      showNotice(result.reason);
+    } else {
+      go(result.step);
+    }
+
+    return result;
+  }
+
+  /**
+   * Explain a CheckoutMessages reason, followed by any other messages
+   */
+  function showNotice(reason, details = []) {
+    const el = document.getElementById('checkoutNotice');
+    const message = [CheckoutMessages[reason] || '', ...details].filter(Boolean).join(' ');
+    if (!el) return;
+
+    el.textContent = message;
+    el.classList.toggle('hidden', !message);
+  }
+
+  /**
+   * Notice left by a redirect (shown once)
+   */
+  function showPendingNotice() {
+    const reason = AppSessionStorage.get(CHECKOUT_NOTICE_KEY, '');
+    AppSessionStorage.remove(CHECKOUT_NOTICE_KEY);
+    if (reason) showNotice(reason);
+  }
+
+  /**
+   * Progress indicator: done steps link back, later steps are plain text
+   * until their prerequisites are met
+   */
+  function renderProgress(container, step) {
+    if (!container) return;
+
+    const state = getState();
+    const currentIndex = getCheckoutStepIndex(step);
+
+    container.innerHTML = CHECKOUT_STEPS.map((item, index) => {
+      const label = `${index + 1}. ${CheckoutStepLabels[item.id]}`;
+
+      if (index === currentIndex) {
+        return `
+          <li class="text-white" aria-current="step">
+            <span class="font-medium">${label}</span>
+            <div class="mt-3 h-px w-44 bg-gray-700"></div>
+          </li>
+        `;
+      }
+
+      const reachable = index < currentIndex || !getCheckoutBlocker(item.id, state);
+      const status = index < currentIndex ? CheckoutMessages.stepCompleted : CheckoutMessages.stepNotStarted;
+
+      return `
+        <li class="text-brand-green-light">
+          ${reachable
+            ? `<a href="${item.url}" class="hover:text-white">${label}<span class="sr-only"> (${status})</span></a>`
+            : `<span class="opacity-60">${label}<span class="sr-only"> (${CheckoutMessages.stepUnavailable})</span></span>`}
+        </li>
+      `;
+    }).join('');
+  }
+
+  return {
+    getState,
+    completeStep,
+    reset,
+    getDraft,
+    saveDraft,
+    go,
+    takeFieldErrors,
+    guard,
+    next,
+    showNotice,
+    showPendingNotice,
+    renderProgress
+  };
+})();
+
+/* Guard the page and render the progress indicator */
+(function initCheckoutFlow() {
+  if (typeof document === 'undefined') return;
+
+  const step = document.body.getAttribute('data-checkout-step');
+  if (!step || !CheckoutFlow.guard(step)) return;
+
+  const progress = document.querySelector('#checkoutProgress ol');
+  CheckoutFlow.renderProgress(progress, step);
+  CheckoutFlow.showPendingNotice();
+
+  window.addEventListener('cart:change', () => CheckoutFlow.renderProgress(progress, step));
+  window.addEventListener('language:change', () => CheckoutFlow.renderProgress(progress, step));
+})();
+
+/* Allow the rules to be loaded in Node (tests, tooling) */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CHECKOUT_STEPS,
+    CheckoutMessages,
+    getCartKey,
+    getCheckoutBlocker,
+    resolveCheckoutStep,
+    checkoutTransition
+  };
+}
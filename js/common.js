@@ -1,50 +1,275 @@
 /* common.js
    Shared helpers used across pages.
+
+   Requires storage.js (AppStorage) and money.js
 */
 
-/* Storage keys used by this prototype */
+/* Storage keys used by this prototype (stored as "cpa:<key>", see storage.js) */
 const STORAGE_KEYS = {
-  totals: "cpa_totals",
-  cart: "cpa_cart"
+  totals: "totals",
+  cart: "cart",
+  promoCode: "promo",
+  shipping: "shipping",
+  checkout: "checkout",
+  orders: "orders",
+  addresses: "addresses",
+  savedForLater: "saved",
+  reviews: "reviews",
+  reviewVotes: "review_votes",
+  apiClient: "api_client"
 };
 
-/* Default tax rate based on the wireframe values:
-   $13 taxes when subtotal is $600.
-*/
-const TAX_RATE = 13 / 600;
+/* Details of an abandoned checkout (shipping address, flow) are forgotten after a week */
+const CHECKOUT_STORAGE_TTL = 7 * 24 * 60 * 60 * 1000;
 
-/* Format a number as currency like $613 */
+/* Format an NZD amount in the display currency, e.g. 612.5 -> "$612.50" (money.js) */
 function formatCurrency(value) {
-  const rounded = Math.round((value + Number.EPSILON) * 100) / 100;
-  return `$${rounded.toFixed(0)}`;
+  return Money.format(value);
 }
 
-/* Parse "$600" -> 600 */
+/* Parse "$1,234.50" -> 1234.5 (0 when there is no number) */
 function parseCurrency(text) {
-  if (!text) return 0;
-  const cleaned = String(text).replace(/[^0-9.]/g, "");
-  const number = Number(cleaned);
+  const number = Money.parse(text);
   return Number.isFinite(number) ? number : 0;
 }
 
-/* Save JSON to localStorage */
-function saveToStorage(key, data) {
-  localStorage.setItem(key, JSON.stringify(data));
+/* Save JSON state (storage.js). options.ttl: forget it after this many ms.
+   Returns false when it could only be kept for this page (e.g. storage full) */
+function saveToStorage(key, data, options) {
+  return AppStorage.set(key, data, options);
 }
 
-/* Load JSON from localStorage */
+/* Load JSON state, or the fallback when there is none (or it expired) */
 function loadFromStorage(key, fallback) {
-  const raw = localStorage.getItem(key);
-  if (!raw) return fallback;
+  return AppStorage.get(key, fallback);
+}
+
+function removeFromStorage(key) {
+  AppStorage.remove(key);
+}
+
+/* Whether a storage event (a change in another tab) concerns one of the
+   keys; a null key means the storage was cleared */
+function isStorageEventFor(e, ...keys) {
+  return e.key === null || keys.some((key) => e.key === AppStorage.keyOf(key));
+}
+
+/* Render discount rows (label + negative amount) for a Summary panel */
+function renderDiscountRows(container, discounts) {
+  if (!container) return;
+
+  container.innerHTML = (discounts || []).map((discount) => `
+    <div class="flex items-center justify-between gap-4">
+      <dt class="tracking-widest">${escapeHTML(discount.label)}</dt>
+      <dd class="whitespace-nowrap">-${formatCurrency(discount.amount)}</dd>
+    </div>
+  `).join("");
+}
 
-  try {
-    return JSON.parse(raw);
-  } catch (err) {
-    return fallback;
-  }
+/* Escape text before inserting it into an HTML template */
+function escapeHTML(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
 }
 
 /* Smooth scroll to top */
 function scrollToTop() {
   window.scrollTo({ top: 0, behavior: "smooth" });
 }
+
+/* ==========================================
+   HEADER CART BADGE
+   Item count + subtotal on the header cart link.
+   Reads the cart snapshot straight from storage so it works on
+   every page, including those that do not load cart-store.js.
+   ========================================== */
+
+/* Count units and subtotal from the stored cart lines */
+function getCartSummary() {
+  const items = loadFromStorage(STORAGE_KEYS.cart, []);
+  const lines = Array.isArray(items) ? items : [];
+
+  return lines.reduce(
+    (summary, item) => {
+      const qty = Number(item && item.qty) || 0;
+      const price = Number(item && item.price) || 0;
+      summary.count += qty;
+      summary.subtotal = Money.add(summary.subtotal, Money.multiply(price, qty));
+      return summary;
+    },
+    { count: 0, subtotal: 0 }
+  );
+}
+
+/* Render the badge on every header link to cart.html */
+function updateCartBadge() {
+  const links = document.querySelectorAll("header a[href='cart.html']");
+  if (links.length === 0) return;
+
+  const { count, subtotal } = getCartSummary();
+
+  links.forEach((link) => {
+    let badge = link.querySelector("[data-cart-badge]");
+
+    if (!badge) {
+      badge = document.createElement("span");
+      badge.setAttribute("data-cart-badge", "");
+      badge.setAttribute("aria-live", "polite");
+      badge.className = "inline-flex items-center gap-1 rounded-full bg-white px-2 text-brand-blue-dark";
+      badge.innerHTML = `<span data-cart-count></span><span data-cart-subtotal class="hidden sm:inline"></span>`;
+      link.appendChild(badge);
+    }
+
+    badge.classList.toggle("hidden", count === 0);
+    badge.querySelector("[data-cart-count]").textContent = String(count);
+    badge.querySelector("[data-cart-subtotal]").textContent = `· ${formatCurrency(subtotal)}`;
+    link.setAttribute(
+      "aria-label",
+      count === 0 ? I18n.t("cart.empty") : I18n.t("cart.summary", { count, subtotal: formatCurrency(subtotal) })
+    );
+  });
+}
+
+(function initCartBadge() {
+  updateCartBadge();
+
+  /* Same tab: the cart store dispatches cart:change after every write */
+  window.addEventListener("cart:change", updateCartBadge);
+
+  /* Other tabs: the storage event fires when they write the cart key */
+  window.addEventListener("storage", (e) => {
+    if (isStorageEventFor(e, STORAGE_KEYS.cart)) updateCartBadge();
+  });
+})();
+
+/* ==========================================
+   HEADER CURRENCY SWITCHER
+   Display currency for every price (money.js). Prices rendered
+   with a data-price attribute (NZD amount) are re-formatted in
+   place; pages with totals listen for "currency:change" themselves.
+   ========================================== */
+
+/* Re-format every [data-price] element in the display currency */
+function updatePriceElements() {
+  document.querySelectorAll("[data-price]").forEach((el) => {
+    el.textContent = formatCurrency(Number(el.getAttribute("data-price")));
+  });
+}
+
+/* Render the currency select next to each header cart link (once) */
+function renderCurrencySwitcher() {
+  const links = document.querySelectorAll("header a[href='cart.html']");
+  const current = Money.getCurrency();
+
+  links.forEach((link, index) => {
+    let select = link.parentElement.querySelector("[data-currency-switcher]");
+
+    if (!select) {
+      const id = `currencySwitcher${index === 0 ? "" : index + 1}`;
+      const wrapper = document.createElement("div");
+      wrapper.className = "flex items-center gap-2";
+      wrapper.innerHTML = `
+        <label class="sr-only" for="${id}" data-i18n="nav.currency">${escapeHTML(I18n.t("nav.currency"))}</label>
+        <select
+          id="${id}"
+          data-currency-switcher
+          class="border border-brand-green-dark bg-brand-green-dark px-2 py-2 text-xs tracking-widest text-white focus:border-brand-blue focus:outline-none"
+        >
+          ${Money.getCurrencies().map((currency) => `<option value="${currency.code}">${currency.code}</option>`).join("")}
+        </select>
+      `;
+      /* Group the select with the cart link so the header layout keeps its three columns */
+      link.parentElement.insertBefore(wrapper, link);
+      wrapper.appendChild(link);
+
+      select = wrapper.querySelector("select");
+      select.addEventListener("change", () => Money.setCurrency(select.value));
+    }
+
+    select.value = current;
+    select.title = I18n.t("nav.currencyTitle", { currency: Money.BASE_CURRENCY });
+  });
+}
+
+(function initCurrencySwitcher() {
+  renderCurrencySwitcher();
+  updatePriceElements();
+
+  window.addEventListener("currency:change", () => {
+    renderCurrencySwitcher();
+    updatePriceElements();
+    updateCartBadge();
+  });
+
+  /* Other tabs: pass their currency change on to this page */
+  window.addEventListener("storage", (e) => {
+    if (e.key === AppStorage.keyOf(Money.STORAGE_KEY)) {
+      window.dispatchEvent(new CustomEvent("currency:change", { detail: { currency: Money.getCurrency() } }));
+    }
+  });
+})();
+
+/* ==========================================
+   HEADER LANGUAGE SWITCHER
+   Interface language (i18n.js). Static text marked with data-i18n
+   is translated in place; modules that render text themselves
+   listen for "language:change".
+   ========================================== */
+
+/* Render the language select next to each currency select (once) */
+function renderLanguageSwitcher() {
+  const currencySelects = document.querySelectorAll("[data-currency-switcher]");
+  const current = I18n.getLanguage();
+
+  currencySelects.forEach((currencySelect, index) => {
+    const wrapper = currencySelect.parentElement;
+    let select = wrapper.querySelector("[data-language-switcher]");
+
+    if (!select) {
+      const id = `languageSwitcher${index === 0 ? "" : index + 1}`;
+      const label = document.createElement("label");
+      label.className = "sr-only";
+      label.htmlFor = id;
+      label.setAttribute("data-i18n", "nav.language");
+      label.textContent = I18n.t("nav.language");
+
+      select = document.createElement("select");
+      select.id = id;
+      select.setAttribute("data-language-switcher", "");
+      select.className = currencySelect.className;
+      select.innerHTML = I18n.getLanguages()
+        .map((language) => `<option value="${language.code}" title="${escapeHTML(language.name)}">${language.code.toUpperCase()}</option>`)
+        .join("");
+      select.addEventListener("change", () => I18n.setLanguage(select.value));
+
+      wrapper.insertBefore(label, wrapper.firstChild);
+      wrapper.insertBefore(select, label.nextSibling);
+    }
+
+    select.value = current;
+  });
+}
+
+(function initLanguageSwitcher() {
+  renderLanguageSwitcher();
+  /* Once the page's own scripts have registered their messages */
+  document.addEventListener("DOMContentLoaded", () => I18n.translatePage());
+
+  window.addEventListener("language:change", () => {
+    renderCurrencySwitcher();
+    renderLanguageSwitcher();
+    I18n.translatePage();
+    updateCartBadge();
+  });
+
+  /* Other tabs: pass their language change on to this page */
+  window.addEventListener("storage", (e) => {
+    if (e.key === AppStorage.keyOf(I18n.STORAGE_KEY)) {
+      window.dispatchEvent(new CustomEvent("language:change", { detail: { language: I18n.getLanguage() } }));
+    }
+  });
+})();
@@ -0,0 +1,155 @@
+/* confirmation.js
+   Order confirmation page (confirmation.html?order=AAG-...)
+   - Shows an order from the order history (order-store.js); without an
+     order number the most recent order is shown
+   - Amounts are shown in the currency the order was charged in
+   - Bank transfer orders show the account and reference to pay with
+   - Print uses the browser dialog (header, footer and buttons are hidden
+     from print); Download saves a plain-text receipt
+*/
+
+/* Page text (data-i18n in confirmation.html) and the order details */
+const ConfirmationMessages = I18n.defineMessages('confirmation', {
+  notFound: 'Order not found',
+  notFoundText: 'We could not find that order in this browser. Orders are kept on the device they were placed on.',
+  viewOrders: 'View my orders',
+  confirmed: 'ORDER CONFIRMED',
+  thanks: 'Thank you for your order',
+  order: 'Order',
+  placed: ', placed',
+  emailNote: 'You will receive a confirmation email shortly.',
+  print: 'Print',
+  download: 'Download receipt',
+  myOrders: 'My orders',
+  continueShopping: 'Continue shopping',
+  detailsLabel: 'Order details',
+  items: 'Items',
+  shipTo: 'SHIP TO',
+  shipToLabel: 'Shipping address',
+  method: 'SHIPPING METHOD',
+  methodLabel: 'Shipping method',
+  payment: 'PAYMENT',
+  paymentLabel: 'Payment',
+  totalsLabel: 'Order totals',
+  summary: 'Summary',
+  subtotal: 'SUBTOTAL',
+  shipping: 'SHIPPING',
+  total: 'TOTAL',
+  chargedIn: 'Charged in',
+  pageTitle: 'Aotearoa Adventure Gear | Order {number}',
+  qty: 'QTY {qty}',
+  free: 'FREE',
+  taxes: 'TAXES',
+  notRecorded: 'Not recorded'
+});
+
+(function initConfirmation() {
+  const detailsEl = document.getElementById('orderDetails');
+  if (!detailsEl) return;
+
+  const missingEl = document.getElementById('orderMissing');
+  const number = new URLSearchParams(window.location.search).get('order');
+  const order = number ? OrderStore.get(number) : OrderStore.getAll()[0];
+
+  if (!order) {
+    missingEl?.classList.remove('hidden');
+    return;
+  }
+
+  const formatAmount = amount => Money.format(amount, { currency: order.totals.currency, convert: false });
+  const setText = (id, text) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  };
+
+  function renderItems() {
+    const itemsEl = document.getElementById('orderItems');
+    if (!itemsEl) return;
+
+    itemsEl.innerHTML = order.items.map(item => `
+      <article class="flex items-center gap-5">
+        <figure class="w-20 shrink-0">
+          <div class="flex aspect-square items-center justify-center border border-brand-green-dark bg-brand-green">
+            <img src="${escapeHTML(item.image || 'src/images/logo.png')}" alt="${escapeHTML(item.name)}" class="h-full w-full object-cover" />
+          </div>
+        </figure>
+
+        <div class="min-w-0 flex-1">
+          <p class="text-xs uppercase tracking-widest text-white">${escapeHTML(item.name)}</p>
+          <p class="mt-1 text-xs tracking-widest text-white opacity-80">${[item.variantName, ConfirmationMessages.qty({ qty: item.qty })].filter(Boolean).map(escapeHTML).join(' · ')}</p>
+        </div>
+
+        <p class="text-sm text-white opacity-80">${formatAmount(item.lineTotal)}</p>
+      </article>
+    `).join('');
+  }
+
+  function renderTotals() {
+    const totals = order.totals;
+
+    setText('orderSubtotal', formatAmount(totals.subtotal));
+    setText('orderShipping', totals.shippingCost === 0 ? ConfirmationMessages.free : formatAmount(totals.shippingCost));
+    setText('orderTaxesLabel', totals.taxLabel || ConfirmationMessages.taxes);
+    setText('orderTaxes', formatAmount(totals.taxes));
+    setText('orderTotal', formatAmount(totals.total));
+    setText('orderCurrency', totals.currency);
+
+    const discountsEl = document.getElementById('orderDiscounts');
+    if (discountsEl) {
+      discountsEl.innerHTML = totals.discounts.map(discount => `
+        <div class="flex items-center justify-between gap-4">
+          <dt class="tracking-widest">${escapeHTML(discount.label)}</dt>
+          <dd class="whitespace-nowrap">-${formatAmount(discount.amount)}</dd>
+        </div>
+      `).join('');
+    }
+  }
+
+  function renderDelivery() {
+    const addressEl = document.getElementById('orderAddress');
+    if (addressEl) {
+      addressEl.innerHTML = formatOrderAddress(order.shippingAddress).map(escapeHTML).join('<br />');
+    }
+
+    setText('orderShippingMethod', formatOrderShippingMethod(order.shippingMethod) || ConfirmationMessages.notRecorded);
+    setText('orderPayment', order.payment.label);
+
+    const noteEl = document.getElementById('orderPaymentNote');
+    const note = formatPaymentInstructions(order, formatAmount);
+    if (noteEl && note) {
+      noteEl.textContent = note;
+      noteEl.classList.remove('hidden');
+    }
+  }
+
+  function downloadReceipt() {
+    const blob = new Blob([formatOrderReceipt(order, formatAmount)], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = `${order.number}.txt`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  function render() {
+    setText('orderNumber', order.number);
+    setText('orderDate', new Date(order.placedAt).toLocaleString('en-NZ', { dateStyle: 'medium', timeStyle: 'short' }));
+    document.title = ConfirmationMessages.pageTitle({ number: order.number });
+
+    renderItems();
+    renderTotals();
+    renderDelivery();
+  }
+
+  render();
+  detailsEl.classList.remove('hidden');
+
+  window.addEventListener('language:change', render);
+
+  document.getElementById('printOrder')?.addEventListener('click', () => window.print());
+  document.getElementById('downloadOrder')?.addEventListener('click', downloadReceipt);
+})();
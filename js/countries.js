@@ -0,0 +1,364 @@
+/* countries.js
+   Countries we ship to: postcode formats, phone numbers and address layouts
+
+   Country entry:
+   { name, group,
+     cityLabel,                        // what the city line is called
+     region: { label, options: [{ code, name }] } | null,
+                                       // a required dropdown (state, province)
+     postalCode: { label, pattern, example, spaceBefore?, optional? } | null,
+                                       // null: the country has no postcodes
+     phone: { callingCode, trunkPrefix, pattern, example } }
+
+   Postcode patterns match the compact form (upper case, no spaces);
+   spaceBefore puts the space back, e.g. "SW1A1AA" -> "SW1A 1AA".
+   Phone patterns match the national significant number, i.e. without
+   the calling code and the trunk prefix ("021 123 4567" -> "211234567"),
+   so every number can be normalised to E.164 ("+64211234567").
+*/
+
+/* ==========================================
+   COUNTRY DATA
+   ========================================== */
+
+/* Order of the groups in the country select */
+const COUNTRY_GROUPS = ['Oceania & Pacific', 'North America', 'Europe'];
+
+const US_STATES = [
+  ['AL', 'Alabama'], ['AK', 'Alaska'], ['AZ', 'Arizona'], ['AR', 'Arkansas'], ['CA', 'California'],
+  ['CO', 'Colorado'], ['CT', 'Connecticut'], ['DE', 'Delaware'], ['DC', 'District of Columbia'], ['FL', 'Florida'],
+  ['GA', 'Georgia'], ['HI', 'Hawaii'], ['ID', 'Idaho'], ['IL', 'Illinois'], ['IN', 'Indiana'],
+  ['IA', 'Iowa'], ['KS', 'Kansas'], ['KY', 'Kentucky'], ['LA', 'Louisiana'], ['ME', 'Maine'],
+  ['MD', 'Maryland'], ['MA', 'Massachusetts'], ['MI', 'Michigan'], ['MN', 'Minnesota'], ['MS', 'Mississippi'],
+  ['MO', 'Missouri'], ['MT', 'Montana'], ['NE', 'Nebraska'], ['NV', 'Nevada'], ['NH', 'New Hampshire'],
+  ['NJ', 'New Jersey'], ['NM', 'New Mexico'], ['NY', 'New York'], ['NC', 'North Carolina'], ['ND', 'North Dakota'],
+  ['OH', 'Ohio'], ['OK', 'Oklahoma'], ['OR', 'Oregon'], ['PA', 'Pennsylvania'], ['RI', 'Rhode Island'],
+  ['SC', 'South Carolina'], ['SD', 'South Dakota'], ['TN', 'Tennessee'], ['TX', 'Texas'], ['UT', 'Utah'],
+  ['VT', 'Vermont'], ['VA', 'Virginia'], ['WA', 'Washington'], ['WV', 'West Virginia'], ['WI', 'Wisconsin'],
+  ['WY', 'Wyoming']
+];
+
+const CA_PROVINCES = [
+  ['AB', 'Alberta'], ['BC', 'British Columbia'], ['MB', 'Manitoba'], ['NB', 'New Brunswick'],
+  ['NL', 'Newfoundland and Labrador'], ['NS', 'Nova Scotia'], ['NT', 'Northwest Territories'], ['NU', 'Nunavut'],
+  ['ON', 'Ontario'], ['PE', 'Prince Edward Island'], ['QC', 'Quebec'], ['SK', 'Saskatchewan'], ['YT', 'Yukon']
+];
+
+const AU_STATES = [
+  ['ACT', 'Australian Capital Territory'], ['NSW', 'New South Wales'], ['NT', 'Northern Territory'], ['QLD', 'Queensland'],
+  ['SA', 'South Australia'], ['TAS', 'Tasmania'], ['VIC', 'Victoria'], ['WA', 'Western Australia']
+];
+
+const toRegionOptions = list => list.map(([code, name]) => ({ code, name }));
+
+const COUNTRIES = {
+  /* Oceania & Pacific */
+  NZ: {
+    name: 'New Zealand',
+    group: 'Oceania & Pacific',
+    cityLabel: 'Town/City',
+    region: null,
+    postalCode: { label: 'postcode', pattern: /^\d{4}$/, example: '1010' },
+    phone: { callingCode: '64', trunkPrefix: '0', pattern: /^[2-9]\d{7,9}$/, example: '021 123 4567' }
+  },
+  AU: {
+    name: 'Australia',
+    group: 'Oceania & Pacific',
+    cityLabel: 'Suburb',
+    region: { label: 'State', options: toRegionOptions(AU_STATES) },
+    postalCode: { label: 'postcode', pattern: /^\d{4}$/, example: '2000' },
+    phone: { callingCode: '61', trunkPrefix: '0', pattern: /^[2-9]\d{8}$/, example: '0412 345 678' }
+  },
+  CK: {
+    name: 'Cook Islands',
+    group: 'Oceania & Pacific',
+    cityLabel: 'Island',
+    region: null,
+    postalCode: null,
+    phone: { callingCode: '682', trunkPrefix: '', pattern: /^\d{5}$/, example: '55 123' }
+  },
+  FJ: {
+    name: 'Fiji',
+    group: 'Oceania & Pacific',
+    cityLabel: 'Town/City',
+    region: null,
+    postalCode: null,
+    phone: { callingCode: '679', trunkPrefix: '', pattern: /^\d{7}$/, example: '701 2345' }
+  },
+  PF: {
+    name: 'French Polynesia',
+    group: 'Oceania & Pacific',
+    cityLabel: 'Commune',
+    region: null,
+    postalCode: { label: 'postcode', pattern: /^987\d{2}$/, example: '98714' },
+    phone: { callingCode: '689', trunkPrefix: '', pattern: /^\d{8}$/, example: '87 12 34 56' }
+  },
+  NC: {
+    name: 'New Caledonia',
+    group: 'Oceania & Pacific',
+    cityLabel: 'Commune',
+    region: null,
+    postalCode: { label: 'postcode', pattern: /^988\d{2}$/, example: '98800' },
+    phone: { callingCode: '687', trunkPrefix: '', pattern: /^\d{6}$/, example: '75 12 34' }
+  },
+  PG: {
+    name: 'Papua New Guinea',
+    group: 'Oceania & Pacific',
+    cityLabel: 'Town/City',
+    region: null,
+    postalCode: { label: 'postcode', pattern: /^\d{3}$/, example: '111' },
+    phone: { callingCode: '675', trunkPrefix: '', pattern: /^\d{7,8}$/, example: '7012 3456' }
+  },
+  WS: {
+    name: 'Samoa',
+    group: 'Oceania & Pacific',
+    cityLabel: 'Village/Town',
+    region: null,
+    postalCode: null,
+    phone: { callingCode: '685', trunkPrefix: '', pattern: /^\d{5,7}$/, example: '72 12345' }
+  },
+  TO: {
+    name: 'Tonga',
+    group: 'Oceania & Pacific',
+    cityLabel: 'Village/Town',
+    region: null,
+    postalCode: null,
+    phone: { callingCode: '676', trunkPrefix: '', pattern: /^\d{5,7}$/, example: '771 5123' }
+  },
+  VU: {
+    name: 'Vanuatu',
+    group: 'Oceania & Pacific',
+    cityLabel: 'Town/City',
+    region: null,
+    postalCode: null,
+    phone: { callingCode: '678', trunkPrefix: '', pattern: /^\d{5,7}$/, example: '591 2345' }
+  },
+
+  /* North America */
+  US: {
+    name: 'United States',
+    group: 'North America',
+    cityLabel: 'City',
+    region: { label: 'State', options: toRegionOptions(US_STATES) },
+    postalCode: { label: 'ZIP code', pattern: /^\d{5}(-\d{4})?$/, example: '12345 or 12345-6789' },
+    phone: { callingCode: '1', trunkPrefix: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/, example: '(201) 555-0123' }
+  },
+  CA: {
+    name: 'Canada',
+    group: 'North America',
+    cityLabel: 'City',
+    region: { label: 'Province', options: toRegionOptions(CA_PROVINCES) },
+    postalCode: { label: 'postal code', pattern: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z]\d[ABCEGHJ-NPRSTV-Z]\d$/, example: 'K1A 0B1', spaceBefore: 3 },
+    phone: { callingCode: '1', trunkPrefix: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/, example: '(416) 555-0123' }
+  },
+
+  /* Europe */
+  GB: {
+    name: 'United Kingdom',
+    group: 'Europe',
+    cityLabel: 'Town/City',
+    region: null,
+    postalCode: { label: 'postcode', pattern: /^[A-Z]{1,2}\d[A-Z\d]?\d[A-Z]{2}$/, example: 'SW1A 1AA', spaceBefore: 3 },
+    phone: { callingCode: '44', trunkPrefix: '0', pattern: /^[1-9]\d{8,9}$/, example: '07700 900123' }
+  },
+  IE: {
+    name: 'Ireland',
+    group: 'Europe',
+    cityLabel: 'Town/City',
+    region: null,
+    /* Many Irish addresses are delivered without their Eircode */
+    postalCode: { label: 'Eircode', pattern: /^([AC-FHKNPRTV-Y]\d{2}|D6W)[0-9AC-FHKNPRTV-Y]{4}$/, example: 'D02 X285', spaceBefore: 4, optional: true },
+    phone: { callingCode: '353', trunkPrefix: '0', pattern: /^[1-9]\d{6,8}$/, example: '085 123 4567' }
+  },
+  DK: {
+    name: 'Denmark',
+    group: 'Europe',
+    cityLabel: 'Town/City',
+    region: null,
+    postalCode: { label: 'postcode', pattern: /^\d{4}$/, example: '1050' },
+    phone: { callingCode: '45', trunkPrefix: '', pattern: /^[2-9]\d{7}$/, example: '20 12 34 56' }
+  },
+  FR: {
+    name: 'France',
+    group: 'Europe',
+    cityLabel: 'Town/City',
+    region: null,
+    postalCode: { label: 'postcode', pattern: /^\d{5}$/, example: '75008' },
+    phone: { callingCode: '33', trunkPrefix: '0', pattern: /^[1-9]\d{8}$/, example: '06 12 34 56 78' }
+  },
+  DE: {
+    name: 'Germany',
+    group: 'Europe',
+    cityLabel: 'Town/City',
+    region: null,
+    postalCode: { label: 'postcode', pattern: /^\d{5}$/, example: '10115' },
+    phone: { callingCode: '49', trunkPrefix: '0', pattern: /^[1-9]\d{5,13}$/, example: '030 123456' }
+  },
+  IT: {
+    name: 'Italy',
+    group: 'Europe',
+    cityLabel: 'Town/City',
+    region: null,
+    postalCode: { label: 'postcode (CAP)', pattern: /^\d{5}$/, example: '00184' },
+    /* Italian numbers keep their leading 0 after the calling code */
+    phone: { callingCode: '39', trunkPrefix: '', pattern: /^[03]\d{5,10}$/, example: '312 345 6789' }
+  },
+  NL: {
+    name: 'Netherlands',
+    group: 'Europe',
+    cityLabel: 'Town/City',
+    region: null,
+    postalCode: { label: 'postcode', pattern: /^[1-9]\d{3}[A-Z]{2}$/, example: '1012 AB', spaceBefore: 2 },
+    phone: { callingCode: '31', trunkPrefix: '0', pattern: /^[1-9]\d{8}$/, example: '06 12345678' }
+  },
+  ES: {
+    name: 'Spain',
+    group: 'Europe',
+    cityLabel: 'Town/City',
+    region: null,
+    postalCode: { label: 'postcode', pattern: /^\d{5}$/, example: '28013' },
+    phone: { callingCode: '34', trunkPrefix: '', pattern: /^[5-9]\d{8}$/, example: '612 345 678' }
+  },
+  SE: {
+    name: 'Sweden',
+    group: 'Europe',
+    cityLabel: 'Town/City',
+    region: null,
+    postalCode: { label: 'postcode', pattern: /^\d{5}$/, example: '111 22', spaceBefore: 2 },
+    phone: { callingCode: '46', trunkPrefix: '0', pattern: /^[1-9]\d{6,9}$/, example: '070 123 45 67' }
+  }
+};
+
+/* ==========================================
+   LOOKUP
+   ========================================== */
+
+/**
+ * Entry of a country code, or null when we do not ship there (own
+ * entries only, so "constructor" is not a country)
+ */
+function getCountryMeta(code) {
+  return Object.prototype.hasOwnProperty.call(COUNTRIES, code) ? COUNTRIES[code] : null;
+}
+
+/**
+ * Countries for the country select: [{ code, name, group }] by group, in
+ * the order of COUNTRIES (our main markets first, then by name)
+ */
+function getCountryList() {
+  return Object.keys(COUNTRIES)
+    .map(code => ({ code, name: COUNTRIES[code].name, group: COUNTRIES[code].group }))
+    .sort((a, b) => COUNTRY_GROUPS.indexOf(a.group) - COUNTRY_GROUPS.indexOf(b.group));
+}
+
+/**
+ * Regions of a country's dropdown as [{ code, name }] ([] when it has none)
+ */
+function getRegionList(country) {
+  const meta = getCountryMeta(country);
+  return meta && meta.region ? meta.region.options : [];
+}
+
+/**
+ * Whether an address in the country must pick a region (state, province)
+ */
+function isRegionRequired(country) {
+  return getRegionList(country).length > 0;
+}
+
+/**
+ * Address fields of a country, for building the form:
+ * { cityLabel, region: { label, options } | null,
+ *   postalCode: { label, example, required } | null }
+ */
+function getAddressLayout(country) {
+  const meta = getCountryMeta(country);
+  if (!meta) {
+    return { cityLabel: 'City', region: null, postalCode: { label: 'postal code', example: '', required: true } };
+  }
+
+  return {
+    cityLabel: meta.cityLabel,
+    region: meta.region,
+    postalCode: meta.postalCode
+      ? { label: meta.postalCode.label, example: meta.postalCode.example, required: !meta.postalCode.optional }
+      : null
+  };
+}
+
+/* ==========================================
+   POSTCODES & PHONES
+   ========================================== */
+
+/**
+ * Whether addresses in the country have postcodes (unknown countries: yes)
+ */
+function hasPostalCode(country) {
+  const meta = getCountryMeta(country);
+  return !meta || Boolean(meta.postalCode);
+}
+
+/**
+ * Postcode in its standard form, e.g. "sw1a1aa" -> "SW1A 1AA" ('' when invalid).
+ * Countries we do not know are accepted as typed (trimmed, upper case).
+ */
+function formatPostalCode(postalCode, country) {
+  const meta = getCountryMeta(country);
+  const text = String(postalCode ?? '').trim().toUpperCase();
+
+  if (!meta) return text;
+  if (!meta.postalCode) return '';
+
+  const compact = text.replace(/\s+/g, '');
+  if (!meta.postalCode.pattern.test(compact)) return '';
+
+  const { spaceBefore } = meta.postalCode;
+  return spaceBefore ? `${compact.slice(0, -spaceBefore)} ${compact.slice(-spaceBefore)}` : compact;
+}
+
+function isValidPostalCode(postalCode, country) {
+  return formatPostalCode(postalCode, country) !== '';
+}
+
+/**
+ * Phone number in E.164 form ("+64211234567"), '' when it is not a valid
+ * number for the country. Accepts national numbers ("021 123 4567"),
+ * international ones ("+64 21 123 4567", "0064...") and the calling code
+ * without the plus ("6421...").
+ */
+function normalizePhone(phone, country) {
+  const meta = getCountryMeta(country);
+  const text = String(phone ?? '').replace(/[\s\-().]/g, '');
+  if (!meta || !/^(\+|00)?\d+$/.test(text)) return '';
+
+  const { callingCode, trunkPrefix, pattern } = meta.phone;
+  const candidates = [];
+
+  if (/^(\+|00)/.test(text)) {
+    const international = text.replace(/^(\+|00)/, '');
+    if (international.startsWith(callingCode)) candidates.push(international.slice(callingCode.length));
+  } else {
+    if (text.startsWith(callingCode)) candidates.push(text.slice(callingCode.length));
+    candidates.push(trunkPrefix && text.startsWith(trunkPrefix) ? text.slice(trunkPrefix.length) : text);
+  }
+
+  const national = candidates.find(number => pattern.test(number));
+  return national ? `+${callingCode}${national}` : '';
+}
+
+/* Allow the country rules to be used in Node (validation.js, tests, tooling) */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    COUNTRY_GROUPS,
+    COUNTRIES,
+    getCountryMeta,
+    getCountryList,
+    getRegionList,
+    isRegionRequired,
+    getAddressLayout,
+    hasPostalCode,
+    formatPostalCode,
+    isValidPostalCode,
+    normalizePhone
+  };
+}
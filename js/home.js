@@ -1,20 +1,37 @@
 /* home.js
    Home page with AOS (Animate On Scroll) library
    Animates all sections on scroll
-   Includes countdown timer for limited offers
+   Includes countdown timer for the scheduled promotions (promotions.js)
 */
 
-/* Countdown Timer Storage Key */
-const COUNTDOWN_KEY = 'aag_countdown_end';
-const COUNTDOWN_DURATION = 24 * 60 * 60 * 1000; /* 24 hours in milliseconds */
-
 (function initHome() {
-  initSwiperCarousel();
+  initFeaturedProducts();
   initFloatingAnchor("#floatingAnchor");
   initAOSAnimations();
   initCountdownTimer();
 })();
 
+/**
+ * Render the featured carousel and product grid from the catalog,
+ * then start Swiper once the slides exist
+ */
+async function initFeaturedProducts() {
+  const slidesEl = document.getElementById('featuredSlides');
+  const gridLargeEl = document.getElementById('homeGridLarge');
+  const gridSmallEl = document.getElementById('homeGridSmall');
+
+  try {
+    const catalog = await loadCatalog();
+    renderHomeCarousel(slidesEl, getFeaturedProducts(catalog));
+    renderHomeGrid(gridLargeEl, gridSmallEl, catalog.products);
+  } catch (err) {
+    console.warn('Could not load product catalog', err);
+    renderCatalogError(gridSmallEl);
+  }
+
+  initSwiperCarousel();
+}
+
 /**
  * Initialize AOS (Animate On Scroll) library
  */
@@ -158,98 +175,86 @@ function initFloatingAnchor(selector) {
 
 /* ========================================
    COUNTDOWN TIMER
-   Creates urgency with a persistent timer
+   Counts down to the end of the running promotion campaign,
+   or to the start of the next one between campaigns
    ======================================== */
 
 /**
- * Initialize countdown timer with localStorage persistence
+ * Initialize countdown timer from the promotion schedule.
+ * options.now: clock function returning a timestamp (defaults to Date.now),
+ * options.promotions: schedule to use (defaults to PROMOTIONS)
  */
-function initCountdownTimer() {
+function initCountdownTimer(options = {}) {
+  const now = options.now || (() => Date.now());
+  const promotions = options.promotions || PROMOTIONS;
+
+  const bannerEl = document.getElementById('countdownBanner');
+  const labelEl = document.getElementById('countdownLabel');
+  const headingEl = document.getElementById('countdownHeading');
+  const dealEl = document.getElementById('countdownDeal');
+  const daysEl = document.getElementById('countDays');
   const hoursEl = document.getElementById('countHours');
   const minutesEl = document.getElementById('countMinutes');
   const secondsEl = document.getElementById('countSeconds');
   const timerContainer = document.getElementById('countdownTimer');
   
-  if (!hoursEl || !minutesEl || !secondsEl) return;
-  
-  /* Get or set the countdown end time */
-  let endTime = getCountdownEndTime();
+  if (!bannerEl || !hoursEl || !minutesEl || !secondsEl) return null;
+
+  let intervalId = null;
   
   /* Update timer every second */
   function updateTimer() {
-    const now = Date.now();
-    const remaining = endTime - now;
+    const state = getCountdownDisplay(now(), promotions);
     
-    if (remaining <= 0) {
-      /* Timer expired - reset for new 24h period */
-      endTime = resetCountdown();
-      showExpiredMessage();
-      return;
+    if (state.mode === 'none') {
+      /* No campaign running or scheduled: no fake urgency */
+      bannerEl.classList.add('hidden');
+      stop();
+      return state;
     }
-    
-    /* Calculate hours, minutes, seconds */
-    const hours = Math.floor(remaining / (1000 * 60 * 60));
-    const minutes = Math.floor((remaining % (1000 * 60 * 60)) / (1000 * 60));
-    const seconds = Math.floor((remaining % (1000 * 60)) / 1000);
+
+    bannerEl.classList.remove('hidden');
+
+    labelEl.textContent = state.label;
+    headingEl.textContent = state.heading;
+    dealEl.textContent = state.promotion.label;
     
     /* Update display with leading zeros */
-    hoursEl.textContent = String(hours).padStart(2, '0');
-    minutesEl.textContent = String(minutes).padStart(2, '0');
-    secondsEl.textContent = String(seconds).padStart(2, '0');
-    
-    /* Add urgency effect when less than 1 hour */
-    if (remaining < 60 * 60 * 1000) {
-      timerContainer.classList.add('animate-pulse');
-    }
-  }
-  
-  /* Get end time from localStorage or create new one */
-  function getCountdownEndTime() {
-    try {
-      const stored = localStorage.getItem(COUNTDOWN_KEY);
-      if (stored) {
-        const endTime = parseInt(stored, 10);
-        if (endTime > Date.now()) {
-          return endTime;
-        }
-      }
-    } catch (e) {
-      console.warn('localStorage not available');
+    if (daysEl) {
+      daysEl.textContent = `${state.days}d`;
+      daysEl.classList.toggle('hidden', state.days === 0);
     }
+    hoursEl.textContent = String(state.hours).padStart(2, '0');
+    minutesEl.textContent = String(state.minutes).padStart(2, '0');
+    secondsEl.textContent = String(state.seconds).padStart(2, '0');
     
-    /* Create new countdown */
-    return resetCountdown();
+    /* Add urgency effect when a running offer has less than 1 hour left */
+    timerContainer?.classList.toggle('animate-pulse', state.urgent);
+
+    return state;
   }
-  
-  /* Reset countdown to new 24h period */
-  function resetCountdown() {
-    const newEndTime = Date.now() + COUNTDOWN_DURATION;
-    try {
-      localStorage.setItem(COUNTDOWN_KEY, String(newEndTime));
-    } catch (e) {
-      console.warn('Could not save countdown');
+
+  function stop() {
+    if (intervalId !== null) {
+      clearInterval(intervalId);
+      intervalId = null;
     }
-    return newEndTime;
-  }
-  
-  /* Show brief expired message then reset */
-  function showExpiredMessage() {
-    hoursEl.textContent = '00';
-    minutesEl.textContent = '00';
-    secondsEl.textContent = '00';
-    
-    /* Brief pause then restart */
-    setTimeout(() => {
-      timerContainer.classList.remove('animate-pulse');
-      updateTimer();
-    }, 2000);
   }
   
   /* Initial update */
-  updateTimer();
+  const initialState = updateTimer();
   
-  /* Update every second */
-  setInterval(updateTimer, 1000);
+  /* Update every second (the schedule decides when to switch or hide) */
+  if (initialState.mode !== 'none') {
+    intervalId = setInterval(updateTimer, 1000);
+  }
+
+  /* Label and heading follow the chosen language */
+  window.addEventListener('language:change', () => {
+    if (intervalId !== null) updateTimer();
+  });
   
   console.log('✅ Countdown timer initialized!');
+
+  return { update: updateTimer, stop };
 }
@@ -0,0 +1,529 @@
+/* i18n.js
+   Translations of the interface for Aotearoa Adventure Gear
+
+   - Messages are looked up by key ("validation.required") in the catalog
+     of the chosen language, falling back to English, then to the key
+   - {name} placeholders are filled from the params:
+       t('cart.count', { count: 3 })
+   - A message can have plural forms chosen with Intl.PluralRules from
+     params.count: { one: '{count} item', other: '{count} items' }
+   - Modules keep their English text where it is used and register it with
+     defineMessages(), which returns an object resolving each message in
+     the current language (ErrorMessages, CheckoutMessages...). Other
+     languages only list the keys they translate.
+   - Static page text is marked with data-i18n="key" (text) and
+     data-i18n-placeholder / data-i18n-aria-label (attributes);
+     translatePage() fills them in. The page's script registers the
+     English text, so common.js translates once the scripts have run
+   - The chosen language is remembered in AppStorage (storage.js) and every
+     change dispatches a "language:change" event on window
+
+   The te reo Māori catalog covers the shared header, the checkout pages
+   (cart, shipping, payment, confirmation, My Orders), reviews and their
+   moderation, the home page countdown, receipts and the messages shown
+   while shopping. The other pages' copy stays in English, as does the
+   data the text is built from: product text from the catalog, promotion
+   names, payment labels recorded with an order, and the address field
+   and tax names of each country (countries.js, tax.js). It should be
+   checked by a fluent speaker before release.
+
+   Loaded before common.js on every page.
+*/
+
+/* ==========================================
+   CONFIGURATION
+   ========================================== */
+
+const I18N_DEFAULT_LANGUAGE = 'en';
+
+const I18N_LANGUAGES = {
+  en: { name: 'English', htmlLang: 'en-NZ' },
+  mi: { name: 'Te reo Māori', htmlLang: 'mi' }
+};
+
+const LANGUAGE_STORAGE_KEY = 'language';
+
+const I18N_CATALOGS = {
+  /* Shared interface; modules add their own messages with defineMessages() */
+  en: {
+    'nav.home': 'Home',
+    'nav.about': 'About',
+    'nav.shop': 'Shop',
+    'nav.help': 'Help',
+    'nav.orders': 'My Orders',
+    'nav.cart': 'Your Cart',
+    'nav.search': 'Search...',
+    'nav.language': 'Language',
+    'nav.currency': 'Display currency',
+    'nav.currencyTitle': 'Prices are charged in {currency}; other currencies are shown at indicative rates',
+    'cart.empty': 'Your cart is empty',
+    'cart.summary': {
+      one: 'Your cart: {count} item, subtotal {subtotal}',
+      other: 'Your cart: {count} items, subtotal {subtotal}'
+    }
+  },
+
+  mi: {
+    'nav.home': 'Kāinga',
+    'nav.about': 'Mō mātou',
+    'nav.shop': 'Toa',
+    'nav.help': 'Āwhina',
+    'nav.orders': 'Aku Ota',
+    'nav.cart': 'Tō Kete',
+    'nav.search': 'Rapu...',
+    'nav.language': 'Reo',
+    'nav.currency': 'Moni whakaatu',
+    'nav.currencyTitle': 'Ka utua ngā utu ki te {currency}; he utu tata noa ō ētahi atu moni',
+    'cart.empty': 'Kei te kau tō kete',
+    'cart.summary': {
+      one: 'Tō kete: {count} taonga, tapeke iti {subtotal}',
+      other: 'Tō kete: {count} taonga, tapeke iti {subtotal}'
+    },
+
+    /* validation.js */
+    'validation.required': 'Me whakakī tēnei āpure',
+    'validation.firstName': 'Tāurutia he ingoa tuatahi tika (2-50 pū)',
+    'validation.lastName': 'Tāurutia he ingoa whānau tika (2-50 pū)',
+    'validation.email': 'Tāurutia he wāhitau īmēra tika (hei tauira, ingoa@example.com)',
+    'validation.phone': 'Tāurutia he nama waea tika',
+    'validation.phoneCountry': 'Tāurutia he nama waea tika mō {country} (hei tauira, {example})',
+    'validation.postalCode': 'Tāurutia he waehere poutāpeta tika',
+    'validation.postalCodeCountry': 'Tāurutia he {label} tika mō {country} (hei tauira, {example})',
+    'validation.address': 'Tāurutia he wāhitau tika (kia 5 pū neke atu)',
+    'validation.city': 'Tāurutia he ingoa tāone tika',
+    'validation.country': 'Tīpakohia he whenua',
+    'validation.state': 'Tīpakohia he kāwanatanga',
+    'validation.region': 'Tīpakohia he {region}',
+    'validation.cardNumber': 'Tāurutia he nama kāri tika (13-19 mati)',
+    'validation.cardExpiry': 'Tāurutia he rā pau tika (MM/YY)',
+    'validation.cardExpiryPast': 'Kua pau te kāri. Whakamahia he kāri tika',
+    'validation.cardNumberScheme': 'Tāurutia he nama kāri {scheme} tika ({lengths} mati)',
+    'validation.cvv': 'Tāurutia he CVV tika (3 mati kei muri i te kāri, 4 kei mua mō Amex)',
+    'validation.cvvScheme': 'Tāurutia te waehere haumaru {length} mati o tō kāri {scheme}',
+    'validation.cardHolder': 'Tāurutia te ingoa o te kaipupuri kāri, pērā i tōna āhua i te kāri',
+    'validation.giftCardNumber': 'Tāurutia te nama kāri koha, 16 ōna mati',
+    'validation.giftCardPin': 'Tāurutia te PIN, 4 ōna mati, kei muri i te kāri koha',
+    'validation.currency': 'Tāurutia he moni tika, nui ake i te kore',
+    'validation.option': 'Tīpakohia he {option}',
+    'validation.variantUnavailable': 'Kāore tēnei kōwhiringa i te wātea. Tīpakohia tētahi atu',
+    'validation.variantSoldOut': 'Kua pau katoa tēnei kōwhiringa',
+    'validation.variantInCart': 'Kei tō kete kē ngā {count} katoa e toe ana',
+    'validation.quantity': 'Tāurutia he rahinga tika (1 neke atu)',
+    'validation.quantityMax': 'Ko te 99 te rahinga nui rawa',
+    'validation.quantityStock': '{count} noa iho e toe ana',
+    'validation.product': 'Kāore e wātea ana tēnei taonga i nāianei',
+    'validation.reviewRating': 'Tīpakohia he whetū',
+    'validation.reviewTitle': 'Tāurutia he taitara, {min} ki te {max} pū',
+    'validation.reviewBody': 'Tuhia he {min} ki te {max} pū mō te taonga',
+    'validation.reviewAuthor': 'Tāurutia te ingoa hei whakaatu me tō arotake ({min} ki te {max} pū)',
+    'newsletter.thanks': 'Ngā mihi mō tō ohauru mai!',
+    'newsletter.already': 'Kua ohauru kē koe. Ngā mihi!',
+
+    /* Payment (validation.js) */
+    'paymentForm.processing': 'E tukatuka ana…',
+    'paymentForm.verifyTitle': 'Manatokohia tō kāri',
+    'paymentForm.verifyText': 'Me whakaū tō pēke i tēnei utu (3-D Secure, he whakatauira).',
+    'paymentForm.verifyApprove': 'Whakaotia te manatoko',
+    'paymentForm.verifyCancel': 'Kaua e manatoko',
+    'paymentForm.redirectText': 'Ka haria koe ināianei ki {provider} ki te takiuru me te whakaae ki tēnei utu (he whakatauira).',
+    'paymentForm.redirectApprove': 'Whakaaetia te utu',
+    'paymentForm.redirectCancel': 'Whakakorea, ka hoki',
+    'paymentForm.payLaterProvider': 'tō kaiwhakarato utu ā-muri',
+    'paymentForm.payLaterTitle': 'Utu ā-Muri',
+    'paymentForm.cartEmptied': 'Kei te kau tō kete, nō reira kāore he ota i tukuna, ā, kāore he utu i tangohia. Tirohia Aku Ota mō tētahi ota kua tukuna kē e koe.',
+
+    /* payment-providers.js */
+    'payment.card_declined': 'Kāore i whakaaetia tō kāri. Whakamahia he kāri kē.',
+    'payment.insufficient_funds': 'Kāore i te rawaka te moni i tō kāri. Whakamahia he kāri kē.',
+    'payment.expired_card': 'Kua pau tō kāri. Tirohia te rā pau, whakamahia rānei he kāri kē.',
+    'payment.incorrect_cvc': 'Kāore i tika te waehere haumaru (CVV).',
+    'payment.authentication_failed': 'Kāore i taea tō kāri te manatoko me tō pēke. Whakamātau anō, whakamahia rānei he kāri kē.',
+    'payment.payment_cancelled': 'I whakakorea te utu.',
+    'payment.timeout': 'Kāore te ratonga utu i whakautu. Kāore koe i utu, whakamātau anō.',
+    'payment.invalid_gift_card': 'Kāore i tika te nama kāri koha, te PIN rānei.',
+    'payment.insufficient_balance': 'Kāore i te rawaka te toenga o te kāri koha mō tēnei ota.',
+    'payment.pay_later_limit': 'Kāore e wātea te utu ā-muri mō te tapeke o tēnei ota.',
+
+    /* payment-methods.js */
+    'paymentMethods.payLaterSchedule': {
+      one: '{count} utu ia rua wiki, {amount} ia utu, ko te tuatahi i tēnei rā',
+      other: '{count} utu ia rua wiki, {amount} ia utu, ko te tuatahi i tēnei rā'
+    },
+
+    /* cart.js */
+    'cartPage.removed': 'Kua tangohia a "{name}" i tō kete.',
+    'cartPage.savedForLater': 'Kua tiakina a "{name}" mō muri ake.',
+    'cartPage.movedToCart': 'Kua whakahokia a "{name}" ki tō kete.',
+    'cartPage.stockReduced': '{count} noa iho o "{name}" e toe ana, nō reira kua whakahekea te rahinga.',
+    'cartPage.soldOut': 'Kua pau katoa a "{name}", ā, kua tiakina mō muri ake.',
+    'cartPage.lowStock': '{count} noa iho e toe ana',
+    'cartPage.outOfStock': 'Kua pau',
+    'cartPage.quantity': 'Rahinga',
+    'cartPage.decrease': 'Whakahekea te rahinga o {name}',
+    'cartPage.increase': 'Whakapikia te rahinga o {name}',
+    'cartPage.remove': 'TANGOHIA',
+    'cartPage.saveForLater': 'TIAKI MŌ MURI',
+    'cartPage.moveToCart': 'HOKI KI TE KETE',
+    'cartPage.undo': 'WHAKAKOREA',
+    'cartPage.heading': 'Kete Hokohoko',
+    'cartPage.itemsLabel': 'Ngā taonga o te kete',
+    'cartPage.emptyHint': 'Kimihia tō haerenga e whai ake nei i te toa, whakahokia mai rānei tētahi mea i ō taonga kua tiakina.',
+    'cartPage.continueShopping': 'HOKOHOKO TONU',
+    'cartPage.savedHeading': 'Kua tiakina mō muri',
+    'cartPage.promoLabel': 'TĀURUTIA TE WAEHERE WHAKAHEKE',
+    'cartPage.promoCode': 'Waehere whakaheke',
+    'cartPage.promoApply': 'Whakamahia',
+    'cartPage.promoRemove': 'Tangohia',
+
+    /* product.js */
+    'product.from': 'Mai i',
+    'product.sku': 'SKU {sku}',
+    'product.inStock': 'Kei te wātea',
+    'product.lowStock': '{count} noa iho e toe ana',
+    'product.soldOut': 'Kua pau',
+    'product.chooseOptions': 'Tīpakohia te {options} kia kitea mēnā kei te wātea',
+    'product.unavailableValue': '{value} (kāore i te wātea)',
+
+    /* reviews.js */
+    'reviews.heading': 'Ngā Arotake',
+    'reviews.basedOn': {
+      one: 'I ahu mai i te {count} arotake',
+      other: 'I ahu mai i ngā arotake {count}'
+    },
+    'reviews.starCount': {
+      one: '{count} whetū',
+      other: '{count} whetū'
+    },
+    'reviews.distributionLabel': '{stars}: {count}',
+    'reviews.empty': 'Kāore anō he arotake. Ko koe pea te tuatahi ki te arotake i tēnei taonga.',
+    'reviews.sortBy': 'Raupapahia mā',
+    'reviews.sortNewest': 'Hōu rawa',
+    'reviews.sortHelpful': 'Whai hua rawa',
+    'reviews.helpful': 'WHAI HUA ({count})',
+    'reviews.voted': 'I WHAI HUA KI A KOE ({count})',
+    'reviews.writeHeading': 'Tuhia he arotake',
+    'reviews.rating': 'Tō whakatau',
+    'reviews.title': 'Taitara',
+    'reviews.body': 'Tō arotake',
+    'reviews.author': 'Te ingoa ka whakaaturia me tō arotake',
+    'reviews.submit': 'Tukuna te Arotake',
+    'reviews.submitted': 'Ngā mihi! Ka puta tō arotake ina oti te tirotiro.',
+    'reviews.submitFailed': 'Kāore i taea te tiaki i tō arotake. Whakamātauria anō.',
+
+    /* moderation.js */
+    'moderation.heading': 'Te Whakahaere Arotake',
+    'moderation.intro': 'Ka tatari ngā arotake hōu i konei kia whakaaetia rā anō. Ka puta ngā arotake kua whakaaetia ki te whārangi o te taonga, ā, ka tatauria ki tōna whakatau; ka hunaia ngā arotake kua whakakāhoretia.',
+    'moderation.pending': 'E TATARI ANA ({count})',
+    'moderation.approved': 'KUA WHAKAAETIA ({count})',
+    'moderation.rejected': 'KUA WHAKAKĀHORETIA ({count})',
+    'moderation.emptyPending': 'Kāore he arotake e tatari ana kia whakahaerehia.',
+    'moderation.emptyApproved': 'Kāore anō he arotake kia whakaaetia.',
+    'moderation.emptyRejected': 'Kāore he arotake kua whakakāhoretia.',
+    'moderation.approve': 'WHAKAAETIA',
+    'moderation.reject': 'WHAKAKĀHORETIA',
+    'moderation.helpful': 'I whai hua ki te {count}',
+    'moderation.approvedReview': 'Kua whakaaetia a "{title}".',
+    'moderation.rejectedReview': 'Kua whakakāhoretia a "{title}".',
+    'moderation.loadFailed': 'Kāore i taea te uta i ngā arotake. Whakahoutia te whārangi.',
+
+    /* checkout.js */
+    'checkout.emptyCart': 'Kei te kau tō kete. Tāpirihia he taonga i mua i te utu.',
+    'checkout.missingShipping': 'Tāurutia ō taipitopito tuku i te tuatahi.',
+    'checkout.cartChanged': 'Kua rerekē tō kete mai i tō kōwhiringa tuku. Tirohia anō ō taipitopito tuku.',
+    'checkout.shippingRejected': 'Tirohia anō ō taipitopito tuku i mua i te utu.',
+    'checkout.stepCompleted': 'kua oti',
+    'checkout.stepNotStarted': 'kāore anō kia tīmata',
+    'checkout.stepUnavailable': 'kāore anō kia wātea',
+    'checkout.next': 'Haere tonu',
+    'checkout.back': 'Hoki',
+    'checkout.cancel': 'Whakakore',
+    'checkout.summary': 'Whakarāpopototanga',
+    'checkout.summaryLabel': 'Whakarāpopototanga o te ota',
+    'checkout.voucher': 'HE WAUTA TŌU?',
+    'checkout.subtotal': 'TAPEKE ITI',
+    'checkout.shipping': 'TUKU',
+    'checkout.total': 'TAPEKE',
+    'checkoutStep.cart': 'Kete Hokohoko',
+    'checkoutStep.shipping': 'Taipitopito Tuku',
+    'checkoutStep.payment': 'Kōwhiringa Utu',
+
+    /* address-book.js */
+    'addressBook.saved': 'Kua tiakina a "{label}" ki tō pukapuka wāhitau.',
+    'addressBook.updated': 'Kua whakahōungia a "{label}".',
+    'addressBook.deleted': 'Kua mukua a "{label}".',
+    'addressBook.invalid': 'Kāore ētahi taipitopito o tēnei wāhitau i te tika. Whakatikahia ngā āpure kua tohua.',
+    'addressBook.empty': 'Kāore anō kia tiakina he wāhitau. Whakakīia te puka, ka kōwhiri i te Tiaki wāhitau kia pupuri ai mō te wā e heke mai nei.',
+    'addressBook.confirmDelete': 'Me muku a "{label}" i tō pukapuka wāhitau?',
+    'addressBook.save': 'Tiaki wāhitau',
+    'addressBook.full': 'Ka {limit} noa iho ngā wāhitau ka taea te pupuri. Mukua tētahi kia tiaki ai i tētahi atu.',
+    'addressBook.update': 'Whakahōu i a "{label}"',
+    'addressBook.isDefault': 'TAUNOA',
+    'addressBook.use': 'WHAKAMAHIA',
+    'addressBook.edit': 'WHAKATIKA',
+    'addressBook.makeDefault': 'WHAKATAUNOATIA',
+    'addressBook.delete': 'MUKUA',
+
+    /* shipping.js */
+    'shipping.freeApplied': 'KUA WHAKAMAHIA TE TUKU KORE UTU',
+    'shipping.freeOver': 'HE KORE UTU TE TUKU MŌ NGĀ OTA NEKE ATU I TE {amount}',
+    'shipping.heading': 'Taipitopito Tuku',
+    'shipping.formLabel': 'Puka taipitopito tuku',
+    'shipping.savedAddresses': 'NGĀ WĀHITAU KUA TIAKINA',
+    'shipping.customerDetails': 'Ō taipitopito',
+    'shipping.firstName': 'Ingoa Tuatahi',
+    'shipping.firstNamePlaceholder': 'Ingoa Tuatahi *',
+    'shipping.lastName': 'Ingoa Whānau',
+    'shipping.lastNamePlaceholder': 'Ingoa Whānau *',
+    'shipping.address': 'Wāhitau',
+    'shipping.addressPlaceholder': 'Wāhitau *',
+    'shipping.address2': 'Wāhitau 2',
+    'shipping.address2Placeholder': 'Wāhitau 2 (kōwhiringa noa)',
+    'shipping.country': 'Whenua',
+    'shipping.countryPlaceholder': 'Whenua *',
+    'shipping.phone': 'Nama Waea',
+    'shipping.addressBook': 'Pukapuka wāhitau',
+    'shipping.addressName': 'Ingoa wāhitau',
+    'shipping.addressNamePlaceholder': 'Ingoa wāhitau, hei tauira, Kāinga, Mahi rānei',
+    'shipping.cancelEdit': 'WHAKAKOREA',
+    'shipping.method': 'Tikanga tuku',
+    'shipping.nothingToShip': 'Kei te kau tō kete, nō reira kāore he mea hei tuku.',
+    'shipping.free': 'KORE UTU',
+    'shipping.arrives': 'Ka tae mai {date}',
+    'shipping.optional': '{field} (kōwhiringa noa)',
+    'shipping.cityTitle': 'Whakaurua he {field} tika',
+    'shipping.postalCodeExample': 'hei tauira, {example}',
+    'shipping.postalCodeTitle': 'Whakaurua tō {field}',
+    'shipping.phonePlaceholder': 'Nama Waea *',
+    'shipping.phoneExample': 'Nama Waea * (hei tauira, {example})',
+    'shipping.phoneTitle': 'Whakaurua he nama waea tika',
+
+    /* summary.js */
+    'summary.empty': 'Kei te kau tō kete.',
+    'summary.imageAlt': 'Whakarāpopototanga ota {name}',
+    'summary.qty': 'MAHA {qty}',
+    'summary.free': 'KORE UTU',
+
+    /* payment.js */
+    'paymentPage.heading': 'Tikanga utu',
+    'paymentPage.chooseMethod': 'Kōwhiria he tikanga utu',
+    'paymentPage.card': 'Kāri Nama',
+    'paymentPage.cardLabel': 'Kāri nama',
+    'paymentPage.cardNumber': 'Nama kāri',
+    'paymentPage.expiry': 'Rā pau',
+    'paymentPage.cardHolder': 'Ingoa o te Kaipupuri Kāri',
+    'paymentPage.cardHolderPlaceholder': 'Ingoa o te Kaipupuri Kāri *',
+    'paymentPage.payLater': 'Utu ā-Muri',
+    'paymentPage.payLaterLabel': 'Utu ā-muri mā ngā wāhanga',
+    'paymentPage.payLaterText': 'Wāwāhia te ota hei utu kore huamoni. Ka whakaaetia e koe te mahere me te kaiwhakarato.',
+    'paymentPage.payLaterEmail': 'Īmēra o tō pūkete utu ā-muri',
+    'paymentPage.payLaterEmailPlaceholder': 'Īmēra o tō pūkete utu ā-muri *',
+    'paymentPage.giftCard': 'Kāri Koha',
+    'paymentPage.giftCardLabel': 'Kāri koha',
+    'paymentPage.giftCardText': 'Whakamahia he kāri koha nō Aotearoa Adventure Gear. Me rawaka te toenga mō te ota katoa.',
+    'paymentPage.giftCardNumber': 'Nama kāri koha',
+    'paymentPage.giftCardNumberPlaceholder': 'Nama kāri koha *',
+    'paymentPage.giftCardPin': 'PIN kāri koha',
+    'paymentPage.bankTransfer': 'Whakawhiti Pēke',
+    'paymentPage.bankTransferLabel': 'Whakawhiti pēke',
+    'paymentPage.bankTransferText': 'Utua mai i tō pūkete pēke. Ka whakaaturia tā mātou nama pūkete me tō tohutoro utu ina tukuna te ota, ā, ka tukuna atu te ota ina tae mai te utu.',
+    'paymentPage.payNow': 'Utu Ināianei',
+
+    /* confirmation.js */
+    'confirmation.notFound': 'Kāore i kitea te ota',
+    'confirmation.notFoundText': 'Kāore i kitea taua ota i tēnei pūtirotiro. Ka pupuritia ngā ota ki te pūrere i tukuna ai.',
+    'confirmation.viewOrders': 'Tirohia aku ota',
+    'confirmation.confirmed': 'KUA WHAKAŪHIA TE OTA',
+    'confirmation.thanks': 'Ngā mihi mō tō ota',
+    'confirmation.order': 'Ota',
+    'confirmation.placed': ', i tukuna',
+    'confirmation.emailNote': 'Ākuanei ka tae mai he īmēra whakaū.',
+    'confirmation.print': 'Tāngia',
+    'confirmation.download': 'Tikiake te rihīti',
+    'confirmation.myOrders': 'Aku ota',
+    'confirmation.continueShopping': 'Hokohoko tonu',
+    'confirmation.detailsLabel': 'Taipitopito ota',
+    'confirmation.items': 'Ngā taonga',
+    'confirmation.shipTo': 'TUKUNA KI',
+    'confirmation.shipToLabel': 'Wāhitau tuku',
+    'confirmation.method': 'TIKANGA TUKU',
+    'confirmation.methodLabel': 'Tikanga tuku',
+    'confirmation.payment': 'UTU',
+    'confirmation.paymentLabel': 'Utu',
+    'confirmation.totalsLabel': 'Ngā tapeke o te ota',
+    'confirmation.summary': 'Whakarāpopototanga',
+    'confirmation.subtotal': 'TAPEKE ITI',
+    'confirmation.shipping': 'TUKU',
+    'confirmation.total': 'TAPEKE',
+    'confirmation.chargedIn': 'I utua ki te',
+    'confirmation.pageTitle': 'Aotearoa Adventure Gear | Ota {number}',
+    'confirmation.qty': 'MAHA {qty}',
+    'confirmation.free': 'KORE UTU',
+    'confirmation.taxes': 'TĀKE',
+    'confirmation.notRecorded': 'Kāore i tuhia',
+
+    /* order-store.js */
+    'order.bankInstructions': 'Utua te {amount} ki a {accountName}, pūkete {accountNumber}, me te tohutoro {number}, i roto i ngā rā {dueDays}.',
+    'order.shippingMethod': '{method}, ka tae mai {estimate}',
+    'order.receiptOrder': 'Ota {number}',
+    'order.receiptPlaced': 'I tukuna {date}',
+    'order.items': 'NGĀ TAONGA',
+    'order.subtotal': 'Tapeke iti',
+    'order.discount': 'Whakahekenga',
+    'order.shipping': 'Tuku',
+    'order.free': 'KORE UTU',
+    'order.taxes': 'Tāke',
+    'order.total': 'Tapeke',
+    'order.shipTo': 'TUKUNA KI',
+    'order.method': 'TIKANGA TUKU',
+    'order.payment': 'UTU',
+    'orderStatus.placed': 'KUA TUKUNA',
+    'orderStatus.awaiting_payment': 'E TATARI ANA KI TE UTU',
+    'orderStatus.unverified': 'KĀORE ANŌ KIA MANATOKOHIA',
+
+    /* orders.js */
+    'orders.intro': 'Ngā ota i tukuna i tēnei pūtirotiro. Ka pupuritia ki tēnei pūrere anake.',
+    'orders.empty': 'Kāore anō koe kia tuku ota.',
+    'orders.startShopping': 'Tīmata ki te hokohoko',
+    'orders.units': { one: '{count} TAONGA', other: '{count} TAONGA' },
+    'orders.viewOrder': 'TIROHIA TE OTA',
+
+    /* promotions.js */
+    'promotions.invalid': 'Kāore tēnei waehere i te tika',
+    'promotions.notStarted': 'Kāore anō tēnei waehere kia hohe',
+    'promotions.expired': 'Kua pau te wā o tēnei waehere',
+    'promotions.minSubtotal': 'Whakapauhia te {amount} neke atu kia whakamahia ai tēnei waehere',
+    'promotions.notApplicable': 'Kāore tēnei waehere e pā ana ki ngā taonga o tō kete',
+    'promotions.notCombinable': 'Kāore e taea tēnei waehere te whakakotahi me ngā whakahekenga o nāianei',
+    'promotions.countdownActive': 'MŌ TĒTAHI WĀ POTO ANAKE',
+    'promotions.countdownUpcoming': 'ĀKUANEI',
+    'promotions.countdownEndsIn': 'Ka mutu te whakahekenga i roto i:',
+    'promotions.countdownStartsIn': 'Ka tīmata te whakahekenga e whai ake nei i roto i:',
+
+    /* api-client.js */
+    'api.unreachable': 'Kāore i taea te whakapā atu ki te toa. Tirohia tō hononga, ka whakamātau anō.',
+    'api.failed': 'I hapa tētahi mea. Whakamātauria anō.',
+
+    /* order-check.js */
+    'orderCheck.emptyCart': 'Kei te kau tō kete.',
+    'orderCheck.shippingMethod': 'Kōwhiria he tikanga tuku mō tēnei wāhitau.',
+    'orderCheck.paymentMethod': 'Kōwhiria he tikanga utu.',
+    'orderCheck.totalChanged': 'Ko te tapeke o te ota ināianei ko {total}. Tirohia te whakarāpopototanga, ka utu anō.'
+  }
+};
+
+/* ==========================================
+   TRANSLATION
+   ========================================== */
+
+const I18n = (function () {
+  const pluralRules = {};
+
+  /**
+   * The language chosen by the customer (English by default)
+   */
+  function getLanguage() {
+    if (typeof AppStorage === 'undefined') return I18N_DEFAULT_LANGUAGE;
+
+    const stored = AppStorage.get(LANGUAGE_STORAGE_KEY, null);
+    return I18N_LANGUAGES[stored] ? stored : I18N_DEFAULT_LANGUAGE;
+  }
+
+  function setLanguage(code) {
+    if (!I18N_LANGUAGES[code] || code === getLanguage()) return getLanguage();
+
+    AppStorage.set(LANGUAGE_STORAGE_KEY, code);
+    document.documentElement.lang = I18N_LANGUAGES[code].htmlLang;
+    window.dispatchEvent(new CustomEvent('language:change', { detail: { language: code } }));
+    return code;
+  }
+
+  /**
+   * Languages for the switcher: [{ code, name }]
+   */
+  function getLanguages() {
+    return Object.keys(I18N_LANGUAGES).map(code => ({ code, name: I18N_LANGUAGES[code].name }));
+  }
+
+  function getPluralForm(language, count) {
+    if (!pluralRules[language]) {
+      pluralRules[language] = new Intl.PluralRules([I18N_LANGUAGES[language].htmlLang, 'en']);
+    }
+    return pluralRules[language].select(Number(count) || 0);
+  }
+
+  function interpolate(text, params) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
+  /**
+   * Message for a key in the current language (or options.language)
+   */
+  function t(key, params = {}, options = {}) {
+    const language = I18N_LANGUAGES[options.language] ? options.language : getLanguage();
+    let message = (I18N_CATALOGS[language] || {})[key] ?? I18N_CATALOGS[I18N_DEFAULT_LANGUAGE][key];
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+      message = message[getPluralForm(language, params.count)] ?? message.other;
+    }
+
+    return interpolate(message, params);
+  }
+
+  /**
+   * Register a module's English messages under a namespace and get them
+   * back translated: plain messages read as strings (ErrorMessages.required),
+   * messages with {placeholders} or plural forms are functions of their
+   * params (ErrorMessages.region({ region: 'State' })).
+   */
+  function defineMessages(namespace, messages) {
+    const resolved = {};
+
+    Object.keys(messages).forEach(name => {
+      const key = `${namespace}.${name}`;
+      const message = messages[name];
+      const takesParams = typeof message === 'object' || /\{\w+\}/.test(message);
+
+      I18N_CATALOGS[I18N_DEFAULT_LANGUAGE][key] = message;
+      Object.defineProperty(resolved, name, {
+        enumerable: true,
+        get: () => (takesParams ? params => t(key, params) : t(key))
+      });
+    });
+
+    return resolved;
+  }
+
+  /**
+   * Fill in the [data-i18n] text and attributes under root
+   */
+  function translatePage(root = document) {
+    document.documentElement.lang = I18N_LANGUAGES[getLanguage()].htmlLang;
+
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = t(el.getAttribute('data-i18n'));
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+      el.setAttribute('placeholder', t(el.getAttribute('data-i18n-placeholder')));
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+      el.setAttribute('aria-label', t(el.getAttribute('data-i18n-aria-label')));
+    });
+  }
+
+  return {
+    DEFAULT_LANGUAGE: I18N_DEFAULT_LANGUAGE,
+    STORAGE_KEY: LANGUAGE_STORAGE_KEY,
+    getLanguage,
+    setLanguage,
+    getLanguages,
+    t,
+    defineMessages,
+    translatePage
+  };
+})();
+
+/* Allow the module to be loaded in Node (tests, tooling) */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { I18N_LANGUAGES, I18N_CATALOGS, I18n };
+}
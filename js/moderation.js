@@ -0,0 +1,151 @@
+/* moderation.js
+   Review moderation page (staff): reviews by status, oldest first, with
+   approve / reject actions. Only approved reviews are shown on the
+   product pages (reviews.js).
+*/
+
+const ModerationMessages = I18n.defineMessages('moderation', {
+  heading: 'Review Moderation',
+  intro: 'New reviews wait here until they are approved. Approved reviews appear on their product page and count towards its rating; rejected reviews are kept out of view.',
+  pending: 'PENDING ({count})',
+  approved: 'APPROVED ({count})',
+  rejected: 'REJECTED ({count})',
+  emptyPending: 'No reviews are waiting for moderation.',
+  emptyApproved: 'No reviews have been approved yet.',
+  emptyRejected: 'No reviews have been rejected.',
+  approve: 'APPROVE',
+  reject: 'REJECT',
+  helpful: '{count} found this helpful',
+  approvedReview: 'Approved "{title}".',
+  rejectedReview: 'Rejected "{title}".',
+  loadFailed: 'Reviews could not be loaded. Please refresh the page.'
+});
+
+(async function initModeration() {
+  const listEl = document.getElementById('moderationList');
+  if (!listEl) return;
+
+  const emptyEl = document.getElementById('moderationEmpty');
+  const statusEl = document.getElementById('moderationStatus');
+  const tabs = Array.from(document.querySelectorAll('[data-moderation-status]'));
+
+  let status = 'pending';
+
+  /* Product names; SKUs are shown while the catalog cannot be loaded */
+  let catalog = null;
+  try {
+    catalog = await loadCatalog();
+  } catch (err) {
+    console.warn('Could not load product catalog', err);
+  }
+
+  function getProductName(sku) {
+    const product = catalog ? getProductBySku(catalog, sku) : null;
+    return product ? product.name : sku;
+  }
+
+  function setStatus(message) {
+    if (!statusEl) return;
+
+    statusEl.textContent = message;
+    statusEl.classList.toggle('hidden', !message);
+  }
+
+  function renderTabs(reviews) {
+    tabs.forEach(tab => {
+      const tabStatus = tab.dataset.moderationStatus;
+      const active = tabStatus === status;
+      const count = reviews.filter(review => review.status === tabStatus).length;
+
+      tab.textContent = ModerationMessages[tabStatus]({ count });
+      tab.setAttribute('aria-pressed', String(active));
+      tab.classList.toggle('bg-brand-blue', active);
+      tab.classList.toggle('border-brand-blue', active);
+      tab.classList.toggle('border-brand-green-dark', !active);
+    });
+  }
+
+  function renderReview(review) {
+    const actions = [
+      review.status !== 'approved' ? `<button type="button" data-moderation-action="approved" class="underline hover:text-brand-blue-light">${ModerationMessages.approve}</button>` : '',
+      review.status !== 'rejected' ? `<button type="button" data-moderation-action="rejected" class="underline hover:text-brand-blue-light">${ModerationMessages.reject}</button>` : ''
+    ].join('');
+
+    return `
+      <article class="border border-white border-opacity-20 px-6 py-5" data-review-id="${escapeHTML(review.id)}">
+        <div class="flex flex-wrap items-start justify-between gap-4">
+          <div class="min-w-0 max-w-3xl">
+            <p class="text-xs tracking-widest text-white opacity-80">
+              <a href="${getProductUrl({ sku: review.sku })}#reviews" class="hover:text-brand-blue-light">${escapeHTML(getProductName(review.sku).toUpperCase())}</a>
+            </p>
+            <h2 class="mt-2 text-sm tracking-widest text-white">${escapeHTML(review.title)}</h2>
+            <p class="mt-2 text-xs text-white opacity-80" aria-label="${formatRatingLabel(review.rating)}">${formatStars(review.rating)}</p>
+            <p class="mt-3 text-sm leading-7 text-white opacity-80">${escapeHTML(review.body)}</p>
+            <p class="mt-3 text-xs tracking-widest text-white opacity-80">${escapeHTML([review.author.toUpperCase(), formatReviewDate(review), ModerationMessages.helpful({ count: review.helpful })].join(' · '))}</p>
+          </div>
+
+          <div class="flex flex-wrap gap-3 text-xs tracking-widest text-white">${actions}</div>
+        </div>
+      </article>
+    `;
+  }
+
+  async function render() {
+    let reviews;
+    try {
+      reviews = await ReviewStore.getAll();
+    } catch (err) {
+      console.warn('Could not load reviews', err);
+      setStatus(ModerationMessages.loadFailed);
+      return;
+    }
+
+    const shown = sortReviews(reviews.filter(review => review.status === status)).reverse();
+    const emptyMessages = {
+      pending: ModerationMessages.emptyPending,
+      approved: ModerationMessages.emptyApproved,
+      rejected: ModerationMessages.emptyRejected
+    };
+
+    renderTabs(reviews);
+
+    if (emptyEl) {
+      emptyEl.textContent = emptyMessages[status];
+      emptyEl.classList.toggle('hidden', shown.length > 0);
+    }
+
+    listEl.innerHTML = shown.map(renderReview).join('');
+  }
+
+  tabs.forEach(tab => {
+    tab.addEventListener('click', () => {
+      status = tab.dataset.moderationStatus;
+      setStatus('');
+      render();
+    });
+  });
+
+  listEl.addEventListener('click', async e => {
+    const button = e.target.closest('[data-moderation-action]');
+    if (!button) return;
+
+    const action = button.dataset.moderationAction;
+    const review = await ReviewStore.moderate(button.closest('[data-review-id]').dataset.reviewId, action);
+
+    if (review) {
+      setStatus(action === 'approved'
+        ? ModerationMessages.approvedReview({ title: review.title })
+        : ModerationMessages.rejectedReview({ title: review.title }));
+    }
+    render();
+  });
+
+  /* Reviews submitted in another tab */
+  window.addEventListener('storage', e => {
+    if (isStorageEventFor(e, STORAGE_KEYS.reviews)) render();
+  });
+
+  window.addEventListener('language:change', render);
+
+  render();
+})();
@@ -0,0 +1,216 @@
+/* money.js
+   Money handling for Aotearoa Adventure Gear
+
+   - Arithmetic is done in integer cents, so totals never pick up
+     floating-point drift (0.1 + 0.2) and always round the same way
+   - Amounts are stored and charged in the base currency (NZD, the
+     catalog currency); the display currency only changes how they are shown
+   - Display currencies are converted with the rate table below and
+     formatted with Intl.NumberFormat
+   - The chosen display currency is remembered in AppStorage (storage.js)
+     and every change dispatches a "currency:change" event on window
+
+   Loaded after storage.js and before common.js on every page (formatCurrency uses it).
+*/
+
+/* ==========================================
+   CONFIGURATION
+   ========================================== */
+
+const MONEY_BASE_CURRENCY = 'NZD';
+
+/* Locale used for formatting and parsing (en-NZ shows NZD as "$",
+   other currencies as "A$", "US$") */
+const MONEY_LOCALE = 'en-NZ';
+
+/* Indicative rates: units of each currency per 1 NZD */
+const MONEY_CURRENCIES = {
+  NZD: { name: 'New Zealand dollar', rate: 1 },
+  AUD: { name: 'Australian dollar', rate: 0.91 },
+  USD: { name: 'US dollar', rate: 0.58 }
+};
+
+const CURRENCY_STORAGE_KEY = 'currency';
+
+const Money = (function () {
+  /* ==========================================
+     CENTS ARITHMETIC
+     ========================================== */
+
+  /**
+   * Amount -> integer cents, rounding half away from zero
+   * (the small offset absorbs float error, e.g. 1.005 * 100 = 100.4999...)
+   */
+  function toCents(amount) {
+    const value = Number(amount);
+    if (!Number.isFinite(value)) return 0;
+    return roundHalfAway(value * 100);
+  }
+
+  function roundHalfAway(value) {
+    return Math.sign(value) * Math.round(Math.abs(value) + 1e-7) || 0;
+  }
+
+  function fromCents(cents) {
+    return cents / 100;
+  }
+
+  /**
+   * Add any number of amounts
+   */
+  function add(...amounts) {
+    return fromCents(amounts.reduce((sum, amount) => sum + toCents(amount), 0));
+  }
+
+  function subtract(amount, ...amounts) {
+    return fromCents(amounts.reduce((rest, value) => rest - toCents(value), toCents(amount)));
+  }
+
+  /**
+   * Multiply an amount by a quantity or rate (result rounded to cents)
+   */
+  function multiply(amount, factor) {
+    return fromCents(roundHalfAway(toCents(amount) * (Number(factor) || 0)));
+  }
+
+  function sum(amounts) {
+    return add(...amounts);
+  }
+
+  /* ==========================================
+     CURRENCIES
+     ========================================== */
+
+  function isSupported(code) {
+    return Object.prototype.hasOwnProperty.call(MONEY_CURRENCIES, code);
+  }
+
+  /**
+   * Currencies for the switcher as [{ code, name }]
+   */
+  function getCurrencies() {
+    return Object.keys(MONEY_CURRENCIES).map(code => ({ code, name: MONEY_CURRENCIES[code].name }));
+  }
+
+  /**
+   * Convert an amount between currencies (defaults: base -> display)
+   */
+  function convert(amount, to = getCurrency(), from = MONEY_BASE_CURRENCY) {
+    if (to === from || !isSupported(to) || !isSupported(from)) return fromCents(toCents(amount));
+
+    const rate = MONEY_CURRENCIES[to].rate / MONEY_CURRENCIES[from].rate;
+    return fromCents(roundHalfAway(toCents(amount) * rate));
+  }
+
+  /**
+   * The display currency chosen by the customer (base currency by default)
+   */
+  function getCurrency() {
+    if (typeof AppStorage === 'undefined') return MONEY_BASE_CURRENCY;
+
+    const stored = AppStorage.get(CURRENCY_STORAGE_KEY, null);
+    return isSupported(stored) ? stored : MONEY_BASE_CURRENCY;
+  }
+
+  function setCurrency(code) {
+    if (!isSupported(code) || code === getCurrency()) return getCurrency();
+
+    AppStorage.set(CURRENCY_STORAGE_KEY, code);
+    window.dispatchEvent(new CustomEvent('currency:change', { detail: { currency: code } }));
+    return code;
+  }
+
+  /* ==========================================
+     FORMATTING & PARSING
+     ========================================== */
+
+  const formatters = {};
+
+  function getFormatter(currency, locale) {
+    const key = `${locale}|${currency}`;
+    if (!formatters[key]) {
+      formatters[key] = new Intl.NumberFormat(locale, { style: 'currency', currency });
+    }
+    return formatters[key];
+  }
+
+  /**
+   * Format a base-currency amount in the display currency, e.g. 12.49 -> "$12.49".
+   * options: { currency, locale, convert } (convert: false when the amount
+   * is already in `currency`)
+   */
+  function format(amount, options = {}) {
+    const currency = options.currency || getCurrency();
+    const locale = options.locale || MONEY_LOCALE;
+    const value = options.convert === false ? fromCents(toCents(amount)) : convert(amount, currency);
+
+    return getFormatter(currency, locale).format(value);
+  }
+
+  /**
+   * Separators used by a locale, e.g. en-NZ -> { group: ",", decimal: "." }
+   */
+  function getSeparators(locale) {
+    const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+    const find = type => (parts.find(part => part.type === type) || {}).value;
+    return { group: find('group') || ',', decimal: find('decimal') || '.' };
+  }
+
+  /**
+   * Parse a typed or formatted amount ("$1,234.50", "NZ$ 12", "1.234,50 €",
+   * "12,5", "(12.00)", "-12") into a number. Returns NaN when there is no number.
+   * Separator rules: with both "." and ",", the last one is the decimal;
+   * a repeated separator groups digits; a single one followed by 1-2 digits
+   * is the decimal; anything else follows the locale.
+   */
+  function parse(text, options = {}) {
+    const raw = String(text ?? '').trim();
+    if (!raw) return NaN;
+
+    const negative = /^\(.*\)$/.test(raw) || /^[^\d]*[-−]/.test(raw);
+    const cleaned = raw.replace(/[^\d.,]/g, '');
+    if (!/\d/.test(cleaned)) return NaN;
+
+    const separators = cleaned.match(/[.,]/g) || [];
+    const last = separators[separators.length - 1];
+    let decimal = getSeparators(options.locale || MONEY_LOCALE).decimal;
+
+    if (separators.includes('.') && separators.includes(',')) {
+      decimal = last;
+    } else if (separators.length > 1) {
+      decimal = '';
+    } else if (separators.length === 1 && /[.,]\d{1,2}$/.test(cleaned)) {
+      decimal = last;
+    }
+
+    const split = decimal ? cleaned.lastIndexOf(decimal) : -1;
+    const whole = (split === -1 ? cleaned : cleaned.slice(0, split)).replace(/[.,]/g, '');
+    const fraction = split === -1 ? '' : cleaned.slice(split + 1);
+    const number = Number(`${whole || '0'}.${fraction || '0'}`);
+    if (!Number.isFinite(number)) return NaN;
+
+    return negative ? -number : number;
+  }
+
+  return {
+    BASE_CURRENCY: MONEY_BASE_CURRENCY,
+    STORAGE_KEY: CURRENCY_STORAGE_KEY,
+    toCents,
+    fromCents,
+    add,
+    subtract,
+    multiply,
+    sum,
+    getCurrencies,
+    convert,
+    getCurrency,
+    setCurrency,
+    format,
+    parse
+  };
+})();
+
+/* Allow the module to be loaded in Node (tests, tooling) */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MONEY_BASE_CURRENCY, MONEY_CURRENCIES, Money };
+}
@@ -0,0 +1,251 @@
+/* order-check.js
+   Re-checks an order before it is paid for and placed
+
+   The checkout pages work the totals out in the browser and keep them in
+   storage, where they can be edited. Before a payment is taken the order
+   is checked again from trusted data only: the lines are priced from the
+   catalog, the shipping option is looked up for the destination, the
+   totals are recomputed (summary.js) and the shipping and payment forms'
+   rules (validation.js) are run again. The server does the same for every
+   order it is sent (server/api.js).
+
+   A submission is what the checkout sends:
+   { items: [{ sku, variant, qty }], promoCode,
+     shipping: { ...shipping form values, shippingMethod },
+     payment: { paymentMethod, ...payment form values },
+     totals: { subtotal, discount, shippingCost, taxes, total } (as shown) }
+
+   checkOrderSubmission(catalog, submission) returns
+   { valid, errors, lines, totals, shippingMethod, shipping }. shipping is
+   the shipping form values as checked (formValues). errors maps field
+   names to messages, ready for showFieldError(): shipping and payment form
+   fields, "items.0.qty" for cart lines, "items" for an empty cart and
+   "total" when the totals shown differ from the recomputed ones.
+
+   Card numbers, CVVs and gift card numbers and PINs are never sent to the
+   server (withoutPaymentSecrets), so the server checks only the fields it
+   is given.
+
+   Requires i18n.js, money.js, validation.js, catalog.js, shipping-rates.js,
+   payment-providers.js, order-store.js and summary.js
+*/
+
+// Rules, catalog and totals (required in Node)
+const OrderCheckI18n = typeof I18n !== 'undefined' ? I18n : require('./i18n.js').I18n;
+const OrderCheckMoney = typeof Money !== 'undefined' ? Money : require('./money.js').Money;
+const OrderCheckValidation = typeof validateValues === 'function'
+  ? { ValidationSchemas, validateValues, validatePostalCode }
+  : require('./validation.js');
+const OrderCheckCatalog = typeof getProductBySku === 'function'
+  ? { getProductBySku, getVariantBySku, getVariantName, getVariantPrice, getVariantStock, getVariantImage }
+  : require('./catalog.js');
+const OrderCheckShipping = typeof getShippingOptions === 'function'
+  ? { getShippingOptions, formatDeliveryEstimate }
+  : require('./shipping-rates.js');
+const OrderCheckPayments = typeof isPayLaterAvailable === 'function'
+  ? { isPayLaterAvailable, PaymentMessages }
+  : require('./payment-providers.js');
+const OrderCheckOrders = typeof createOrder === 'function' ? { ORDER_PAYMENT_LABELS } : require('./order-store.js');
+const OrderCheckSummary = typeof calculateOrderTotals === 'function' ? { calculateOrderTotals } : require('./summary.js');
+
+/* Payment fields that never leave the browser */
+const ORDER_CHECK_SECRET_FIELDS = ['cardNumber', 'cvv', 'giftCardNumber', 'giftCardPin'];
+
+/* Totals compared with what the customer was shown */
+const ORDER_CHECK_TOTALS = ['subtotal', 'discount', 'shippingCost', 'taxes', 'total'];
+
+const OrderCheckMessages = OrderCheckI18n.defineMessages('orderCheck', {
+  emptyCart: 'Your cart is empty.',
+  shippingMethod: 'Please choose a shipping method for this address.',
+  paymentMethod: 'Please choose a payment method.',
+  totalChanged: 'The order total is now {total}. Please check the summary and pay again.'
+});
+
+/**
+ * Form values as the forms would send them: numbers and booleans become
+ * strings, anything else (objects, arrays, null) an empty field, so the
+ * rules report it instead of failing on it
+ */
+function formValues(values) {
+  const result = {};
+  Object.keys(values).forEach(field => {
+    const value = values[field];
+    result[field] = ['string', 'number', 'boolean'].includes(typeof value) ? String(value) : '';
+  });
+  return result;
+}
+
+/**
+ * Cart lines priced from the catalog (ValidationSchemas.cartLine).
+ * Lines of the same product and variant share its stock.
+ * Returns { lines, errors }: lines carry what the totals and shipping
+ * rates need; errors are keyed "items.0.qty".
+ */
+function priceOrderLines(catalog, items) {
+  const lines = [];
+  const errors = {};
+  /* Units already taken by earlier lines, by "sku|variant" */
+  const taken = {};
+
+  (Array.isArray(items) ? items : []).forEach((item, index) => {
+    const values = {
+      sku: String((item && item.sku) || ''),
+      variant: String((item && item.variant) || ''),
+      qty: item && item.qty
+    };
+    const product = OrderCheckCatalog.getProductBySku(catalog, values.sku);
+    const variant = product && values.variant ? OrderCheckCatalog.getVariantBySku(product, values.variant) : null;
+    const stock = product ? OrderCheckCatalog.getVariantStock(product, variant) : null;
+    const key = `${values.sku}|${values.variant}`;
+    const left = stock === null ? null : Math.max(0, stock - (taken[key] || 0));
+
+    const result = OrderCheckValidation.validateValues(OrderCheckValidation.ValidationSchemas.cartLine, values, { product, variant, stock: left });
+
+    Object.keys(result.errors).forEach(field => {
+      errors[`items.${index}.${field}`] = result.errors[field];
+    });
+    if (!result.valid) return;
+
+    taken[key] = (taken[key] || 0) + parseInt(values.qty, 10);
+    lines.push({
+      sku: product.sku,
+      variant: variant ? variant.sku : '',
+      qty: parseInt(values.qty, 10),
+      name: product.name,
+      variantName: OrderCheckCatalog.getVariantName(product, variant),
+      price: OrderCheckCatalog.getVariantPrice(product, variant),
+      image: OrderCheckCatalog.getVariantImage(product, variant).src,
+      category: product.category,
+      taxCategory: product.taxCategory,
+      shipping: product.shipping,
+      stock
+    });
+  });
+
+  return { lines, errors };
+}
+
+/**
+ * Destination for the rates and taxes, as on the shipping page: only a
+ * valid postcode picks the zone
+ */
+function getOrderDestination(shipping = {}) {
+  const country = String(shipping.country || '');
+  const postcode = String(shipping.postalCode || '').trim();
+
+  return {
+    country,
+    state: String(shipping.state || ''),
+    postcode: country && postcode && OrderCheckValidation.validatePostalCode(postcode, country).valid ? postcode : ''
+  };
+}
+
+/**
+ * The shipping option chosen in `shipping` (shippingMethod), priced for
+ * the lines and destination as on the shipping page; null when it is not
+ * offered. options: { promoCode, now }
+ */
+function getOrderShippingOption(lines, shipping = {}, options = {}) {
+  const destination = getOrderDestination(shipping);
+  const goods = OrderCheckSummary.calculateOrderTotals(lines, { promoCode: options.promoCode, destination });
+  const shippingOptions = OrderCheckShipping.getShippingOptions(lines, {
+    ...destination,
+    goodsTotal: OrderCheckMoney.subtract(goods.subtotal, goods.discount),
+    now: options.now
+  });
+
+  return shippingOptions.find(option => option.id === shipping.shippingMethod) || null;
+}
+
+/**
+ * The submission without card and gift card details (what the server is sent)
+ */
+function withoutPaymentSecrets(submission = {}) {
+  const payment = { ...(submission.payment || {}) };
+  ORDER_CHECK_SECRET_FIELDS.forEach(field => delete payment[field]);
+
+  return { ...submission, payment };
+}
+
+/**
+ * Run the payment form's rules for the fields that were submitted
+ */
+function checkPaymentFields(payment) {
+  const schema = {};
+  Object.keys(OrderCheckValidation.ValidationSchemas.payment).forEach(field => {
+    if (field in payment) schema[field] = OrderCheckValidation.ValidationSchemas.payment[field];
+  });
+
+  return OrderCheckValidation.validateValues(schema, payment).errors;
+}
+
+/**
+ * Check a submission (see above) against the catalog.
+ * options: { now } for the delivery estimates
+ */
+function checkOrderSubmission(catalog, submission = {}, options = {}) {
+  const shipping = formValues(submission.shipping && typeof submission.shipping === 'object' ? submission.shipping : {});
+  const payment = formValues(submission.payment && typeof submission.payment === 'object' ? submission.payment : {});
+  const shown = submission.totals && typeof submission.totals === 'object' ? submission.totals : {};
+
+  const { lines, errors } = priceOrderLines(catalog, submission.items);
+  if (lines.length === 0 && Object.keys(errors).length === 0) errors.items = OrderCheckMessages.emptyCart;
+
+  Object.assign(errors, OrderCheckValidation.validateValues(OrderCheckValidation.ValidationSchemas.shipping, shipping).errors);
+
+  // The shipping option and totals the customer should have been shown
+  const promoCode = String(submission.promoCode || '');
+  const option = getOrderShippingOption(lines, shipping, { promoCode, now: options.now });
+  if (!option && lines.length > 0) errors.shippingMethod = OrderCheckMessages.shippingMethod;
+
+  const { promoError, ...totals } = OrderCheckSummary.calculateOrderTotals(lines, {
+    promoCode,
+    shippingCost: option ? option.cost : 0,
+    destination: getOrderDestination(shipping)
+  });
+
+  // Own entries only: "toString" or "__proto__" are no payment methods
+  if (!Object.prototype.hasOwnProperty.call(OrderCheckOrders.ORDER_PAYMENT_LABELS, payment.paymentMethod)) {
+    errors.paymentMethod = OrderCheckMessages.paymentMethod;
+  } else if (payment.paymentMethod === 'paylater' && !OrderCheckPayments.isPayLaterAvailable(totals.total)) {
+    errors.paymentMethod = OrderCheckPayments.PaymentMessages.pay_later_limit;
+  }
+  Object.assign(errors, checkPaymentFields(payment));
+
+  // Cent-exact: anything else means the customer saw other amounts
+  // (without a shipping option the shipping step has to be redone first)
+  const toCents = value => Math.round(Number(value) * 100);
+  if (option && ORDER_CHECK_TOTALS.some(field => toCents(shown[field]) !== toCents(totals[field]))) {
+    errors.total = OrderCheckMessages.totalChanged({
+      total: OrderCheckMoney.format(totals.total, { currency: OrderCheckMoney.BASE_CURRENCY, convert: false })
+    });
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+    lines,
+    totals,
+    shippingMethod: option ? {
+      id: option.id,
+      carrier: option.carrierName,
+      name: option.name,
+      estimate: OrderCheckShipping.formatDeliveryEstimate(option.estimate)
+    } : null,
+    shipping
+  };
+}
+
+/* Allow orders to be checked in Node (server/api.js, tests) */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ORDER_CHECK_SECRET_FIELDS,
+    OrderCheckMessages,
+    formValues,
+    priceOrderLines,
+    getOrderDestination,
+    getOrderShippingOption,
+    withoutPaymentSecrets,
+    checkOrderSubmission
+  };
+}
@@ -0,0 +1,409 @@
+/* order-store.js
+   Orders placed in this browser (the "My orders" history)
+
+   Orders are persisted (storage.js) under STORAGE_KEYS.orders, newest
+   first, as:
+   { number, placedAt, status,
+     items: [{ sku, variant, name, variantName, qty, price, lineTotal, image }],
+     totals: { subtotal, discount, discounts, promoCode, shippingCost,
+               taxes, taxLabel, taxInclusive, total, currency },
+     shippingAddress: { firstName, lastName, address1, address2, city,
+                        state, postalCode, country, phone },
+     shippingMethod: { id, carrier, name, estimate } | null,
+     payment: { method, label, transactionId, status, brand?, last4?,
+                instructions? } }
+   status is 'placed', or 'awaiting_payment' for bank transfers. Orders
+   placed through the API server are 'unverified' instead of 'placed'
+   (the server cannot confirm a payment taken in the browser).
+
+   Card numbers are never stored: only the brand and the last four digits.
+   Placing an order empties the cart and forgets the checkout, but the
+   order itself is kept for the confirmation and history pages.
+
+   Orders are built from a checked submission (order-check.js): the lines,
+   totals and shipping method are recomputed from the catalog rather than
+   read back from storage. With the API (api-client.js) the server checks
+   and places the order, and the history also shows the orders the server
+   has for this browser.
+
+   Requires common.js, money.js, i18n.js, card-schemes.js, api-client.js,
+   cart-store.js, catalog.js and order-check.js (browser only)
+*/
+
+/* ==========================================
+   ORDER RECORDS
+   ========================================== */
+
+// Card brand names and messages (card-schemes.js, i18n.js; required in Node)
+const OrderCardSchemes = typeof getCardScheme === 'function' ? { getCardScheme } : require('./card-schemes.js');
+const OrderI18n = typeof I18n !== 'undefined' ? I18n : require('./i18n.js').I18n;
+
+const ORDER_NUMBER_PREFIX = 'AAG';
+
+/* Oldest orders are dropped beyond this many */
+const ORDER_HISTORY_LIMIT = 50;
+
+const ORDER_PAYMENT_LABELS = {
+  card: 'Card',
+  paypal: 'PayPal',
+  paylater: 'Pay later',
+  giftcard: 'Gift card',
+  bank: 'Bank transfer'
+};
+
+const ORDER_ADDRESS_FIELDS = ['firstName', 'lastName', 'address1', 'address2', 'city', 'state', 'postalCode', 'country', 'phone'];
+
+/* Receipt and payment instruction text */
+const OrderMessages = OrderI18n.defineMessages('order', {
+  bankInstructions: 'Please pay {amount} to {accountName}, account {accountNumber}, using the reference {number}, within {dueDays} days.',
+  shippingMethod: '{method}, arrives {estimate}',
+  receiptOrder: 'Order {number}',
+  receiptPlaced: 'Placed {date}',
+  items: 'ITEMS',
+  subtotal: 'Subtotal',
+  discount: 'Discount',
+  shipping: 'Shipping',
+  free: 'FREE',
+  taxes: 'Taxes',
+  total: 'Total',
+  shipTo: 'SHIP TO',
+  method: 'SHIPPING METHOD',
+  payment: 'PAYMENT'
+});
+
+/* Order status as shown in the history, by status */
+const OrderStatusLabels = OrderI18n.defineMessages('orderStatus', {
+  placed: 'PLACED',
+  awaiting_payment: 'AWAITING PAYMENT',
+  unverified: 'UNVERIFIED'
+});
+
+/**
+ * Order number from the date and a random suffix, e.g. "AAG-261019-7K4Q"
+ */
+function generateOrderNumber(date = new Date(), random = Math.random) {
+  const pad = value => String(value).padStart(2, '0');
+  const day = `${pad(date.getFullYear() % 100)}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  let suffix = '';
+
+  for (let i = 0; i < 4; i++) {
+    suffix += chars[Math.floor(random() * chars.length)];
+  }
+
+  return `${ORDER_NUMBER_PREFIX}-${day}-${suffix}`;
+}
+
+/**
+ * What may be kept about the payment:
+ * { method, label, transactionId, status, brand?, last4?, instructions? }.
+ * payment: { method, transactionId, status, cardNumber, brand,
+ *            giftCardNumber, instalments, instructions }
+ */
+function maskPaymentMethod(payment = {}) {
+  const method = payment.method || 'card';
+  const masked = {
+    method,
+    label: ORDER_PAYMENT_LABELS[method] || method,
+    transactionId: payment.transactionId || '',
+    status: payment.status || 'captured'
+  };
+  const lastFour = number => String(number || '').replace(/\D/g, '').slice(-4);
+
+  if (method === 'card') {
+    const last4 = lastFour(payment.cardNumber);
+    const scheme = OrderCardSchemes.getCardScheme(payment.brand);
+    const brand = scheme ? scheme.id : 'card';
+    const name = scheme ? scheme.name : ORDER_PAYMENT_LABELS.card;
+
+    return { ...masked, brand, last4, label: last4 ? `${name} •••• ${last4}` : name };
+  }
+
+  if (method === 'giftcard') {
+    const last4 = lastFour(payment.giftCardNumber);
+    return { ...masked, last4, label: last4 ? `${masked.label} •••• ${last4}` : masked.label };
+  }
+
+  if (method === 'paylater' && payment.instalments) {
+    return { ...masked, label: `${masked.label} (${payment.instalments} instalments)` };
+  }
+
+  if (payment.instructions) {
+    return { ...masked, instructions: payment.instructions };
+  }
+
+  return masked;
+}
+
+/**
+ * Build an order record.
+ * details: { lines, totals, shipping (form values), shippingMethod, payment, now, number }
+ */
+function createOrder(details) {
+  const placedAt = new Date(details.now ?? Date.now());
+  const totals = details.totals || {};
+  const shipping = details.shipping || {};
+
+  const items = (details.lines || []).map(line => ({
+    sku: line.sku,
+    variant: line.variant || '',
+    name: line.name || line.sku,
+    variantName: line.variantName || '',
+    qty: Number(line.qty) || 0,
+    price: Number(line.price) || 0,
+    lineTotal: Math.round((Number(line.price) || 0) * (Number(line.qty) || 0) * 100) / 100,
+    image: line.image || ''
+  }));
+
+  const shippingAddress = {};
+  ORDER_ADDRESS_FIELDS.forEach(field => {
+    shippingAddress[field] = shipping[field] ? String(shipping[field]).trim() : '';
+  });
+
+  const payment = maskPaymentMethod(details.payment);
+
+  return {
+    number: details.number || generateOrderNumber(placedAt),
+    placedAt: placedAt.toISOString(),
+    status: payment.status === 'pending' ? 'awaiting_payment' : 'placed',
+    items,
+    totals: {
+      subtotal: Number(totals.subtotal) || 0,
+      discount: Number(totals.discount) || 0,
+      discounts: Array.isArray(totals.discounts) ? totals.discounts : [],
+      promoCode: totals.promoCode || '',
+      shippingCost: Number(totals.shippingCost) || 0,
+      taxes: Number(totals.taxes) || 0,
+      taxLabel: totals.taxLabel || '',
+      taxInclusive: Boolean(totals.taxInclusive),
+      total: Number(totals.total) || 0,
+      currency: details.currency || 'NZD'
+    },
+    shippingAddress,
+    shippingMethod: details.shippingMethod || null,
+    payment
+  };
+}
+
+/**
+ * Address as display lines
+ */
+function formatOrderAddress(address = {}) {
+  return [
+    [address.firstName, address.lastName].filter(Boolean).join(' '),
+    address.address1,
+    address.address2,
+    [address.city, address.state, address.postalCode].filter(Boolean).join(' '),
+    address.country,
+    address.phone
+  ].filter(Boolean);
+}
+
+/**
+ * Carrier, service and delivery estimate ('' without a method)
+ */
+function formatOrderShippingMethod(method) {
+  if (!method) return '';
+
+  const name = `${method.carrier} ${method.name}`;
+  return method.estimate ? OrderMessages.shippingMethod({ method: name, estimate: method.estimate }) : name;
+}
+
+/**
+ * Status label for the history (unknown statuses as they are stored)
+ */
+function formatOrderStatus(status) {
+  return Object.prototype.hasOwnProperty.call(OrderStatusLabels, status)
+    ? OrderStatusLabels[status]
+    : String(status).replace(/_/g, ' ').toUpperCase();
+}
+
+/**
+ * How to pay an order that is awaiting a bank transfer ('' otherwise)
+ */
+function formatPaymentInstructions(order, formatAmount = amount => `NZ$${Number(amount).toFixed(2)}`) {
+  const instructions = order.payment.instructions;
+  if (!instructions) return '';
+
+  return OrderMessages.bankInstructions({
+    amount: formatAmount(order.totals.total),
+    accountName: instructions.accountName,
+    accountNumber: instructions.accountNumber,
+    number: order.number,
+    dueDays: instructions.dueDays
+  });
+}
+
+/**
+ * Plain-text receipt for downloading. formatAmount turns an amount into text.
+ */
+function formatOrderReceipt(order, formatAmount = amount => `NZ$${Number(amount).toFixed(2)}`) {
+  const line = (label, value) => `${label.padEnd(27)} ${value}`;
+
+  return [
+    'Aotearoa Adventure Gear',
+    OrderMessages.receiptOrder({ number: order.number }),
+    OrderMessages.receiptPlaced({ date: new Date(order.placedAt).toLocaleString('en-NZ') }),
+    '',
+    OrderMessages.items,
+    ...order.items.map(item => line(
+      `${item.qty} x ${item.name}${item.variantName ? ` (${item.variantName})` : ''}`,
+      formatAmount(item.lineTotal)
+    )),
+    '',
+    line(OrderMessages.subtotal, formatAmount(order.totals.subtotal)),
+    ...order.totals.discounts.map(discount => line(discount.label || OrderMessages.discount, `-${formatAmount(discount.amount)}`)),
+    line(OrderMessages.shipping, order.totals.shippingCost === 0 ? OrderMessages.free : formatAmount(order.totals.shippingCost)),
+    line(order.totals.taxLabel || OrderMessages.taxes, formatAmount(order.totals.taxes)),
+    line(OrderMessages.total, `${formatAmount(order.totals.total)} ${order.totals.currency}`),
+    '',
+    OrderMessages.shipTo,
+    ...formatOrderAddress(order.shippingAddress),
+    '',
+    OrderMessages.method,
+    formatOrderShippingMethod(order.shippingMethod) || '-',
+    '',
+    OrderMessages.payment,
+    order.payment.label,
+    ...(order.payment.instructions ? [formatPaymentInstructions(order, formatAmount)] : []),
+    ''
+  ].join('\n');
+}
+
+/* ==========================================
+   BROWSER STORE
+   ========================================== */
+
+const OrderStore = (function () {
+  function readOrders() {
+    const orders = loadFromStorage(STORAGE_KEYS.orders, []);
+    if (!Array.isArray(orders)) return [];
+
+    return orders.filter(order => order && typeof order.number === 'string');
+  }
+
+  /**
+   * Past orders, newest first
+   */
+  function getAll() {
+    return readOrders();
+  }
+
+  function get(number) {
+    return readOrders().find(order => order.number === number) || null;
+  }
+
+  function save(order) {
+    const orders = readOrders().filter(item => item.number !== order.number);
+    orders.unshift(order);
+    saveToStorage(STORAGE_KEYS.orders, orders.slice(0, ORDER_HISTORY_LIMIT));
+    return order;
+  }
+
+  /**
+   * Add the orders the server has for this browser to the history
+   * (api-client.js). Resolves to the history.
+   */
+  async function refresh() {
+    if (!ShopApi) return getAll();
+
+    const remote = await ShopApi.getOrders();
+    const numbers = new Set(remote.map(order => order.number));
+    const orders = [...remote, ...readOrders().filter(order => !numbers.has(order.number))]
+      .sort((a, b) => String(b.placedAt).localeCompare(String(a.placedAt)));
+
+    saveToStorage(STORAGE_KEYS.orders, orders.slice(0, ORDER_HISTORY_LIMIT));
+    return getAll();
+  }
+
+  /**
+   * The current checkout as a submission (order-check.js): the cart, the
+   * promo code, the shipping details, the payment method with its form
+   * values and the totals the customer was shown
+   */
+  function createSubmission(paymentMethod, values = {}) {
+    const totals = loadFromStorage(STORAGE_KEYS.totals, {}) || {};
+    const shipping = loadFromStorage(STORAGE_KEYS.shipping, {}) || {};
+
+    return {
+      items: CartStore.getItems().map(({ sku, variant, qty }) => ({ sku, variant: variant || '', qty })),
+      promoCode: loadFromStorage(STORAGE_KEYS.promoCode, ''),
+      shipping: { ...shipping, shippingMethod: shipping.shippingMethod || (totals.shippingMethod && totals.shippingMethod.id) || '' },
+      payment: { ...values, paymentMethod },
+      totals: Object.fromEntries(ORDER_CHECK_TOTALS.map(field => [field, totals[field]]))
+    };
+  }
+
+  /**
+   * Check a submission against the catalog: on the server with the API,
+   * here otherwise. Resolves to { valid, errors, totals, shippingMethod }.
+   */
+  async function check(submission) {
+    if (!ShopApi) return checkOrderSubmission(await loadCatalog(), submission);
+
+    try {
+      const result = await ShopApi.checkOrder(withoutPaymentSecrets(submission));
+      return { valid: true, errors: {}, totals: result.totals, shippingMethod: result.shippingMethod };
+    } catch (err) {
+      if (!err.fields) throw err;
+      return { valid: false, errors: err.fields, totals: null, shippingMethod: null };
+    }
+  }
+
+  /**
+   * Place the order for a submission that passed check(), keep it and
+   * clear the checkout (cart, totals, shipping details, promo code,
+   * flow). Resolves to the order, or null when the cart is empty (e.g. the
+   * form was submitted twice). The order is built from the checked lines and totals; with
+   * the API the server checks and places it. When it is refused this
+   * rejects with an api-client.js error carrying the field errors and
+   * nothing is cleared. payment: see maskPaymentMethod
+   */
+  async function placeOrder(payment, submission) {
+    if (CartStore.getItems().length === 0) return null;
+
+    let order;
+    if (ShopApi) {
+      order = await ShopApi.placeOrder(withoutPaymentSecrets(submission), maskPaymentMethod(payment));
+    } else {
+      const result = checkOrderSubmission(await loadCatalog(), submission);
+      if (!result.valid) throw toApiError(422, { code: 'invalid_order', fields: result.errors });
+
+      order = createOrder({
+        lines: result.lines,
+        totals: result.totals,
+        shipping: submission.shipping,
+        shippingMethod: result.shippingMethod,
+        payment,
+        currency: Money.BASE_CURRENCY
+      });
+    }
+
+    save(order);
+
+    removeFromStorage(STORAGE_KEYS.totals);
+    removeFromStorage(STORAGE_KEYS.shipping);
+    removeFromStorage(STORAGE_KEYS.promoCode);
+    CheckoutFlow.reset();
+    CartStore.clear();
+
+    return get(order.number);
+  }
+
+  return { getAll, get, save, refresh, createSubmission, check, placeOrder };
+})();
+
+/* Allow the records to be built in Node (tests, tooling) */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ORDER_PAYMENT_LABELS,
+    generateOrderNumber,
+    maskPaymentMethod,
+    createOrder,
+    formatOrderAddress,
+    formatOrderShippingMethod,
+    formatOrderStatus,
+    formatPaymentInstructions,
+    formatOrderReceipt
+  };
+}
@@ -0,0 +1,67 @@
+/* orders.js
+   "My orders" page: orders placed in this browser (order-store.js),
+   newest first, each linking to its confirmation page. With the API the
+   server's orders for this browser are added once they arrive.
+*/
+
+/* Page text (data-i18n in orders.html) and the order list */
+const OrdersMessages = I18n.defineMessages('orders', {
+  intro: 'Orders placed in this browser. They are stored on this device only.',
+  empty: 'You have not placed any orders yet.',
+  startShopping: 'Start shopping',
+  units: { one: '{count} ITEM', other: '{count} ITEMS' },
+  viewOrder: 'VIEW ORDER'
+});
+
+(function initOrders() {
+  const listEl = document.getElementById('orderList');
+  if (!listEl) return;
+
+  const emptyEl = document.getElementById('ordersEmpty');
+
+  function render() {
+    const orders = OrderStore.getAll();
+
+    emptyEl?.classList.toggle('hidden', orders.length > 0);
+
+    listEl.innerHTML = orders.map(order => {
+      const url = `confirmation.html?order=${encodeURIComponent(order.number)}`;
+      const units = order.items.reduce((sum, item) => sum + item.qty, 0);
+      const placed = new Date(order.placedAt).toLocaleDateString('en-NZ', { day: 'numeric', month: 'short', year: 'numeric' });
+      const names = order.items.map(item => item.name).join(', ');
+
+      return `
+        <article class="border border-white border-opacity-20 px-6 py-5">
+          <div class="flex flex-wrap items-start justify-between gap-4">
+            <div class="min-w-0">
+              <h2 class="text-sm tracking-widest text-white">
+                <a href="${url}" class="hover:text-brand-blue-light">${escapeHTML(order.number)}</a>
+              </h2>
+              <p class="mt-2 text-xs tracking-widest text-white opacity-80">${escapeHTML(placed)} · ${escapeHTML(OrdersMessages.units({ count: units }))} · ${escapeHTML(formatOrderStatus(order.status))}</p>
+              <p class="mt-2 truncate text-sm text-white opacity-80">${escapeHTML(names)}</p>
+            </div>
+
+            <div class="text-right">
+              <p class="text-lg font-light text-white">${Money.format(order.totals.total, { currency: order.totals.currency, convert: false })}</p>
+              <a href="${url}" class="mt-2 inline-block text-xs tracking-widest text-white underline hover:text-brand-blue-light">${escapeHTML(OrdersMessages.viewOrder)}</a>
+            </div>
+          </div>
+        </article>
+      `;
+    }).join('');
+  }
+
+  /* Orders placed in another tab */
+  window.addEventListener('storage', e => {
+    if (isStorageEventFor(e, STORAGE_KEYS.orders)) render();
+  });
+  window.addEventListener('language:change', render);
+
+  render();
+
+  if (ShopApi) {
+    OrderStore.refresh()
+      .then(render)
+      .catch(err => console.warn('Could not load orders from the server', err));
+  }
+})();
@@ -0,0 +1,193 @@
+/* payment-methods.js
+   Payment methods offered on the payment page and the controller that
+   switches between them
+
+   Each method in PAYMENT_METHODS is one <article data-payment-method="id">
+   on the page with its radio (name="paymentMethod") and an optional
+   sub-form (data-method-form). Only the selected method's sub-form is
+   shown and enabled, so validateForm() checks just its fields; the
+   per-field rules are in ValidationSchemas.payment (validation.js), rules
+   that need the whole order (e.g. pay later limits) are the method's
+   `validate`.
+
+   Method definition:
+   { id, label, provider (payment-providers.js id),
+     request(values)   -> extra fields for provider.authorize()
+     describe(values)  -> what the order record keeps (order-store.js)
+     validate(values, { total }) -> '' or an error message }
+
+   Requires common.js, validation.js and payment-providers.js
+*/
+
+const PaymentMethodMessages = I18n.defineMessages('paymentMethods', {
+  payLaterSchedule: {
+    one: '{count} fortnightly payment of {amount}, the first one today',
+    other: '{count} fortnightly payments of {amount}, the first one today'
+  }
+});
+
+const PAYMENT_METHODS = [
+  {
+    id: 'card',
+    label: 'Credit Card',
+    provider: 'card',
+    request: values => ({
+      card: { number: values.cardNumber, expiry: values.expiry, cvv: values.cvv, holder: values.cardHolder }
+    }),
+    describe: values => ({ cardNumber: values.cardNumber, brand: detectCardType(values.cardNumber || '') }),
+    validate: () => ''
+  },
+  {
+    id: 'paypal',
+    label: 'PayPal',
+    provider: 'paypal',
+    request: () => ({}),
+    describe: () => ({}),
+    validate: () => ''
+  },
+  {
+    id: 'paylater',
+    label: 'Pay later',
+    provider: 'paylater',
+    request: values => ({ customer: { email: values.payLaterEmail } }),
+    describe: () => ({ instalments: PAYMENT_CONFIG.payLater.instalments }),
+    validate: (values, context) => (isPayLaterAvailable(context.total) ? '' : PaymentMessages.pay_later_limit)
+  },
+  {
+    id: 'giftcard',
+    label: 'Gift card',
+    provider: 'giftcard',
+    request: values => ({ giftCard: { number: values.giftCardNumber, pin: values.giftCardPin } }),
+    describe: values => ({ giftCardNumber: values.giftCardNumber }),
+    validate: () => ''
+  },
+  {
+    id: 'bank',
+    label: 'Bank transfer',
+    provider: 'bank',
+    request: () => ({}),
+    describe: () => ({}),
+    validate: () => ''
+  }
+];
+
+function getPaymentMethod(id) {
+  return PAYMENT_METHODS.find(method => method.id === id) || null;
+}
+
+/* ==========================================
+   CONTROLLER
+   ========================================== */
+
+const PaymentMethodController = (function () {
+  let form = null;
+
+  function getArticles() {
+    return form ? Array.from(form.querySelectorAll('[data-payment-method]')) : [];
+  }
+
+  /**
+   * Id of the selected method
+   */
+  function getSelected() {
+    return form?.querySelector('input[name="paymentMethod"]:checked')?.value || '';
+  }
+
+  /**
+   * Values of the selected method's sub-form, by field name
+   */
+  function getValues() {
+    const article = getArticles().find(item => item.dataset.paymentMethod === getSelected());
+    const values = {};
+
+    article?.querySelectorAll('[data-method-form] input, [data-method-form] select').forEach(input => {
+      if (input.name) values[input.name] = input.value;
+    });
+
+    return values;
+  }
+
+  /**
+   * Show and enable the selected method's sub-form only
+   */
+  function apply() {
+    const selected = getSelected();
+
+    getArticles().forEach(article => {
+      const active = article.dataset.paymentMethod === selected;
+      const subForm = article.querySelector('[data-method-form]');
+
+      article.classList.toggle('border-brand-blue', active);
+      article.classList.toggle('border-brand-green-dark', !active);
+
+      if (!subForm) return;
+      subForm.classList.toggle('hidden', !active);
+      subForm.querySelectorAll('input, select').forEach(input => {
+        input.disabled = !active;
+        if (!active) clearFieldError(input);
+      });
+    });
+
+    renderPayLaterSchedule();
+  }
+
+  /**
+   * "4 fortnightly payments of $65.25" for the current order total
+   */
+  function renderPayLaterSchedule() {
+    const scheduleEl = form?.querySelector('#payLaterSchedule');
+    if (!scheduleEl) return;
+
+    const total = (loadFromStorage(STORAGE_KEYS.totals, {}) || {}).total;
+
+    if (!isPayLaterAvailable(total)) {
+      scheduleEl.textContent = PaymentMessages.pay_later_limit;
+      return;
+    }
+
+    const instalments = getPayLaterInstalments(total);
+    scheduleEl.textContent = PaymentMethodMessages.payLaterSchedule({
+      count: instalments.length,
+      amount: formatCurrency(instalments[instalments.length - 1])
+    });
+  }
+
+  /**
+   * Field rules (validateFormAsync shows their errors) plus the method's own
+   * rule. context: { total }. Resolves to { valid, message } (message: the
+   * method's rule).
+   */
+  async function validate(context) {
+    const method = getPaymentMethod(getSelected());
+    if (!method) return { valid: false, message: '' };
+
+    if (!(await validateFormAsync(form))) return { valid: false, message: '' };
+
+    const message = method.validate(getValues(), context);
+    return { valid: !message, message };
+  }
+
+  function init(paymentForm) {
+    form = paymentForm;
+    if (!form) return;
+
+    form.addEventListener('change', e => {
+      if (e.target.name !== 'paymentMethod') return;
+
+      apply();
+      CheckoutFlow.saveDraft('payment', { paymentMethod: e.target.value });
+    });
+
+    /* Restore the method chosen earlier in this checkout */
+    const saved = CheckoutFlow.getDraft('payment').paymentMethod;
+    const savedRadio = saved && getPaymentMethod(saved) && form.querySelector(`input[name="paymentMethod"][value="${saved}"]`);
+    if (savedRadio) savedRadio.checked = true;
+
+    window.addEventListener('currency:change', renderPayLaterSchedule);
+    window.addEventListener('language:change', renderPayLaterSchedule);
+
+    apply();
+  }
+
+  return { init, getSelected, getValues, validate, apply, renderPayLaterSchedule };
+})();
@@ -0,0 +1,445 @@
+/* payment-providers.js
+   Payment providers for the checkout, backed by a local mock gateway
+
+   Every provider has the same interface, each method resolving to a
+   PaymentResult (nothing throws, a failure is a result):
+     authorize(request)          -> reserve the amount
+     completeAction(id, outcome) -> finish a 3-D Secure challenge or redirect
+     capture(id, amount?)        -> take an authorized amount
+     void(id)                    -> cancel an authorization that was not captured
+     refund(id, amount?)         -> give back (part of) a captured amount
+
+   PaymentResult: { ok, status, transactionId, amount, code, message, action, instructions }
+     status: 'authorized' | 'requires_action' | 'pending' | 'captured' |
+             'voided' | 'refunded' | 'partially_refunded' | 'failed'
+     action (status 'requires_action'): { type: 'challenge' | 'redirect', url }
+
+   Providers:
+   - card:     card details are sent straight to the gateway; some cards
+               need a 3-D Secure challenge before they are authorized
+   - paypal:   PayPal-style redirect; authorize returns a redirect action and
+               the shopper approves (or cancels) on the provider's page
+   - paylater: Afterpay-style instalments, approved on the provider's page
+               like PayPal; only for totals within PAYMENT_CONFIG.payLater
+   - giftcard: store gift card number + PIN, charged against its balance
+   - bank:     bank transfer; nothing is charged online, authorize returns
+               status 'pending' with the account to pay into
+
+   The mock gateway keeps transactions in memory and decides the outcome
+   from the test card numbers (and gift cards) below, so declines,
+   insufficient funds, challenges and timeouts can be tried without a
+   live service.
+*/
+
+/* ==========================================
+   CONFIGURATION
+   ========================================== */
+
+const PAYMENT_CONFIG = {
+  /* Simulated network latency of the mock gateway */
+  latencyMs: 600,
+  /* Give up waiting for the gateway after this long */
+  timeoutMs: 8000,
+  /* Pay later: order totals accepted and number of fortnightly instalments */
+  payLater: { min: 1, max: 2000, instalments: 4 },
+  /* Account shown to shoppers paying by bank transfer */
+  bankTransfer: {
+    accountName: 'Aotearoa Adventure Gear Ltd',
+    accountNumber: '12-3456-0123456-00',
+    dueDays: 3
+  }
+};
+
+/* Test cards understood by the mock gateway (any other valid card is approved) */
+const PAYMENT_TEST_CARDS = {
+  '4242424242424242': { outcome: 'approved' },
+  '5555555555554444': { outcome: 'approved' },
+  '4000000000000002': { outcome: 'declined', code: 'card_declined' },
+  '4000000000009995': { outcome: 'declined', code: 'insufficient_funds' },
+  '4000000000000069': { outcome: 'declined', code: 'expired_card' },
+  '4000000000000127': { outcome: 'declined', code: 'incorrect_cvc' },
+  '4000000000003220': { outcome: 'challenge' },
+  '4000002760003184': { outcome: 'challenge', then: 'insufficient_funds' },
+  '4000000000000119': { outcome: 'timeout' }
+};
+
+/* Gift cards understood by the mock gateway */
+const PAYMENT_TEST_GIFT_CARDS = {
+  '6006491234567890': { pin: '1234', balance: 1000 },
+  '6006490000000001': { pin: '0000', balance: 20 }
+};
+
+// Message catalogs (i18n.js; required in Node)
+const PaymentI18n = typeof I18n !== 'undefined' ? I18n : require('./i18n.js').I18n;
+
+// Read when a result is created, so it is in the shopper's language
+const PaymentMessages = PaymentI18n.defineMessages('payment', {
+  card_declined: 'Your card was declined. Please use a different card.',
+  insufficient_funds: 'Your card has insufficient funds. Please use a different card.',
+  expired_card: 'Your card has expired. Please check the expiry date or use a different card.',
+  incorrect_cvc: 'The security code (CVV) is incorrect.',
+  authentication_failed: 'We could not verify your card with your bank. Please try again or use a different card.',
+  payment_cancelled: 'The payment was cancelled.',
+  timeout: 'The payment service did not respond. You have not been charged, please try again.',
+  invalid_gift_card: 'The gift card number or PIN is not valid.',
+  insufficient_balance: 'The gift card balance does not cover this order.',
+  pay_later_limit: 'Pay later is not available for this order total.',
+  invalid_amount: 'The order total is not valid.',
+  invalid_request: 'The payment could not be processed.',
+  not_found: 'The payment could not be found.',
+  invalid_state: 'This payment cannot be changed any more.'
+});
+
+/* ==========================================
+   RESULTS
+   ========================================== */
+
+function paymentSuccess(status, transaction, extra = {}) {
+  return {
+    ok: true,
+    status,
+    transactionId: transaction.id,
+    amount: transaction.amount,
+    code: '',
+    message: '',
+    action: null,
+    ...extra
+  };
+}
+
+function paymentFailure(code, transactionId = null) {
+  return {
+    ok: false,
+    status: 'failed',
+    transactionId,
+    amount: 0,
+    code,
+    message: PaymentMessages[code] || PaymentMessages.invalid_request,
+    action: null
+  };
+}
+
+/**
+ * Resolve to a timeout failure if `promise` takes longer than `ms`
+ */
+function withPaymentTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(paymentFailure('timeout')), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/* ==========================================
+   PAY LATER
+   ========================================== */
+
+function isPayLaterAvailable(total) {
+  const amount = Number(total);
+  return amount >= PAYMENT_CONFIG.payLater.min && amount <= PAYMENT_CONFIG.payLater.max;
+}
+
+/**
+ * Instalment amounts for a total (in cents so they add up exactly;
+ * the first instalment takes any remainder)
+ */
+function getPayLaterInstalments(total, count = PAYMENT_CONFIG.payLater.instalments) {
+  const cents = Math.round(Number(total) * 100);
+  if (!(cents > 0) || !(count > 0)) return [];
+
+  const base = Math.floor(cents / count);
+  return Array.from({ length: count }, (value, index) => (base + (index === 0 ? cents - base * count : 0)) / 100);
+}
+
+/* ==========================================
+   MOCK GATEWAY
+   ========================================== */
+
+/**
+ * In-memory gateway. options: { latencyMs }
+ */
+function createMockGateway(options = {}) {
+  const latencyMs = options.latencyMs ?? PAYMENT_CONFIG.latencyMs;
+  const transactions = new Map();
+  let sequence = 0;
+
+  function respond(result) {
+    return new Promise(resolve => setTimeout(() => resolve(result), latencyMs));
+  }
+
+  /* Never answers: the caller's timeout decides */
+  function hang() {
+    return new Promise(() => {});
+  }
+
+  function toCents(amount) {
+    return Math.round(Number(amount) * 100);
+  }
+
+  function create(source, request) {
+    sequence += 1;
+    const transaction = {
+      id: `mock_${source}_${Date.now().toString(36)}${sequence}`,
+      source,
+      amount: Number(request.amount),
+      currency: request.currency || 'NZD',
+      status: 'pending',
+      capturedCents: 0,
+      refundedCents: 0,
+      then: null
+    };
+    transactions.set(transaction.id, transaction);
+    return transaction;
+  }
+
+  function authorize(request = {}) {
+    const amount = Number(request.amount);
+    if (!Number.isFinite(amount) || amount <= 0) return respond(paymentFailure('invalid_amount'));
+
+    if (request.source === 'card') {
+      const number = String(request.card?.number || '').replace(/\D/g, '');
+      if (!number) return respond(paymentFailure('invalid_request'));
+
+      const test = PAYMENT_TEST_CARDS[number] || { outcome: 'approved' };
+      if (test.outcome === 'timeout') return hang();
+      if (test.outcome === 'declined') return respond(paymentFailure(test.code));
+
+      const transaction = create('card', request);
+      if (test.outcome === 'challenge') {
+        transaction.status = 'requires_action';
+        transaction.then = test.then || null;
+        return respond(paymentSuccess('requires_action', transaction, {
+          action: { type: 'challenge', url: `#3ds/${transaction.id}` }
+        }));
+      }
+
+      transaction.status = 'authorized';
+      return respond(paymentSuccess('authorized', transaction));
+    }
+
+    if (request.source === 'giftcard') {
+      const number = String(request.giftCard?.number || '').replace(/\D/g, '');
+      const giftCard = PAYMENT_TEST_GIFT_CARDS[number];
+      if (!giftCard || giftCard.pin !== String(request.giftCard?.pin || '')) {
+        return respond(paymentFailure('invalid_gift_card'));
+      }
+      if (toCents(giftCard.balance) < toCents(amount)) return respond(paymentFailure('insufficient_balance'));
+
+      const transaction = create('giftcard', request);
+      transaction.status = 'authorized';
+      return respond(paymentSuccess('authorized', transaction));
+    }
+
+    if (request.source === 'bank') {
+      const transaction = create('bank', request);
+      const account = PAYMENT_CONFIG.bankTransfer;
+      transaction.status = 'pending';
+      return respond(paymentSuccess('pending', transaction, {
+        instructions: { accountName: account.accountName, accountNumber: account.accountNumber, dueDays: account.dueDays }
+      }));
+    }
+
+    if (request.source === 'paylater' && !isPayLaterAvailable(amount)) {
+      return respond(paymentFailure('pay_later_limit'));
+    }
+
+    if (request.source === 'paypal' || request.source === 'paylater') {
+      const transaction = create(request.source, request);
+      transaction.status = 'requires_action';
+      return respond(paymentSuccess('requires_action', transaction, {
+        action: { type: 'redirect', provider: request.source, url: `#${request.source}/approve?token=${transaction.id}` }
+      }));
+    }
+
+    return respond(paymentFailure('invalid_request'));
+  }
+
+  /**
+   * outcome: { approved } - whether the shopper passed the challenge
+   * or approved the payment on the redirect page
+   */
+  function completeAction(id, outcome = {}) {
+    const transaction = transactions.get(id);
+    if (!transaction) return respond(paymentFailure('not_found', id));
+    if (transaction.status !== 'requires_action') return respond(paymentFailure('invalid_state', id));
+
+    if (!outcome.approved) {
+      transaction.status = 'failed';
+      return respond(paymentFailure(transaction.source === 'card' ? 'authentication_failed' : 'payment_cancelled', id));
+    }
+
+    if (transaction.then) {
+      transaction.status = 'failed';
+      return respond(paymentFailure(transaction.then, id));
+    }
+
+    transaction.status = 'authorized';
+    return respond(paymentSuccess('authorized', transaction));
+  }
+
+  function capture(id, amount) {
+    const transaction = transactions.get(id);
+    if (!transaction) return respond(paymentFailure('not_found', id));
+    if (transaction.status !== 'authorized') return respond(paymentFailure('invalid_state', id));
+
+    const cents = amount === undefined ? toCents(transaction.amount) : toCents(amount);
+    if (!(cents > 0) || cents > toCents(transaction.amount)) return respond(paymentFailure('invalid_amount', id));
+
+    transaction.status = 'captured';
+    transaction.capturedCents = cents;
+    return respond(paymentSuccess('captured', transaction, { amount: cents / 100 }));
+  }
+
+  function voidAuthorization(id) {
+    const transaction = transactions.get(id);
+    if (!transaction) return respond(paymentFailure('not_found', id));
+    if (transaction.status !== 'authorized' && transaction.status !== 'requires_action') {
+      return respond(paymentFailure('invalid_state', id));
+    }
+
+    transaction.status = 'voided';
+    return respond(paymentSuccess('voided', transaction, { amount: 0 }));
+  }
+
+  function refund(id, amount) {
+    const transaction = transactions.get(id);
+    if (!transaction) return respond(paymentFailure('not_found', id));
+    if (transaction.status !== 'captured' && transaction.status !== 'partially_refunded') {
+      return respond(paymentFailure('invalid_state', id));
+    }
+
+    const remaining = transaction.capturedCents - transaction.refundedCents;
+    const cents = amount === undefined ? remaining : toCents(amount);
+    if (!(cents > 0) || cents > remaining) return respond(paymentFailure('invalid_amount', id));
+
+    transaction.refundedCents += cents;
+    transaction.status = transaction.refundedCents === transaction.capturedCents ? 'refunded' : 'partially_refunded';
+    return respond(paymentSuccess(transaction.status, transaction, { amount: cents / 100 }));
+  }
+
+  return {
+    authorize,
+    completeAction,
+    capture,
+    void: voidAuthorization,
+    refund,
+    /* Inspect a transaction (tests, tooling) */
+    getTransaction: id => (transactions.has(id) ? { ...transactions.get(id) } : null)
+  };
+}
+
+/* ==========================================
+   PROVIDERS
+   ========================================== */
+
+/**
+ * Shared provider shape: every call goes to the gateway with a timeout
+ */
+function createPaymentProvider(id, gateway, buildRequest, options = {}) {
+  const timeoutMs = options.timeoutMs ?? PAYMENT_CONFIG.timeoutMs;
+  const call = promise => withPaymentTimeout(promise, timeoutMs);
+
+  return {
+    id,
+    authorize: request => call(gateway.authorize(buildRequest(request || {}))),
+    completeAction: (transactionId, outcome) => call(gateway.completeAction(transactionId, outcome)),
+    capture: (transactionId, amount) => call(gateway.capture(transactionId, amount)),
+    void: transactionId => call(gateway.void(transactionId)),
+    refund: (transactionId, amount) => call(gateway.refund(transactionId, amount))
+  };
+}
+
+/**
+ * Card payments. authorize({ amount, currency, card: { number, expiry, cvv, holder } })
+ */
+function createCardProvider(gateway, options) {
+  return createPaymentProvider('card', gateway, request => ({
+    source: 'card',
+    amount: request.amount,
+    currency: request.currency,
+    card: request.card || {}
+  }), options);
+}
+
+/**
+ * PayPal-style redirect payments. authorize({ amount, currency, returnUrl })
+ */
+function createPayPalProvider(gateway, options) {
+  return createPaymentProvider('paypal', gateway, request => ({
+    source: 'paypal',
+    amount: request.amount,
+    currency: request.currency,
+    returnUrl: request.returnUrl || ''
+  }), options);
+}
+
+/**
+ * Afterpay-style pay later. authorize({ amount, currency, customer: { email }, returnUrl })
+ */
+function createPayLaterProvider(gateway, options) {
+  return createPaymentProvider('paylater', gateway, request => ({
+    source: 'paylater',
+    amount: request.amount,
+    currency: request.currency,
+    customer: request.customer || {},
+    returnUrl: request.returnUrl || ''
+  }), options);
+}
+
+/**
+ * Gift cards. authorize({ amount, currency, giftCard: { number, pin } })
+ */
+function createGiftCardProvider(gateway, options) {
+  return createPaymentProvider('giftcard', gateway, request => ({
+    source: 'giftcard',
+    amount: request.amount,
+    currency: request.currency,
+    giftCard: request.giftCard || {}
+  }), options);
+}
+
+/**
+ * Bank transfer: authorize({ amount, currency }) resolves 'pending' with instructions
+ */
+function createBankTransferProvider(gateway, options) {
+  return createPaymentProvider('bank', gateway, request => ({
+    source: 'bank',
+    amount: request.amount,
+    currency: request.currency
+  }), options);
+}
+
+/**
+ * Providers by id. options: { gateway, latencyMs, timeoutMs }
+ */
+function createPaymentProviders(options = {}) {
+  const gateway = options.gateway || createMockGateway(options);
+
+  return {
+    card: createCardProvider(gateway, options),
+    paypal: createPayPalProvider(gateway, options),
+    paylater: createPayLaterProvider(gateway, options),
+    giftcard: createGiftCardProvider(gateway, options),
+    bank: createBankTransferProvider(gateway, options)
+  };
+}
+
+/* Allow the providers and the mock gateway to be used in Node (tests, tooling) */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PAYMENT_CONFIG,
+    PAYMENT_TEST_CARDS,
+    PAYMENT_TEST_GIFT_CARDS,
+    PaymentMessages,
+    isPayLaterAvailable,
+    getPayLaterInstalments,
+    createMockGateway,
+    createCardProvider,
+    createPayPalProvider,
+    createPayLaterProvider,
+    createGiftCardProvider,
+    createBankTransferProvider,
+    createPaymentProviders
+  };
+}
@@ -1,82 +1,85 @@
 /* payment.js
    Payment page functionality:
-   - Credit card validation and formatting
-   - Payment method switching
+   - Payment method switching and sub-forms (payment-methods.js)
+   - Order summary panel (summary.js) for the cart, the chosen shipping
+     option and the submitted shipping address; shipping is priced again
+     (order-check.js), never read back from the stored totals, and the
+     summary is re-priced when the order check refuses an order
    - Form submission handling
+   - The chosen payment method is remembered (checkout.js) so coming back
+     from the shipping step keeps it; card details are never stored
    
    Note: Main validation logic is in validation.js
 */
 
+/* Page text (data-i18n in payment.html) */
+I18n.defineMessages('paymentPage', {
+  heading: 'Payment method',
+  chooseMethod: 'Choose a payment method',
+  card: 'Credit Card',
+  cardLabel: 'Credit card',
+  cardNumber: 'Card number',
+  expiry: 'Expiry date',
+  cardHolder: 'Card Holder Name',
+  cardHolderPlaceholder: 'Card Holder Name *',
+  payLater: 'Pay Later',
+  payLaterLabel: 'Pay later in instalments',
+  payLaterText: 'Split the order into interest-free instalments. You approve the plan with the provider.',
+  payLaterEmail: 'Email for your pay later account',
+  payLaterEmailPlaceholder: 'Email for your pay later account *',
+  giftCard: 'Gift Card',
+  giftCardLabel: 'Gift card',
+  giftCardText: 'Use an Aotearoa Adventure Gear gift card. The balance must cover the whole order.',
+  giftCardNumber: 'Gift card number',
+  giftCardNumberPlaceholder: 'Gift card number *',
+  giftCardPin: 'Gift card PIN',
+  bankTransfer: 'Bank Transfer',
+  bankTransferLabel: 'Bank transfer',
+  bankTransferText: 'Pay from your bank account. Our account number and your payment reference are shown once the order is placed, and the order is dispatched when the payment arrives.',
+  payNow: 'Pay Now'
+});
+
 (function initPayment() {
   const form = document.getElementById('paymentForm');
   if (!form) return;
 
-  // Get payment method radios
-  const cardRadio = document.querySelector('input[value="card"]');
-  const paypalRadio = document.querySelector('input[value="paypal"]');
-  
-  // Get card input fields container
-  const cardInputsContainer = form.querySelector('article:first-of-type');
-  const cardInputFields = cardInputsContainer?.querySelectorAll('input[id="cardNumber"], input[id="expiry"], input[id="cvv"], input[id="cardHolder"]');
+  // Method switching and sub-forms (payment-methods.js)
+  PaymentMethodController.init(form);
 
   /**
-   * Toggle card fields enabled/disabled based on payment method
+   * Summary panel from the cart, the shipping option picked on the
+   * previous step and the submitted shipping address (summary.js)
    */
-  function toggleCardFields(enabled) {
-    if (!cardInputFields) return;
+  async function initSummary() {
+    const catalog = await loadSummaryCatalog();
 
-    cardInputFields.forEach(field => {
-      field.disabled = !enabled;
-      
-      // Update visual styling
-      const wrapper = field.closest('.grid') || field.closest('div');
-      if (wrapper) {
-        if (enabled) {
-          wrapper.style.opacity = '1';
-        } else {
-          wrapper.style.opacity = '0.5';
-          // Clear any validation errors when disabling
-          clearFieldError(field);
-        }
-      }
-    });
-  }
+    function render() {
+      const lines = readSummaryLines(catalog);
+      const stored = loadFromStorage(STORAGE_KEYS.totals, {}) || {};
+      const shipping = loadFromStorage(STORAGE_KEYS.shipping, {}) || {};
+      const promoCode = loadFromStorage(STORAGE_KEYS.promoCode, '');
+      const option = getOrderShippingOption(lines, {
+        ...shipping,
+        shippingMethod: shipping.shippingMethod || stored.shippingMethod?.id
+      }, { promoCode });
 
-  /**
-   * Handle payment method change
-   */
-  function handlePaymentMethodChange(e) {
-    const isCard = e.target.value === 'card';
-    toggleCardFields(isCard);
-    
-    // Update styling of payment option boxes
-    const cardBox = cardRadio?.closest('article');
-    const paypalBox = paypalRadio?.closest('article');
-    
-    if (isCard) {
-      cardBox?.classList.add('border-brand-blue');
-      cardBox?.classList.remove('border-brand-green-dark');
-      paypalBox?.classList.remove('border-brand-blue');
-      paypalBox?.classList.add('border-brand-green-dark');
-    } else {
-      paypalBox?.classList.add('border-brand-blue');
-      paypalBox?.classList.remove('border-brand-green-dark');
-      cardBox?.classList.remove('border-brand-blue');
-      cardBox?.classList.add('border-brand-green-dark');
+      const totals = calculateOrderTotals(lines, {
+        promoCode,
+        shippingCost: option ? option.cost : 0,
+        destination: shipping
+      });
+
+      renderOrderSummary('pay', totals, lines);
+      saveOrderTotals({ ...totals, shippingMethod: option ? stored.shippingMethod || null : null });
+      PaymentMethodController.renderPayLaterSchedule();
     }
-  }
 
-  // Attach payment method change handlers
-  if (cardRadio) {
-    cardRadio.addEventListener('change', handlePaymentMethodChange);
-  }
-  if (paypalRadio) {
-    paypalRadio.addEventListener('change', handlePaymentMethodChange);
+    render();
+    window.addEventListener('currency:change', render);
+    window.addEventListener('language:change', render);
+    window.addEventListener('order:rejected', render);
   }
 
-  // Initial state: card selected, so ensure fields are enabled
-  if (cardRadio?.checked) {
-    toggleCardFields(true);
-  }
+  initSummary();
 
 })();
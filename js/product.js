@@ -0,0 +1,222 @@
+/* product.js
+   Product detail page functionality:
+   - Read the product SKU from the URL (?sku=...)
+   - Render the product, its option selects and similar products from the catalog
+   - Disable option values that lead to no variant in stock, and show the
+     price, stock and image of the chosen variant
+   - Validate the chosen variant and add it to the cart
+   - Show the product's reviews and the review form (reviews.js)
+*/
+
+const ProductMessages = I18n.defineMessages('product', {
+  from: 'From',
+  sku: 'SKU {sku}',
+  inStock: 'In stock',
+  lowStock: 'Only {count} left',
+  soldOut: 'Sold out',
+  chooseOptions: 'Choose {options} to see availability',
+  unavailableValue: '{value} (unavailable)'
+});
+
+/* Stock at or below this is pointed out under the price */
+const PRODUCT_LOW_STOCK = 5;
+
+(async function initProductDetail() {
+  const titleEl = document.getElementById('productTitle');
+  if (!titleEl) return;
+
+  const elements = {
+    image: document.getElementById('productImage'),
+    title: titleEl,
+    rating: document.getElementById('productRating'),
+    reviews: document.getElementById('productReviewCount'),
+    price: document.getElementById('productPrice'),
+    options: document.getElementById('variantOptions'),
+    stock: document.getElementById('variantStock'),
+    description: document.getElementById('productDescription'),
+    similar: document.getElementById('similarProducts')
+  };
+
+  try {
+    const catalog = await loadCatalog();
+    const sku = new URLSearchParams(window.location.search).get('sku');
+
+    /* Without a (known) SKU, show the first product instead of an empty page */
+    const product = getProductBySku(catalog, sku) || catalog.products[0];
+    if (!product) return;
+
+    renderProductDetail(elements, product, catalog);
+    initVariantPicker(product, elements);
+    initAddToCart(product, elements);
+    ReviewsController.init(product);
+  } catch (err) {
+    console.warn('Could not load product catalog', err);
+    renderCatalogError(elements.similar);
+  }
+})();
+
+/* ==========================================
+   VARIANT PICKER
+   ========================================== */
+
+function getOptionSelects(elements) {
+  return elements.options ? Array.from(elements.options.querySelectorAll('[data-variant-option]')) : [];
+}
+
+/**
+ * Chosen option values: { optionId: value }
+ */
+function getOptionSelection(elements) {
+  const selection = {};
+  getOptionSelects(elements).forEach(select => {
+    selection[select.name] = select.value;
+  });
+  return selection;
+}
+
+/**
+ * Variant of the chosen options (null until all are chosen, when the
+ * combination is not made, or when the product has no options)
+ */
+function getSelectedVariant(product, elements) {
+  if (getProductOptions(product).length === 0) return null;
+  return findVariant(product, getOptionSelection(elements));
+}
+
+/**
+ * Disable values that, with the other choices kept, lead to no variant in stock
+ */
+function updateOptionAvailability(product, elements) {
+  const selection = getOptionSelection(elements);
+
+  getOptionSelects(elements).forEach(select => {
+    Array.from(select.options).forEach(option => {
+      if (!option.value) return;
+
+      const available = isOptionValueAvailable(product, selection, select.name, option.value);
+      option.disabled = !available;
+      option.textContent = available ? option.value : ProductMessages.unavailableValue({ value: option.value });
+    });
+  });
+}
+
+/**
+ * Price, stock line and image of the chosen variant ("From" the lowest
+ * price until one is chosen)
+ */
+function updateVariantDisplay(product, elements) {
+  const variant = getSelectedVariant(product, elements);
+  const options = getProductOptions(product);
+
+  if (elements.price) {
+    const price = variant ? getVariantPrice(product, variant) : getLowestPrice(product);
+    const hasRange = !variant && (product.variants || []).some(item => getVariantPrice(product, item) !== price);
+
+    elements.price.removeAttribute('data-price');
+    elements.price.innerHTML = `${hasRange ? `${escapeHTML(ProductMessages.from)} ` : ''}<span data-price="${Number(price)}">${formatCurrency(price)}</span>`;
+  }
+
+  if (elements.stock) {
+    const stock = getVariantStock(product, variant);
+
+    if (options.length > 0 && !variant) {
+      elements.stock.textContent = ProductMessages.chooseOptions({
+        options: options.map(option => option.name.toLowerCase()).join(' / ')
+      });
+    } else {
+      const availability = stock === null ? '' :
+        stock <= 0 ? ProductMessages.soldOut :
+        stock <= PRODUCT_LOW_STOCK ? ProductMessages.lowStock({ count: stock }) :
+        ProductMessages.inStock;
+
+      elements.stock.textContent = [ProductMessages.sku({ sku: variant ? variant.sku : product.sku }), availability]
+        .filter(Boolean)
+        .join(' · ');
+    }
+  }
+
+  if (elements.image) {
+    const image = getVariantImage(product, variant);
+    elements.image.src = image.src;
+    elements.image.alt = image.alt;
+  }
+}
+
+function initVariantPicker(product, elements) {
+  const refresh = () => {
+    updateOptionAvailability(product, elements);
+    updateVariantDisplay(product, elements);
+  };
+
+  getOptionSelects(elements).forEach(select => {
+    select.addEventListener('change', () => {
+      getOptionSelects(elements).forEach(clearFieldError);
+      refresh();
+    });
+  });
+
+  refresh();
+  window.addEventListener('language:change', refresh);
+}
+
+/* ==========================================
+   ADD TO CART
+   ========================================== */
+
+/**
+ * Units of a variant already in the cart
+ */
+function getCartQty(product, variant) {
+  const line = CartStore.getItems().find(item => item.sku === product.sku && item.variant === (variant ? variant.sku : ''));
+  return line ? line.qty : 0;
+}
+
+/**
+ * Check every option select, and the chosen combination against the
+ * catalog and stock; show the errors and focus the first field in error
+ */
+function validateVariantSelection(product, elements) {
+  const variant = getSelectedVariant(product, elements);
+  const selects = getOptionSelects(elements);
+  const schema = createProductSchema(getProductOptions(product));
+
+  const result = validateValues(schema, getOptionSelection(elements), {
+    variant,
+    stock: getVariantStock(product, variant),
+    inCart: getCartQty(product, variant)
+  });
+
+  selects.forEach(select => {
+    if (result.errors[select.name]) showFieldError(select, result.errors[select.name]);
+    else clearFieldError(select);
+  });
+
+  const firstInvalid = selects.find(select => result.errors[select.name]);
+  if (firstInvalid) firstInvalid.focus();
+
+  return result.valid;
+}
+
+/**
+ * "Add To Cart": require a complete, available variant when the product
+ * has options, add the line to the cart store and go to the cart page
+ */
+function initAddToCart(product, elements) {
+  const button = document.getElementById('addToCartBtn');
+  if (!button) return;
+
+  button.addEventListener('click', () => {
+    if (!validateVariantSelection(product, elements)) return;
+
+    const variant = getSelectedVariant(product, elements);
+
+    CartStore.addItem(product.sku, variant ? variant.sku : '', 1, {
+      name: product.name,
+      variantName: getVariantName(product, variant),
+      price: getVariantPrice(product, variant),
+      image: getVariantImage(product, variant).src
+    });
+
+    window.location.href = 'cart.html';
+  });
+}
@@ -0,0 +1,438 @@
+/* promotions.js
+   Promotion and discount-code engine for Aotearoa Adventure Gear
+
+   Supported rule types:
+   - percent : percentage off the eligible lines
+   - fixed   : fixed amount off the eligible lines
+   - bxgy    : buy X get Y free (cheapest eligible units are free)
+
+   Every rule can be scoped to a category or to SKUs, time-boxed with
+   startsAt/endsAt, limited by a minimum spend, and marked exclusive
+   (cannot be combined with any other promotion).
+   Rules without a `code` apply automatically while they are live.
+   Only one discount code can be used per order.
+*/
+
+// Messages and amounts (i18n.js, money.js; required in Node)
+const PromotionI18n = typeof I18n !== 'undefined' ? I18n : require('./i18n.js').I18n;
+const PromotionMoney = typeof Money !== 'undefined' ? Money : require('./money.js').Money;
+
+/* ==========================================
+   PROMOTION RULES
+   ========================================== */
+
+const PROMOTIONS = [
+  {
+    id: 'spring-hiking-sale',
+    label: 'Spring hiking sale: 15% off hiking gear',
+    type: 'percent',
+    value: 15,
+    category: 'hiking',
+    startsAt: '2026-10-13T00:00:00+13:00',
+    endsAt: '2026-10-27T00:00:00+13:00'
+  },
+  {
+    id: 'summer-camping-sale',
+    label: 'Summer camping sale: $50 off camping gear over $300',
+    type: 'fixed',
+    value: 50,
+    category: 'camping',
+    minSubtotal: 300,
+    startsAt: '2026-12-01T00:00:00+13:00',
+    endsAt: '2026-12-25T00:00:00+13:00'
+  },
+  {
+    id: 'poles-3-for-2',
+    label: 'Trekking poles: buy 2, get 1 free',
+    type: 'bxgy',
+    buy: 2,
+    get: 1,
+    skus: ['AAG-TP-05']
+  },
+  {
+    id: 'welcome10',
+    code: 'WELCOME10',
+    label: 'WELCOME10: 10% off your order',
+    type: 'percent',
+    value: 10
+  },
+  {
+    id: 'kiwi25',
+    code: 'KIWI25',
+    label: 'KIWI25: $25 off orders over $250',
+    type: 'fixed',
+    value: 25,
+    minSubtotal: 250
+  },
+  {
+    id: 'vip20',
+    code: 'VIP20',
+    label: 'VIP20: 20% off (cannot be combined)',
+    type: 'percent',
+    value: 20,
+    exclusive: true
+  },
+  {
+    id: 'climb30',
+    code: 'CLIMB30',
+    label: 'CLIMB30: 30% off climbing gear',
+    type: 'percent',
+    value: 30,
+    category: 'climbing',
+    startsAt: '2026-08-01T00:00:00+12:00',
+    endsAt: '2026-09-01T00:00:00+12:00'
+  }
+];
+
+/* Automatic promotions are applied first, then codes.
+   Within a group: buy-X-get-Y, then percentages, then fixed amounts,
+   so a fixed amount never pushes a line below zero. */
+const PROMOTION_TYPE_ORDER = { bxgy: 0, percent: 1, fixed: 2 };
+
+const PromotionMessages = PromotionI18n.defineMessages('promotions', {
+  invalid: 'This code is not valid',
+  notStarted: 'This code is not active yet',
+  expired: 'This code has expired',
+  minSubtotal: 'Spend {amount} or more to use this code',
+  notApplicable: 'This code does not apply to the items in your cart',
+  notCombinable: 'This code cannot be combined with the current offers',
+  countdownActive: 'LIMITED TIME OFFER',
+  countdownUpcoming: 'COMING SOON',
+  countdownEndsIn: 'Offer ends in:',
+  countdownStartsIn: 'Next offer starts in:'
+});
+
+/* ==========================================
+   HELPERS
+   ========================================== */
+
+/**
+ * Upper-case, trimmed code (codes are case-insensitive)
+ */
+function normalizePromoCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function toTime(value) {
+  return value instanceof Date ? value.getTime() : Number(value);
+}
+
+/**
+ * 'scheduled', 'active' or 'expired' for a promotion at a point in time
+ */
+function getPromotionStatus(promotion, now = Date.now()) {
+  const time = toTime(now);
+  if (promotion.startsAt && time < Date.parse(promotion.startsAt)) return 'scheduled';
+  if (promotion.endsAt && time >= Date.parse(promotion.endsAt)) return 'expired';
+  return 'active';
+}
+
+function lineAmount(line) {
+  return PromotionMoney.multiply(line.price, Number(line.qty) || 0);
+}
+
+/**
+ * Indexes of the cart lines a promotion applies to
+ */
+function getEligibleLineIndexes(promotion, lines) {
+  return lines.reduce((indexes, line, index) => {
+    const inCategory = !promotion.category || line.category === promotion.category;
+    const inSkus = !promotion.skus || promotion.skus.includes(line.sku);
+    if (inCategory && inSkus) indexes.push(index);
+    return indexes;
+  }, []);
+}
+
+/**
+ * Spend on the lines a promotion applies to
+ */
+function getEligibleSubtotal(promotion, lines) {
+  return PromotionMoney.sum(getEligibleLineIndexes(promotion, lines).map(index => lineAmount(lines[index])));
+}
+
+/**
+ * Why a live promotion cannot be used for these lines ('' if it can)
+ */
+function getPromotionIneligibility(promotion, lines) {
+  if (getEligibleLineIndexes(promotion, lines).length === 0) return 'notApplicable';
+  if (promotion.type === 'bxgy') {
+    const units = getEligibleLineIndexes(promotion, lines).reduce((sum, index) => sum + Number(lines[index].qty), 0);
+    if (units < promotion.buy + promotion.get) return 'notApplicable';
+  }
+  if (promotion.minSubtotal && getEligibleSubtotal(promotion, lines) < promotion.minSubtotal) return 'minSubtotal';
+  return '';
+}
+
+/* ==========================================
+   ELIGIBILITY
+   ========================================== */
+
+/**
+ * Automatic (code-less) promotions that are live and apply to the lines
+ */
+function getAutomaticPromotions(lines, now = Date.now()) {
+  return PROMOTIONS.filter(promotion =>
+    !promotion.code &&
+    getPromotionStatus(promotion, now) === 'active' &&
+    getPromotionIneligibility(promotion, lines) === ''
+  );
+}
+
+/**
+ * Check a discount code against the cart.
+ * Returns { valid, message, promotion }
+ */
+function checkPromoCode(code, lines, now = Date.now()) {
+  const normalized = normalizePromoCode(code);
+  const promotion = PROMOTIONS.find(item => item.code && item.code === normalized);
+
+  if (!promotion) return { valid: false, message: PromotionMessages.invalid, promotion: null };
+
+  const status = getPromotionStatus(promotion, now);
+  if (status === 'scheduled') return { valid: false, message: PromotionMessages.notStarted, promotion };
+  if (status === 'expired') return { valid: false, message: PromotionMessages.expired, promotion };
+
+  const reason = getPromotionIneligibility(promotion, lines);
+  if (reason === 'minSubtotal') {
+    return {
+      valid: false,
+      message: PromotionMessages.minSubtotal({ amount: PromotionMoney.format(promotion.minSubtotal) }),
+      promotion
+    };
+  }
+  if (reason) return { valid: false, message: PromotionMessages[reason], promotion };
+
+  /* Exclusive rules cannot be stacked on top of (or under) another promotion */
+  const automatic = getAutomaticPromotions(lines, now);
+  if (automatic.length > 0 && (promotion.exclusive || automatic.some(item => item.exclusive))) {
+    return { valid: false, message: PromotionMessages.notCombinable, promotion };
+  }
+
+  return { valid: true, message: '', promotion };
+}
+
+/* ==========================================
+   DISCOUNT CALCULATION
+   ========================================== */
+
+/**
+ * Spread an amount over lines in proportion to what is left on each,
+ * in whole cents. Returns the amount taken from each line index.
+ */
+function allocateDiscount(amount, indexes, remaining) {
+  const base = PromotionMoney.sum(indexes.map(index => remaining[index]));
+  const total = Math.min(PromotionMoney.add(amount), base);
+  const allocation = {};
+  if (total <= 0) return allocation;
+
+  let allocated = 0;
+  indexes.forEach((index, position) => {
+    const isLast = position === indexes.length - 1;
+    const share = isLast ? PromotionMoney.subtract(total, allocated) : PromotionMoney.multiply(total, remaining[index] / base);
+    allocation[index] = Math.min(share, remaining[index]);
+    allocated = PromotionMoney.add(allocated, allocation[index]);
+  });
+
+  return allocation;
+}
+
+/**
+ * Amount taken from each eligible line by one promotion
+ */
+function calculatePromotionAllocation(promotion, lines, remaining) {
+  const indexes = getEligibleLineIndexes(promotion, lines).filter(index => remaining[index] > 0);
+
+  switch (promotion.type) {
+    case 'percent': {
+      const allocation = {};
+      indexes.forEach(index => {
+        allocation[index] = PromotionMoney.multiply(remaining[index], promotion.value / 100);
+      });
+      return allocation;
+    }
+
+    case 'fixed':
+      return allocateDiscount(promotion.value, indexes, remaining);
+
+    case 'bxgy': {
+      /* Expand to single units, most expensive first; in every group of
+         buy + get units the cheapest `get` units are free */
+      const units = [];
+      indexes.forEach(index => {
+        for (let i = 0; i < Number(lines[index].qty); i++) {
+          units.push({ index, price: Number(lines[index].price) || 0 });
+        }
+      });
+      units.sort((a, b) => b.price - a.price);
+
+      const groupSize = promotion.buy + promotion.get;
+      const allocation = {};
+      const fullGroups = Math.floor(units.length / groupSize);
+
+      for (let group = 0; group < fullGroups; group++) {
+        const groupUnits = units.slice(group * groupSize, (group + 1) * groupSize);
+        groupUnits.slice(-promotion.get).forEach(unit => {
+          allocation[unit.index] = PromotionMoney.add(allocation[unit.index] || 0, unit.price);
+        });
+      }
+
+      Object.keys(allocation).forEach(index => {
+        allocation[index] = Math.min(allocation[index], remaining[index]);
+      });
+      return allocation;
+    }
+
+    default:
+      return {};
+  }
+}
+
+/**
+ * Apply automatic promotions and an optional discount code to cart lines.
+ * lines: [{ sku, variant, category, price, qty }]
+ * options: { code, now }
+ *
+ * Returns {
+ *   discounts: [{ id, label, code, amount }],
+ *   discountTotal,
+ *   lineDiscounts: [amount per line, same order as lines],
+ *   code,        // the accepted code ('' if none)
+ *   codeError    // message when the given code was rejected
+ * }
+ */
+function applyPromotions(lines, options = {}) {
+  const now = options.now ?? Date.now();
+  const code = normalizePromoCode(options.code);
+
+  const applied = getAutomaticPromotions(lines, now);
+  let acceptedCode = '';
+  let codeError = '';
+
+  if (code) {
+    const result = checkPromoCode(code, lines, now);
+    if (result.valid) {
+      applied.push(result.promotion);
+      acceptedCode = code;
+    } else {
+      codeError = result.message;
+    }
+  }
+
+  const ordered = applied
+    .map((promotion, position) => ({ promotion, position }))
+    .sort((a, b) => {
+      const groupA = a.promotion.code ? 1 : 0;
+      const groupB = b.promotion.code ? 1 : 0;
+      if (groupA !== groupB) return groupA - groupB;
+      return (PROMOTION_TYPE_ORDER[a.promotion.type] - PROMOTION_TYPE_ORDER[b.promotion.type]) || (a.position - b.position);
+    })
+    .map(item => item.promotion);
+
+  const remaining = lines.map(lineAmount);
+  const discounts = [];
+
+  ordered.forEach(promotion => {
+    const allocation = calculatePromotionAllocation(promotion, lines, remaining);
+    let amount = 0;
+
+    Object.keys(allocation).forEach(index => {
+      remaining[index] = PromotionMoney.subtract(remaining[index], allocation[index]);
+      amount = PromotionMoney.add(amount, allocation[index]);
+    });
+
+    if (amount > 0) {
+      discounts.push({ id: promotion.id, label: promotion.label, code: promotion.code || '', amount });
+    }
+  });
+
+  const lineDiscounts = lines.map((line, index) => PromotionMoney.subtract(lineAmount(line), remaining[index]));
+  const discountTotal = PromotionMoney.sum(discounts.map(discount => discount.amount));
+
+  return { discounts, discountTotal, lineDiscounts, code: acceptedCode, codeError };
+}
+
+/* ==========================================
+   CAMPAIGN SCHEDULE (home page countdown)
+   ========================================== */
+
+/**
+ * Time-boxed automatic promotions (both startsAt and endsAt set),
+ * in start order
+ */
+function getScheduledCampaigns(promotions = PROMOTIONS) {
+  return promotions
+    .filter(promotion => !promotion.code && promotion.startsAt && promotion.endsAt)
+    .slice()
+    .sort((a, b) => Date.parse(a.startsAt) - Date.parse(b.startsAt));
+}
+
+/**
+ * What the countdown should show at a point in time:
+ * - { mode: 'active', promotion, target }   campaign running, target = its end
+ * - { mode: 'upcoming', promotion, target } between campaigns, target = next start
+ * - { mode: 'none' }                        nothing running or scheduled
+ * `remaining` is the time left until `target` in milliseconds.
+ */
+function getCampaignCountdown(now = Date.now(), promotions = PROMOTIONS) {
+  const time = toTime(now);
+  const campaigns = getScheduledCampaigns(promotions);
+
+  /* If campaigns overlap, count down to the one that ends first */
+  const active = campaigns
+    .filter(promotion => getPromotionStatus(promotion, time) === 'active')
+    .sort((a, b) => Date.parse(a.endsAt) - Date.parse(b.endsAt))[0];
+
+  if (active) {
+    const target = Date.parse(active.endsAt);
+    return { mode: 'active', promotion: active, target, remaining: target - time };
+  }
+
+  const next = campaigns.find(promotion => getPromotionStatus(promotion, time) === 'scheduled');
+  if (next) {
+    const target = Date.parse(next.startsAt);
+    return { mode: 'upcoming', promotion: next, target, remaining: target - time };
+  }
+
+  return { mode: 'none', promotion: null, target: null, remaining: 0 };
+}
+
+/**
+ * The countdown banner at a point in time: getCampaignCountdown() plus
+ * its label, heading and the time left split into days, hours, minutes
+ * and seconds. `urgent` is set in the last hour of a running campaign.
+ */
+function getCountdownDisplay(now = Date.now(), promotions = PROMOTIONS) {
+  const state = getCampaignCountdown(now, promotions);
+  if (state.mode === 'none') return state;
+
+  const isActive = state.mode === 'active';
+  const remaining = Math.max(0, state.remaining);
+  const hour = 60 * 60 * 1000;
+
+  return {
+    ...state,
+    label: isActive ? PromotionMessages.countdownActive : PromotionMessages.countdownUpcoming,
+    heading: isActive ? PromotionMessages.countdownEndsIn : PromotionMessages.countdownStartsIn,
+    days: Math.floor(remaining / (24 * hour)),
+    hours: Math.floor((remaining % (24 * hour)) / hour),
+    minutes: Math.floor((remaining % hour) / (60 * 1000)),
+    seconds: Math.floor((remaining % (60 * 1000)) / 1000),
+    urgent: isActive && remaining < hour
+  };
+}
+
+/* Allow the engine to be loaded in Node (tests, tooling) */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PROMOTIONS,
+    PromotionMessages,
+    normalizePromoCode,
+    getPromotionStatus,
+    getAutomaticPromotions,
+    checkPromoCode,
+    applyPromotions,
+    getScheduledCampaigns,
+    getCampaignCountdown,
+    getCountdownDisplay
+  };
+}
@@ -0,0 +1,485 @@
+/* reviews.js
+   Product reviews: submission, ratings and moderation
+
+   Reviews are kept through a storage adapter as:
+   [{ id, sku, rating, title, body, author, createdAt, status, helpful,
+      moderatedAt }]
+   status is 'pending' until staff approve or reject the review on
+   moderation.html; only approved reviews are shown and count towards a
+   product's rating. helpful counts the "helpful" votes.
+
+   A storage adapter is any object with load() and save(reviews), both
+   returning promises. The local adapter (the default) keeps the reviews
+   in AppStorage (storage.js) under STORAGE_KEYS.reviews and starts from
+   the published reviews in data/reviews.json; the memory adapter keeps
+   them for the session only (tooling). A server-backed adapter can replace either.
+
+   Each browser votes once per review; the reviews voted for are
+   remembered under STORAGE_KEYS.reviewVotes.
+
+   ReviewsController renders the product page section: average rating and
+   distribution, the reviews sorted by newest or most helpful with a
+   helpful vote, and the review form (checked with ValidationSchemas.review).
+
+   Requires common.js, i18n.js and validation.js (the store and controller;
+   browser only)
+*/
+
+/* ==========================================
+   REVIEW RECORDS
+   ========================================== */
+
+const REVIEWS_URL = 'data/reviews.json';
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+const REVIEW_SORTS = ['newest', 'helpful'];
+
+// Message catalogs (i18n.js; required in Node)
+const ReviewI18n = typeof I18n !== 'undefined' ? I18n : require('./i18n.js').I18n;
+
+const ReviewMessages = ReviewI18n.defineMessages('reviews', {
+  heading: 'Reviews',
+  basedOn: {
+    one: 'Based on {count} review',
+    other: 'Based on {count} reviews'
+  },
+  starCount: {
+    one: '{count} star',
+    other: '{count} stars'
+  },
+  distributionLabel: '{stars}: {count}',
+  empty: 'No reviews yet. Be the first to review this product.',
+  sortBy: 'Sort by',
+  sortNewest: 'Newest',
+  sortHelpful: 'Most helpful',
+  helpful: 'HELPFUL ({count})',
+  voted: 'YOU FOUND THIS HELPFUL ({count})',
+  writeHeading: 'Write a review',
+  rating: 'Your rating',
+  title: 'Title',
+  body: 'Your review',
+  author: 'Name shown with your review',
+  submit: 'Submit Review',
+  submitted: 'Thank you! Your review will appear once it has been checked.',
+  submitFailed: 'Your review could not be saved. Please try again.'
+});
+
+/**
+ * Stored shape of a review (unknown properties dropped, text trimmed)
+ */
+function normalizeReview(entry = {}) {
+  const rating = Math.round(Number(entry.rating) || 0);
+
+  return {
+    id: String(entry.id || ''),
+    sku: String(entry.sku || ''),
+    rating: Math.max(1, Math.min(5, rating)),
+    title: String(entry.title || '').trim(),
+    body: String(entry.body || '').trim(),
+    author: String(entry.author || '').trim(),
+    createdAt: entry.createdAt || new Date(0).toISOString(),
+    status: REVIEW_STATUSES.includes(entry.status) ? entry.status : 'pending',
+    helpful: Math.max(0, Math.floor(Number(entry.helpful) || 0)),
+    moderatedAt: entry.moderatedAt || null
+  };
+}
+
+function createReviewId() {
+  return `rv_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * New review awaiting moderation.
+ * values: the review form's { rating, title, body, author }
+ */
+function createReview(sku, values, now = Date.now()) {
+  return normalizeReview({
+    ...values,
+    id: createReviewId(),
+    sku,
+    createdAt: new Date(now).toISOString(),
+    status: 'pending',
+    helpful: 0
+  });
+}
+
+/**
+ * Rating of the approved reviews among `reviews`:
+ * { count, average (one decimal, 0 without reviews), distribution: { 5: n, ..., 1: n } }
+ */
+function summarizeReviews(reviews) {
+  const approved = reviews.filter(review => review.status === 'approved');
+  const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+
+  approved.forEach(review => {
+    distribution[review.rating] += 1;
+  });
+
+  const total = approved.reduce((sum, review) => sum + review.rating, 0);
+  const average = approved.length > 0 ? Math.round((total / approved.length) * 10) / 10 : 0;
+
+  return { count: approved.length, average, distribution };
+}
+
+/**
+ * Reviews in display order: 'newest' first, or most 'helpful' first
+ * (newest first among equal votes)
+ */
+function sortReviews(reviews, sort = 'newest') {
+  const byDate = (a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt);
+  const sorted = reviews.slice();
+
+  if (sort === 'helpful') {
+    return sorted.sort((a, b) => b.helpful - a.helpful || byDate(a, b));
+  }
+
+  return sorted.sort(byDate);
+}
+
+/**
+ * Set each product's rating and reviewCount from its approved reviews
+ */
+function applyReviewRatings(products, reviews) {
+  products.forEach(product => {
+    const summary = summarizeReviews(reviews.filter(review => review.sku === product.sku));
+    product.rating = summary.average;
+    product.reviewCount = summary.count;
+  });
+
+  return products;
+}
+
+/**
+ * Review date for display, e.g. "14 Aug 2026"
+ */
+function formatReviewDate(review) {
+  return new Date(review.createdAt).toLocaleDateString('en-NZ', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+/* ==========================================
+   STORAGE ADAPTERS
+   ========================================== */
+
+/* Published reviews the local adapter starts from (rejects while they cannot be loaded) */
+async function fetchSeedReviews(url = REVIEWS_URL) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Reviews request failed (${response.status})`);
+
+  const data = await response.json();
+  return Array.isArray(data.reviews) ? data.reviews : [];
+}
+
+const ReviewStorageAdapters = {
+  /* AppStorage, seeded from data/reviews.json the first time (the seed
+     is fetched again while it cannot be loaded) */
+  local(key = STORAGE_KEYS.reviews, seedUrl = REVIEWS_URL) {
+    return {
+      async load() {
+        const stored = loadFromStorage(key, null);
+        if (Array.isArray(stored)) return stored;
+
+        const seeds = await fetchSeedReviews(seedUrl);
+        saveToStorage(key, seeds);
+        return seeds;
+      },
+
+      async save(reviews) {
+        saveToStorage(key, reviews);
+      }
+    };
+  },
+
+  /* In memory only */
+  memory(initial = []) {
+    let reviews = initial.slice();
+
+    return {
+      async load() {
+        return reviews.slice();
+      },
+
+      async save(next) {
+        reviews = next.slice();
+      }
+    };
+  }
+};
+
+/* ==========================================
+   REVIEW STORE
+   ========================================== */
+
+/**
+ * Reviews kept through `adapter` (see ReviewStorageAdapters). votes: where
+ * this browser's helpful votes are remembered ({ load(), save(ids) }, sync)
+ */
+function createReviewStore(adapter, votes) {
+  async function readReviews() {
+    const reviews = await adapter.load();
+    if (!Array.isArray(reviews)) return [];
+
+    return reviews.filter(review => review && review.id && review.sku).map(normalizeReview);
+  }
+
+  async function update(id, change) {
+    const reviews = await readReviews();
+    const review = reviews.find(item => item.id === id);
+    if (!review) return null;
+
+    Object.assign(review, change(review));
+    await adapter.save(reviews);
+    return review;
+  }
+
+  function getAll() {
+    return readReviews();
+  }
+
+  /**
+   * Approved reviews of a product in `sort` order
+   */
+  async function getForProduct(sku, sort = 'newest') {
+    const reviews = await readReviews();
+    return sortReviews(reviews.filter(review => review.sku === sku && review.status === 'approved'), sort);
+  }
+
+  async function submit(sku, values) {
+    const review = createReview(sku, values);
+    const reviews = await readReviews();
+
+    reviews.push(review);
+    await adapter.save(reviews);
+    return review;
+  }
+
+  /**
+   * Approve or reject a review (or send it back to 'pending')
+   */
+  function moderate(id, status) {
+    if (!REVIEW_STATUSES.includes(status)) return Promise.resolve(null);
+    return update(id, () => ({ status, moderatedAt: new Date().toISOString() }));
+  }
+
+  function hasVoted(id) {
+    return votes.load().includes(id);
+  }
+
+  /**
+   * Count a helpful vote (once per browser). Returns the review, or null
+   * when it was voted for already or does not exist.
+   */
+  async function voteHelpful(id) {
+    if (hasVoted(id)) return null;
+
+    const review = await update(id, item => ({ helpful: item.helpful + 1 }));
+    if (review) votes.save(votes.load().concat(id));
+    return review;
+  }
+
+  return { getAll, getForProduct, submit, moderate, hasVoted, voteHelpful };
+}
+
+/* The shop's reviews, with this browser's votes beside them */
+const ReviewStore = typeof STORAGE_KEYS === 'undefined' ? null : createReviewStore(ReviewStorageAdapters.local(), {
+  load() {
+    const ids = loadFromStorage(STORAGE_KEYS.reviewVotes, []);
+    return Array.isArray(ids) ? ids : [];
+  },
+
+  save(ids) {
+    saveToStorage(STORAGE_KEYS.reviewVotes, ids);
+  }
+});
+
+/* ==========================================
+   PRODUCT PAGE CONTROLLER
+   ========================================== */
+
+const ReviewsController = (function () {
+  let product = null;
+  let sort = 'newest';
+
+  function getField(id) {
+    return document.getElementById(id);
+  }
+
+  function setStatus(message, isError = false) {
+    const statusEl = getField('reviewFormStatus');
+    if (!statusEl) return;
+
+    statusEl.textContent = message;
+    statusEl.classList.toggle('hidden', !message);
+    statusEl.classList.toggle('text-red-400', isError);
+  }
+
+  function renderSummary(summary) {
+    const summaryEl = getField('reviewSummary');
+    if (!summaryEl) return;
+
+    if (summary.count === 0) {
+      summaryEl.innerHTML = '';
+      return;
+    }
+
+    const rows = [5, 4, 3, 2, 1].map(stars => {
+      const count = summary.distribution[stars];
+      const percent = Math.round((count / summary.count) * 100);
+      const starLabel = ReviewMessages.starCount({ count: stars });
+
+      return `
+        <li class="flex items-center gap-3 text-xs text-white" aria-label="${escapeHTML(ReviewMessages.distributionLabel({ stars: starLabel, count }))}">
+          <span class="w-14 opacity-80" aria-hidden="true">${escapeHTML(starLabel)}</span>
+          <span class="h-2 flex-1 bg-brand-green-dark" aria-hidden="true">
+            <span class="block h-2 bg-brand-blue-light" style="width: ${percent}%"></span>
+          </span>
+          <span class="w-8 text-right opacity-80" aria-hidden="true">${count}</span>
+        </li>
+      `;
+    }).join('');
+
+    summaryEl.innerHTML = `
+      <div>
+        <p class="text-5xl font-light text-white">${summary.average.toFixed(1)}</p>
+        <p class="mt-2 text-sm text-white" aria-label="${formatRatingLabel(summary.average)}">${formatStars(summary.average)}</p>
+        <p class="mt-1 text-xs text-white opacity-80">${escapeHTML(ReviewMessages.basedOn({ count: summary.count }))}</p>
+      </div>
+      <ul class="w-full max-w-sm space-y-2">${rows}</ul>
+    `;
+  }
+
+  function renderReview(review) {
+    const voted = ReviewStore.hasVoted(review.id);
+    const helpfulLabel = voted ? ReviewMessages.voted({ count: review.helpful }) : ReviewMessages.helpful({ count: review.helpful });
+
+    return `
+      <article class="grid grid-cols-1 gap-6 md:grid-cols-12 md:gap-10" data-review-id="${escapeHTML(review.id)}">
+        <header class="md:col-span-3">
+          <div class="flex items-start gap-4">
+            <div class="flex h-12 w-12 items-center justify-center rounded-full border border-brand-green-dark bg-brand-green">
+              <svg viewBox="0 0 24 24" class="h-6 w-6 text-white opacity-80" aria-hidden="true">
+                <path fill="currentColor" d="M12 12a4 4 0 1 0-4-4 4 4 0 0 0 4 4Zm0 2c-4.4 0-8 2.2-8 5v1h16v-1c0-2.8-3.6-5-8-5Z"/>
+              </svg>
+            </div>
+
+            <div>
+              <p class="text-sm tracking-widest text-white">${escapeHTML(review.author.toUpperCase())}</p>
+              <p class="mt-1 text-xs text-white opacity-80">${escapeHTML(formatReviewDate(review))}</p>
+              <p class="mt-2 text-xs text-white opacity-80" aria-label="${formatRatingLabel(review.rating)}">${formatStars(review.rating)}</p>
+            </div>
+          </div>
+        </header>
+
+        <div class="md:col-span-9">
+          <h3 class="text-sm tracking-widest text-white">${escapeHTML(review.title)}</h3>
+          <p class="mt-3 max-w-3xl text-sm leading-7 text-white opacity-80">${escapeHTML(review.body)}</p>
+          <button type="button" data-review-helpful class="mt-4 text-xs tracking-widest text-white underline hover:text-brand-blue-light disabled:no-underline disabled:opacity-60" ${voted ? 'disabled' : ''}>${escapeHTML(helpfulLabel)}</button>
+        </div>
+      </article>
+    `;
+  }
+
+  async function render() {
+    const listEl = getField('reviewList');
+    if (!product || !listEl) return;
+
+    let reviews;
+    try {
+      reviews = await ReviewStore.getForProduct(product.sku, sort);
+    } catch (err) {
+      console.warn('Could not load reviews', err);
+      reviews = [];
+    }
+
+    renderSummary(summarizeReviews(reviews));
+    getField('reviewSortWrapper')?.classList.toggle('hidden', reviews.length < 2);
+
+    listEl.innerHTML = reviews.length === 0
+      ? `<p class="text-sm text-white opacity-80">${escapeHTML(ReviewMessages.empty)}</p>`
+      : reviews.map(renderReview).join('<hr class="border-brand-green-dark" />');
+  }
+
+  /**
+   * Show the review form's errors (the rating radios share one message);
+   * true when it can be submitted
+   */
+  function validateReviewForm(form) {
+    const values = getFormValues(form);
+    const inputs = Object.keys(ValidationSchemas.review).map(name => form.querySelector(`[name="${name}"]`));
+
+    return showFormResults(inputs, inputs.map(input => validateValue(ValidationSchemas.review, input.name, values)));
+  }
+
+  async function submitReview(form) {
+    setStatus('');
+    if (!validateReviewForm(form)) return;
+
+    try {
+      await ReviewStore.submit(product.sku, getFormValues(form));
+    } catch (err) {
+      console.warn('Could not save review', err);
+      setStatus(ReviewMessages.submitFailed, true);
+      return;
+    }
+
+    form.reset();
+    setStatus(ReviewMessages.submitted);
+  }
+
+  function init(currentProduct) {
+    product = currentProduct;
+
+    const listEl = getField('reviewList');
+    const form = getField('reviewForm');
+    const sortSelect = getField('reviewSort');
+    if (!listEl) return;
+
+    listEl.addEventListener('click', async e => {
+      const button = e.target.closest('[data-review-helpful]');
+      if (!button) return;
+
+      button.disabled = true;
+      await ReviewStore.voteHelpful(button.closest('[data-review-id]').dataset.reviewId);
+      render();
+    });
+
+    sortSelect?.addEventListener('change', () => {
+      sort = REVIEW_SORTS.includes(sortSelect.value) ? sortSelect.value : 'newest';
+      render();
+    });
+
+    if (form) {
+      setupRealTimeValidation(form, { schema: ValidationSchemas.review });
+      form.addEventListener('submit', e => {
+        e.preventDefault();
+        submitReview(form);
+      });
+    }
+
+    /* Reviews approved or voted on in another tab */
+    window.addEventListener('storage', e => {
+      if (isStorageEventFor(e, STORAGE_KEYS.reviews, STORAGE_KEYS.reviewVotes)) render();
+    });
+
+    window.addEventListener('language:change', render);
+
+    render();
+  }
+
+  return { init, render };
+})();
+
+/* Allow the records and ratings to be checked in Node (tests, tooling) */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    REVIEW_STATUSES,
+    REVIEW_SORTS,
+    normalizeReview,
+    createReview,
+    summarizeReviews,
+    sortReviews,
+    applyReviewRatings,
+    ReviewStorageAdapters,
+    createReviewStore
+  };
+}
@@ -0,0 +1,294 @@
+/* shipping-rates.js
+   Shipping rate calculator for Aotearoa Adventure Gear
+
+   - The destination country and postcode decide the zone
+   - The parcel is charged on its chargeable weight: the larger of the
+     real weight and the volumetric weight (L x W x H / divisor), so light
+     but bulky gear (tents, sleeping bags) costs what it takes up in the van
+   - Bulky products also pay a handling surcharge per unit
+   - Each carrier service has a price and transit time per zone; services
+     that do not deliver to the zone (or cannot take the weight) are left out
+   - Estimated delivery dates count business days from dispatch
+
+   Product data (data/products.json):
+   "shipping": { "weightKg": 2.8, "dimensionsCm": [55, 22, 22], "bulky": true }
+*/
+
+/* ==========================================
+   CONFIGURATION
+   ========================================== */
+
+const SHIPPING_CONFIG = {
+  /* Goods total (NZD, after discounts) above which free-eligible services cost nothing */
+  freeShippingThreshold: 600,
+  /* Used until the customer picks a destination */
+  defaultCountry: 'NZ',
+  /* cm3 per kg */
+  volumetricDivisor: 5000,
+  /* Products without shipping data */
+  defaultItemWeightKg: 1,
+  /* Orders placed after this hour (local time) are dispatched the next business day */
+  dispatchCutoffHour: 14
+};
+
+const SHIPPING_CARRIERS = {
+  nzpost: { name: 'NZ Post' },
+  courierpost: { name: 'CourierPost' },
+  dhl: { name: 'DHL Express' }
+};
+
+/* Zones per country, first postcode match wins. Unknown or missing
+   postcodes use the country's default zone (the dearer one). */
+const SHIPPING_ZONES = {
+  NZ: {
+    defaultZone: 'nz-south',
+    zones: [
+      { id: 'nz-north', name: 'North Island', postcode: /^[0-6]\d{3}$/ },
+      { id: 'nz-south', name: 'South Island', postcode: /^[7-9]\d{3}$/ }
+    ]
+  },
+  AU: {
+    defaultZone: 'au-remote',
+    zones: [
+      { id: 'au-east', name: 'NSW, ACT, VIC & QLD', postcode: /^[234]\d{3}$/ },
+      { id: 'au-remote', name: 'SA, WA, TAS & NT', postcode: /^[05-7]\d{3}$/ }
+    ]
+  },
+  US: {
+    defaultZone: 'us-remote',
+    zones: [
+      { id: 'us-remote', name: 'Alaska & Hawaii', postcode: /^(99[5-9]|96[78])\d{2}(-\d{4})?$/ },
+      { id: 'us-mainland', name: 'Mainland US', postcode: /^\d{5}(-\d{4})?$/ }
+    ]
+  }
+};
+
+/* Everywhere else */
+const SHIPPING_INTERNATIONAL_ZONE = { id: 'intl', name: 'International' };
+
+/* Price: base covers the first kg, perKg each further (started) kg.
+   days: [fastest, slowest] business days in transit. */
+const SHIPPING_SERVICES = [
+  {
+    id: 'nz-standard',
+    carrier: 'nzpost',
+    name: 'Standard',
+    speed: 'standard',
+    freeOverThreshold: true,
+    bulkySurcharge: 5,
+    zones: {
+      'nz-north': { base: 6, perKg: 0.5, days: [1, 3] },
+      'nz-south': { base: 8, perKg: 0.7, days: [2, 4] }
+    }
+  },
+  {
+    id: 'nz-overnight',
+    carrier: 'courierpost',
+    name: 'Overnight',
+    speed: 'express',
+    bulkySurcharge: 8,
+    maxWeightKg: 30,
+    zones: {
+      'nz-north': { base: 15, perKg: 1, days: [1, 1] },
+      'nz-south': { base: 18, perKg: 1.2, days: [1, 2] }
+    }
+  },
+  {
+    id: 'intl-economy',
+    carrier: 'nzpost',
+    name: 'International Economy',
+    speed: 'standard',
+    freeOverThreshold: true,
+    bulkySurcharge: 15,
+    maxWeightKg: 30,
+    zones: {
+      'au-east': { base: 25, perKg: 6, days: [6, 10] },
+      'au-remote': { base: 30, perKg: 8, days: [8, 14] },
+      'us-mainland': { base: 35, perKg: 9, days: [10, 15] },
+      'us-remote': { base: 45, perKg: 11, days: [12, 20] },
+      intl: { base: 45, perKg: 12, days: [10, 20] }
+    }
+  },
+  {
+    id: 'intl-express',
+    carrier: 'dhl',
+    name: 'Worldwide',
+    speed: 'express',
+    bulkySurcharge: 20,
+    maxWeightKg: 70,
+    zones: {
+      'au-east': { base: 45, perKg: 10, days: [3, 5] },
+      'au-remote': { base: 55, perKg: 12, days: [4, 7] },
+      'us-mainland': { base: 65, perKg: 14, days: [4, 6] },
+      'us-remote': { base: 75, perKg: 16, days: [5, 8] },
+      intl: { base: 80, perKg: 16, days: [5, 8] }
+    }
+  }
+];
+
+/* ==========================================
+   ZONES & PARCEL
+   ========================================== */
+
+/**
+ * Shipping zone for a destination: { id, name }
+ */
+function getShippingZone(country = SHIPPING_CONFIG.defaultCountry, postcode = '') {
+  // Own entries only, so "constructor" ships as international
+  const config = Object.prototype.hasOwnProperty.call(SHIPPING_ZONES, country) ? SHIPPING_ZONES[country] : null;
+  if (!config) return SHIPPING_INTERNATIONAL_ZONE;
+
+  const code = String(postcode || '').trim();
+  const match = code && config.zones.find(zone => zone.postcode.test(code));
+  const zone = match || config.zones.find(item => item.id === config.defaultZone);
+
+  return { id: zone.id, name: zone.name };
+}
+
+/**
+ * Weight and size of the parcel for some cart lines
+ * ([{ qty, shipping: { weightKg, dimensionsCm, bulky } }]).
+ * Returns { weightKg, volumetricKg, chargeableKg, bulkyUnits }
+ */
+function getParcelMetrics(lines) {
+  let weightKg = 0;
+  let volumeCm3 = 0;
+  let bulkyUnits = 0;
+
+  lines.forEach(line => {
+    const qty = Number(line.qty) || 0;
+    const shipping = line.shipping || {};
+    const dimensions = Array.isArray(shipping.dimensionsCm) ? shipping.dimensionsCm : [];
+
+    weightKg += (Number(shipping.weightKg) || SHIPPING_CONFIG.defaultItemWeightKg) * qty;
+    if (dimensions.length === 3) {
+      volumeCm3 += dimensions.reduce((volume, side) => volume * (Number(side) || 0), 1) * qty;
+    }
+    if (shipping.bulky) bulkyUnits += qty;
+  });
+
+  const volumetricKg = volumeCm3 / SHIPPING_CONFIG.volumetricDivisor;
+  const round = value => Math.round(value * 100) / 100;
+
+  return {
+    weightKg: round(weightKg),
+    volumetricKg: round(volumetricKg),
+    chargeableKg: round(Math.max(weightKg, volumetricKg)),
+    bulkyUnits
+  };
+}
+
+/* ==========================================
+   DELIVERY DATES
+   ========================================== */
+
+function isBusinessDay(date) {
+  const day = date.getDay();
+  return day !== 0 && day !== 6;
+}
+
+function addBusinessDays(date, days) {
+  const result = new Date(date.getTime());
+  let remaining = days;
+
+  while (remaining > 0) {
+    result.setDate(result.getDate() + 1);
+    if (isBusinessDay(result)) remaining -= 1;
+  }
+
+  return result;
+}
+
+/**
+ * Dispatch date: today before the cut-off on a business day, otherwise
+ * the next business day
+ */
+function getDispatchDate(now = Date.now()) {
+  const date = new Date(now);
+  if (isBusinessDay(date) && date.getHours() < SHIPPING_CONFIG.dispatchCutoffHour) return date;
+  return addBusinessDays(date, 1);
+}
+
+/**
+ * { earliest, latest } delivery dates for a transit time of [min, max] business days
+ */
+function getDeliveryEstimate(days, now = Date.now()) {
+  const dispatch = getDispatchDate(now);
+  return { earliest: addBusinessDays(dispatch, days[0]), latest: addBusinessDays(dispatch, days[1]) };
+}
+
+/**
+ * "Tue, 21 Oct" or "Tue, 21 Oct – Fri, 24 Oct"
+ */
+function formatDeliveryEstimate(estimate, locale = 'en-NZ') {
+  const format = date => date.toLocaleDateString(locale, { weekday: 'short', day: 'numeric', month: 'short' });
+  const earliest = format(estimate.earliest);
+  const latest = format(estimate.latest);
+  return earliest === latest ? earliest : `${earliest} – ${latest}`;
+}
+
+/* ==========================================
+   OPTIONS
+   ========================================== */
+
+function qualifiesForFreeShipping(goodsTotal) {
+  return Number(goodsTotal) > SHIPPING_CONFIG.freeShippingThreshold;
+}
+
+/**
+ * Shipping options for cart lines and a destination, cheapest first.
+ * options: { country, postcode, goodsTotal (after discounts), now }
+ *
+ * Returns [{ id, carrier, carrierName, name, speed, zone, cost, free,
+ *            chargeableKg, days, estimate: { earliest, latest } }]
+ */
+function getShippingOptions(lines, options = {}) {
+  if (!lines || lines.length === 0) return [];
+
+  const zone = getShippingZone(options.country || SHIPPING_CONFIG.defaultCountry, options.postcode);
+  const parcel = getParcelMetrics(lines);
+  const free = qualifiesForFreeShipping(options.goodsTotal);
+  const now = options.now ?? Date.now();
+
+  return SHIPPING_SERVICES
+    .filter(service => service.zones[zone.id])
+    .filter(service => !service.maxWeightKg || parcel.chargeableKg <= service.maxWeightKg)
+    .map(service => {
+      const rate = service.zones[zone.id];
+      const extraKg = Math.max(0, Math.ceil(parcel.chargeableKg) - 1);
+      const isFree = Boolean(service.freeOverThreshold && free);
+      const cents = Math.round(rate.base * 100)
+        + Math.round(rate.perKg * 100) * extraKg
+        + Math.round((service.bulkySurcharge || 0) * 100) * parcel.bulkyUnits;
+      const cost = isFree ? 0 : cents / 100;
+
+      return {
+        id: service.id,
+        carrier: service.carrier,
+        carrierName: SHIPPING_CARRIERS[service.carrier].name,
+        name: service.name,
+        speed: service.speed,
+        zone,
+        cost,
+        free: isFree,
+        chargeableKg: parcel.chargeableKg,
+        days: rate.days.slice(),
+        estimate: getDeliveryEstimate(rate.days, now)
+      };
+    })
+    .sort((a, b) => a.cost - b.cost || a.days[0] - b.days[0]);
+}
+
+/* Allow the calculator to be loaded in Node (tests, tooling) */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SHIPPING_CONFIG,
+    SHIPPING_SERVICES,
+    getShippingZone,
+    getParcelMetrics,
+    getDeliveryEstimate,
+    formatDeliveryEstimate,
+    qualifiesForFreeShipping,
+    getShippingOptions
+  };
+}
@@ -1,29 +1,84 @@
 /* shipping.js
    Shipping page functionality:
-   - Apply free shipping automatically when subtotal is greater than $600
-   - Update summary totals when shipping option changes
+   - Render the shipping methods for the cart and destination (shipping-rates.js)
+     with their estimated delivery dates
+   - Apply free shipping automatically when the order is over the
+     configured threshold (SHIPPING_CONFIG.freeShippingThreshold)
+   - Country select and the address fields of the chosen country
+     (countries.js): city label, state/province dropdown, postcode or none;
+     the fields are rebuilt, keeping what was typed, when the country changes
+   - Summary panel (summary.js) re-rendered when the shipping method,
+     country, state, postcode, display currency or language changes
+   - The form is saved as a draft while typing (CheckoutFlow.saveDraft) and
+     restored on load, so stepping back to the cart (or in from payment)
+     keeps what was entered. The submitted address (STORAGE_KEYS.shipping)
+     is only replaced when the form is submitted again
+   - Saved addresses (address-book.js) can fill the form; the default one
+     does so when there is no draft
+   - Fields the order check refused on the payment step (order-check.js)
+     are shown on the form when the customer is sent back
 */
 
-(function initShipping() {
-  const subtotalEl = document.getElementById("shipSubtotal");
-  const shippingEl = document.getElementById("shipShipping");
-  const taxesEl = document.getElementById("shipTaxes");
-  const totalEl = document.getElementById("shipTotal");
+(async function initShipping() {
+  const methodsEl = document.getElementById("shippingMethods");
+  if (!methodsEl) return;
 
-  const freeRadio = document.getElementById("shipFree");
-  const nextRadio = document.getElementById("shipNext");
+  const freeNoteEl = document.getElementById("freeShippingNote");
+  const countrySelect = document.getElementById("country");
+  const addressFieldsEl = document.getElementById("addressFields");
+  const form = document.getElementById("shippingForm");
 
-  if (!subtotalEl || !shippingEl || !taxesEl || !totalEl) return;
-  if (!freeRadio || !nextRadio) return;
+  const ShippingMessages = I18n.defineMessages("shipping", {
+    freeApplied: "FREE STANDARD SHIPPING APPLIED",
+    freeOver: "FREE STANDARD SHIPPING ON ORDERS OVER {amount}",
+    heading: "Shipping Details",
+    formLabel: "Shipping details form",
+    savedAddresses: "SAVED ADDRESSES",
+    customerDetails: "Customer details",
+    firstName: "First Name",
+    firstNamePlaceholder: "First Name *",
+    lastName: "Last Name",
+    lastNamePlaceholder: "Last Name *",
+    address: "Address",
+    addressPlaceholder: "Address *",
+    address2: "Address 2",
+    address2Placeholder: "Address 2 (optional)",
+    country: "Country",
+    countryPlaceholder: "Country *",
+    phone: "Phone Number",
+    addressBook: "Address book",
+    addressName: "Address name",
+    addressNamePlaceholder: "Address name, e.g. Home or Work",
+    cancelEdit: "CANCEL",
+    method: "Shipping method",
+    nothingToShip: "Your cart is empty, so there is nothing to ship.",
+    free: "FREE",
+    arrives: "Arrives {date}",
+    optional: "{field} (optional)",
+    cityTitle: "Please enter a valid {field}",
+    postalCodeExample: "e.g. {example}",
+    postalCodeTitle: "Please enter your {field}",
+    phonePlaceholder: "Phone Number *",
+    phoneExample: "Phone Number * (e.g. {example})",
+    phoneTitle: "Please enter a valid phone number"
+  });
 
-  /* Load totals saved from the cart page. If not available, fall back to the wireframe values. */
-  const storedTotals = loadFromStorage(STORAGE_KEYS.totals, null);
+  /* Loaded before the rates can be worked out; null when it could not be,
+     so the cart's stored line snapshots are used instead (summary.js) */
+  let catalog;
 
-  const fallbackSubtotal = parseCurrency(subtotalEl.textContent) || 600;
-  const subtotal = storedTotals && Number.isFinite(storedTotals.subtotal) ? storedTotals.subtotal : fallbackSubtotal;
+  /* Options for the current cart and destination */
+  let options = [];
+
+  /* Set once the customer picks a method themselves */
+  let chosenMethod = "";
+
+  /* City, state and postcode as last typed, kept while switching through
+     countries without some of those fields */
+  const typedAddress = { city: "", state: "", postalCode: "" };
 
   function getSelectedShippingCost() {
-    const selected = document.querySelector("input[name='shippingMethod']:checked");
+    const selected = methodsEl.querySelector("input[name='shippingMethod']:checked");
     if (!selected) return 0;
 
     const raw = selected.getAttribute("data-ship-cost");
@@ -31,48 +86,281 @@
     return Number.isFinite(cost) ? cost : 0;
   }
 
-  function calculateTotals(shippingCost) {
-    const taxes = subtotal * TAX_RATE;
-    const total = subtotal + taxes + shippingCost;
+  function getDestination() {
+    const country = countrySelect?.value || "";
+    const postcode = form?.elements.postalCode?.value.trim() || "";
 
-    return { subtotal, taxes, shippingCost, total };
+    return {
+      country,
+      state: form?.elements.state?.value || "",
+      /* Only a valid postcode picks the zone, otherwise the country default is used */
+      postcode: country && postcode && validatePostalCode(postcode, country).valid ? postcode : ""
+    };
   }
 
-  function renderTotals(totals) {
-    subtotalEl.textContent = formatCurrency(totals.subtotal);
-    shippingEl.textContent = totals.shippingCost === 0 ? "FREE" : formatCurrency(totals.shippingCost);
-    taxesEl.textContent = formatCurrency(totals.taxes);
-    totalEl.textContent = formatCurrency(totals.total);
+  /* Mandatory requirement: apply free shipping automatically when the order is over
+     the threshold (measured after discounts, i.e. what the customer actually spends on goods).
+     The free method is selected unless the customer picked another one. */
+  function pickMethod(options) {
+    const previous = methodsEl.querySelector("input[name='shippingMethod']:checked")?.value || "";
+    const free = options.find((option) => option.free);
+    const available = (id) => options.some((option) => option.id === id);
+
+    if (chosenMethod && available(chosenMethod)) return chosenMethod;
+    if (free) return free.id;
+    if (available(previous)) return previous;
+    return options.length > 0 ? options[0].id : "";
+  }
+
+  function renderMethods(options) {
+    if (options.length === 0) {
+      methodsEl.innerHTML = `<p class="text-sm text-white opacity-80">${escapeHTML(ShippingMessages.nothingToShip)}</p>`;
+      return;
+    }
+
+    const selectedId = pickMethod(options);
+
+    methodsEl.innerHTML = options.map((option) => {
+      const checked = option.id === selectedId;
+      const price = option.cost === 0 ? ShippingMessages.free : formatCurrency(option.cost);
+      const label = `${option.carrierName} ${option.name}`;
+
+      return `
+        <label class="block cursor-pointer">
+          <div class="flex h-full items-start gap-4 border border-brand-green-dark ${checked ? "bg-brand-green-dark" : "bg-brand-green"} px-5 py-5">
+            <input
+              type="radio"
+              name="shippingMethod"
+              value="${escapeHTML(option.id)}"
+              data-ship-cost="${option.cost}"
+              class="mt-1"
+              ${checked ? "checked" : ""}
+              aria-label="${escapeHTML(`${label}, ${price}`)}"
+            />
+            <div>
+              <p class="text-sm text-white">${escapeHTML(label)} - <span${option.cost === 0 ? "" : ` data-price="${option.cost}"`}>${price}</span></p>
+              <p class="mt-1 text-xs text-white opacity-80">${escapeHTML(ShippingMessages.arrives({ date: formatDeliveryEstimate(option.estimate) }))}</p>
+              <p class="mt-1 text-xs text-white opacity-60">${escapeHTML(option.zone.name)} · ${option.chargeableKg} kg</p>
+            </div>
+          </div>
+        </label>
+      `;
+    }).join("");
   }
 
-  function enforceFreeShippingRule() {
-    /* Mandatory requirement: apply free shipping automatically when subtotal is over $600 */
-    const qualifies = subtotal > 600;
+  function renderFreeShippingNote(goodsTotal, options) {
+    if (!freeNoteEl) return;
 
-    if (qualifies) {
-      freeRadio.checked = true;
-      nextRadio.disabled = true;
-      nextRadio.closest("label")?.classList.add("opacity-50");
+    const threshold = SHIPPING_CONFIG.freeShippingThreshold;
+
+    if (options.length === 0) {
+      freeNoteEl.textContent = "";
+    } else if (qualifiesForFreeShipping(goodsTotal)) {
+      freeNoteEl.textContent = ShippingMessages.freeApplied;
     } else {
-      nextRadio.disabled = false;
-      nextRadio.closest("label")?.classList.remove("opacity-50");
+      freeNoteEl.textContent = ShippingMessages.freeOver({ amount: formatCurrency(threshold) });
     }
   }
 
-  function recompute() {
-    enforceFreeShippingRule();
-    const shippingCost = getSelectedShippingCost();
-    const totals = calculateTotals(shippingCost);
-    renderTotals(totals);
+  function getSelectedMethod(options) {
+    const id = methodsEl.querySelector("input[name='shippingMethod']:checked")?.value;
+    const option = options.find((item) => item.id === id);
+    if (!option) return null;
+
+    return {
+      id: option.id,
+      carrier: option.carrierName,
+      name: option.name,
+      estimate: formatDeliveryEstimate(option.estimate)
+    };
+  }
+
+  function renderCountryOptions() {
+    if (!countrySelect) return;
+
+    const groups = getCountryList().reduce((map, country) => {
+      (map[country.group] = map[country.group] || []).push(country);
+      return map;
+    }, {});
+
+    const options = Object.keys(groups).map((group) => `
+      <optgroup label="${escapeHTML(group)}">
+        ${groups[group].map((country) => `<option value="${escapeHTML(country.code)}">${escapeHTML(country.name)}</option>`).join("")}
+      </optgroup>
+    `).join("");
+
+    countrySelect.insertAdjacentHTML("beforeend", options);
+  }
+
+  /* City, state/province and postcode in the chosen country's layout; the state
+     is only asked for where the country has them, the postcode where there are any */
+  function renderAddressFields() {
+    if (!addressFieldsEl || !form) return;
+
+    const country = countrySelect?.value || "";
+    const layout = getAddressLayout(country);
+    Object.keys(typedAddress).forEach((name) => {
+      if (form.elements[name]) typedAddress[name] = form.elements[name].value || "";
+    });
+    const inputClass = "w-full border border-brand-green-dark bg-brand-green px-4 py-2 text-sm text-white placeholder:text-white opacity-80 focus:border-brand-blue focus:outline-none";
+    const errorSpan = '<span class="error-message hidden text-red-400 text-xs mt-1"></span>';
+    const fields = [];
+
+    fields.push(`
+      <div>
+        <label class="sr-only" for="city">${escapeHTML(layout.cityLabel)}</label>
+        <input id="city" name="city" type="text" placeholder="${escapeHTML(layout.cityLabel)} *" required minlength="2" maxlength="50"
+          autocomplete="address-level2" title="${escapeHTML(ShippingMessages.cityTitle({ field: layout.cityLabel.toLowerCase() }))}" class="${inputClass}" />
+        ${errorSpan}
+      </div>
+    `);
+
+    if (layout.region) {
+      const options = layout.region.options
+        .map((region) => `<option value="${escapeHTML(region.code)}">${escapeHTML(region.name)}</option>`)
+        .join("");
+
+      fields.push(`
+        <div>
+          <label class="sr-only" for="state">${escapeHTML(layout.region.label)}</label>
+          <select id="state" name="state" required autocomplete="address-level1"
+            class="w-full border border-brand-green-dark bg-brand-green px-4 py-2 text-sm text-white focus:border-brand-blue focus:outline-none">
+            <option value="" selected disabled>${escapeHTML(layout.region.label)} *</option>
+            ${options}
+          </select>
+          ${errorSpan}
+        </div>
+      `);
+    }
+
+    if (layout.postalCode) {
+      const label = layout.postalCode.label.charAt(0).toUpperCase() + layout.postalCode.label.slice(1);
+
+      fields.push(`
+        <div>
+          <label class="sr-only" for="postalCode">${escapeHTML(label)}</label>
+          <input id="postalCode" name="postalCode" type="text" placeholder="${escapeHTML(layout.postalCode.required ? `${label} *` : ShippingMessages.optional({ field: label }))}"
+            ${layout.postalCode.required ? "required" : ""} autocomplete="postal-code"
+            title="${escapeHTML(layout.postalCode.example
+              ? ShippingMessages.postalCodeExample({ example: layout.postalCode.example })
+              : ShippingMessages.postalCodeTitle({ field: layout.postalCode.label }))}" class="${inputClass}" />
+          ${errorSpan}
+        </div>
+      `);
+    }
+
+    addressFieldsEl.innerHTML = fields.join("");
+
+    /* Keep what was typed (a state only if the new country has it) */
+    form.elements.city.value = typedAddress.city;
+    if (form.elements.state && layout.region.options.some((region) => region.code === typedAddress.state)) {
+      form.elements.state.value = typedAddress.state;
+    }
+    if (form.elements.postalCode) form.elements.postalCode.value = typedAddress.postalCode;
+
+    const meta = getCountryMeta(country);
+    const phoneInput = form.elements.phone;
+    if (phoneInput) {
+      phoneInput.placeholder = meta ? ShippingMessages.phoneExample({ example: meta.phone.example }) : ShippingMessages.phonePlaceholder;
+      phoneInput.title = ShippingMessages.phoneTitle;
+    }
+  }
+
+  /* Totals for the method currently selected */
+  function updateSummary(lines, destination) {
+    const totals = calculateOrderTotals(lines, {
+      promoCode: loadFromStorage(STORAGE_KEYS.promoCode, ""),
+      shippingCost: getSelectedShippingCost(),
+      destination
+    });
+    renderOrderSummary("ship", totals, lines);
 
     /* Keep totals updated for any next step page */
-    saveToStorage(STORAGE_KEYS.totals, totals);
+    saveOrderTotals({ ...totals, shippingMethod: getSelectedMethod(options) });
+  }
+
+  /* Rates depend on the cart and the destination */
+  function recompute() {
+    if (catalog === undefined) return;
+
+    const lines = readSummaryLines(catalog);
+    const destination = getDestination();
+
+    const goods = calculateOrderTotals(lines, { promoCode: loadFromStorage(STORAGE_KEYS.promoCode, ""), destination });
+    const goodsTotal = Money.subtract(goods.subtotal, goods.discount);
+
+    options = getShippingOptions(lines, { ...destination, goodsTotal });
+    renderMethods(options);
+    renderFreeShippingNote(goodsTotal, options);
+    updateSummary(lines, destination);
+  }
+
+  /* Put back what was entered earlier in this checkout: the draft, else the
+     submitted address (false when nothing was) */
+  function restoreDraft() {
+    const saved = CheckoutFlow.getDraft("shipping");
+    const draft = Object.keys(saved).length > 0 ? saved : loadFromStorage(STORAGE_KEYS.shipping, {}) || {};
+    if (!form) return false;
+
+    /* The country decides which address fields there are */
+    if (draft.country && countrySelect) {
+      countrySelect.value = draft.country;
+      renderAddressFields();
+    }
+
+    Object.keys(draft).forEach((name) => {
+      const field = form.elements[name];
+      if (field && field.tagName && field.type !== "radio") field.value = draft[name];
+    });
+
+    if (draft.shippingMethod) chosenMethod = draft.shippingMethod;
+    return Object.keys(draft).length > 0;
+  }
+
+  function saveDraft() {
+    if (!form) return;
+    CheckoutFlow.saveDraft("shipping", Object.fromEntries(new FormData(form).entries()));
   }
 
   /* Events */
-  freeRadio.addEventListener("change", recompute);
-  nextRadio.addEventListener("change", recompute);
+  methodsEl.addEventListener("change", (e) => {
+    if (e.target.name !== "shippingMethod") return;
 
-  /* Initial render */
+    chosenMethod = e.target.value;
+    recompute();
+  });
+
+  countrySelect?.addEventListener("change", () => {
+    renderAddressFields();
+    recompute();
+  });
+  /* The state and postcode fields are rebuilt with the country */
+  form?.addEventListener("change", (e) => {
+    if (e.target.name === "state" || e.target.name === "postalCode") recompute();
+  });
+  window.addEventListener("currency:change", recompute);
+  /* The address fields' placeholders and titles are rebuilt in the new language */
+  window.addEventListener("language:change", () => {
+    renderAddressFields();
+    recompute();
+  });
+  form?.addEventListener("input", saveDraft);
+  form?.addEventListener("change", saveDraft);
+
+  /* Initial render: the form first, the rates once the catalog is loaded */
+  renderCountryOptions();
+  renderAddressFields();
+  const restored = restoreDraft();
+
+  catalog = await loadSummaryCatalog();
   recompute();
+
+  /* Errors of an order refused on the payment step; the shipping method has no field message */
+  if (form) {
+    const unshown = showFieldErrors(form, CheckoutFlow.takeFieldErrors());
+    if (Object.keys(unshown).length > 0) CheckoutFlow.showNotice("shippingRejected", Object.values(unshown));
+  }
+
+  /* Saved addresses; the default one fills the form for a new checkout */
+  AddressBookController.init(form, { prefill: !restored });
 })();
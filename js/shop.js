@@ -0,0 +1,232 @@
+/* shop.js
+   Shop page functionality:
+   - Render the product list from the catalog (data/products.json)
+   - Instant search over product name, category and description
+   - Category, price-range and rating filters, plus sorting
+   - Filter state is mirrored in the URL query string (?q=&category=&...)
+     so filtered views can be shared and bookmarked
+*/
+
+const SHOP_SORTS = ['price-asc', 'price-desc', 'rating', 'newest'];
+
+/* ==========================================
+   FILTER STATE <-> URL
+   ========================================== */
+
+/**
+ * Read the filter state from a query string
+ */
+function readShopFilters(search) {
+  const params = new URLSearchParams(search);
+  const toNumber = value => (value === null || value === '' || !Number.isFinite(Number(value)) ? null : Number(value));
+  const sort = params.get('sort') || '';
+
+  return {
+    q: (params.get('q') || '').trim(),
+    categories: params.getAll('category').flatMap(value => value.split(',')).filter(Boolean),
+    minPrice: toNumber(params.get('minPrice')),
+    maxPrice: toNumber(params.get('maxPrice')),
+    minRating: toNumber(params.get('minRating')),
+    sort: SHOP_SORTS.includes(sort) ? sort : ''
+  };
+}
+
+/**
+ * Build a query string from the filter state (empty values are left out)
+ */
+function buildShopQuery(filters) {
+  const params = new URLSearchParams();
+
+  if (filters.q) params.set('q', filters.q);
+  filters.categories.forEach(category => params.append('category', category));
+  if (filters.minPrice !== null) params.set('minPrice', String(filters.minPrice));
+  if (filters.maxPrice !== null) params.set('maxPrice', String(filters.maxPrice));
+  if (filters.minRating !== null) params.set('minRating', String(filters.minRating));
+  if (filters.sort) params.set('sort', filters.sort);
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/* ==========================================
+   SEARCH, FILTER & SORT
+   ========================================== */
+
+/**
+ * Every search term has to appear in the name, category or description
+ */
+function matchesSearch(product, query, catalog) {
+  if (!query) return true;
+
+  const category = getCategory(catalog, product.category);
+  const haystack = [product.name, product.category, category ? category.name : '', product.description]
+    .join(' ')
+    .toLowerCase();
+
+  return query.toLowerCase().split(/\s+/).every(term => haystack.includes(term));
+}
+
+/**
+ * Apply the search query and filters to a product list.
+ * The price range is in the display currency (what the shopper sees).
+ */
+function filterProducts(products, filters, catalog) {
+  return products.filter(product => {
+    const price = Money.convert(product.price);
+
+    if (!matchesSearch(product, filters.q, catalog)) return false;
+    if (filters.categories.length > 0 && !filters.categories.includes(product.category)) return false;
+    if (filters.minPrice !== null && price < filters.minPrice) return false;
+    if (filters.maxPrice !== null && price > filters.maxPrice) return false;
+    if (filters.minRating !== null && (Number(product.rating) || 0) < filters.minRating) return false;
+    return true;
+  });
+}
+
+/**
+ * Sort a product list. The default ('') keeps the catalog order.
+ */
+function sortProducts(products, sort) {
+  const sorted = products.slice();
+
+  switch (sort) {
+    case 'price-asc':
+      return sorted.sort((a, b) => a.price - b.price);
+    case 'price-desc':
+      return sorted.sort((a, b) => b.price - a.price);
+    case 'rating':
+      return sorted.sort((a, b) => (Number(b.rating) || 0) - (Number(a.rating) || 0));
+    case 'newest':
+      return sorted.sort((a, b) => String(b.addedAt || '').localeCompare(String(a.addedAt || '')));
+    default:
+      return sorted;
+  }
+}
+
+/* ==========================================
+   PAGE
+   ========================================== */
+
+(async function initShop() {
+  const grid = document.getElementById('productGrid');
+  if (!grid) return;
+
+  const searchForm = document.getElementById('shopSearchForm');
+  const searchInput = document.getElementById('shop-search');
+  const filtersForm = document.getElementById('shopFilters');
+  const categoryContainer = document.getElementById('categoryFilters');
+  const minPriceInput = document.getElementById('minPrice');
+  const maxPriceInput = document.getElementById('maxPrice');
+  const minRatingSelect = document.getElementById('minRating');
+  const sortSelect = document.getElementById('sort');
+  const resultCountEl = document.getElementById('resultCount');
+
+  let catalog;
+  try {
+    catalog = await loadCatalog();
+  } catch (err) {
+    console.warn('Could not load product catalog', err);
+    renderCatalogError(grid);
+    return;
+  }
+
+  function renderCategoryFilters() {
+    if (!categoryContainer) return;
+
+    categoryContainer.innerHTML = catalog.categories.map(category => `
+      <label class="inline-flex cursor-pointer items-center gap-2">
+        <input type="checkbox" name="category" value="${escapeHTML(category.id)}" />
+        <span>${escapeHTML(category.name)}</span>
+      </label>
+    `).join('');
+  }
+
+  /* Copy the filter state into the form controls */
+  function fillControls(filters) {
+    if (searchInput) searchInput.value = filters.q;
+    if (minPriceInput) minPriceInput.value = filters.minPrice ?? '';
+    if (maxPriceInput) maxPriceInput.value = filters.maxPrice ?? '';
+    if (minRatingSelect) minRatingSelect.value = filters.minRating === null ? '' : String(filters.minRating);
+    if (sortSelect) sortSelect.value = filters.sort;
+
+    categoryContainer?.querySelectorAll('input[name="category"]').forEach(input => {
+      input.checked = filters.categories.includes(input.value);
+    });
+  }
+
+  /* Read the filter state from the form controls */
+  function readControls() {
+    const params = new URLSearchParams();
+
+    if (searchInput) params.set('q', searchInput.value);
+    categoryContainer?.querySelectorAll('input[name="category"]:checked').forEach(input => {
+      params.append('category', input.value);
+    });
+    if (minPriceInput) params.set('minPrice', minPriceInput.value);
+    if (maxPriceInput) params.set('maxPrice', maxPriceInput.value);
+    if (minRatingSelect) params.set('minRating', minRatingSelect.value);
+    if (sortSelect) params.set('sort', sortSelect.value);
+
+    return readShopFilters(params.toString());
+  }
+
+  function render(filters) {
+    const results = sortProducts(filterProducts(catalog.products, filters, catalog), filters.sort);
+
+    if (results.length === 0) {
+      grid.innerHTML = '<p class="text-sm text-white opacity-80">No products match your search. Try clearing some filters.</p>';
+    } else {
+      renderShopGrid(grid, results);
+    }
+
+    if (resultCountEl) {
+      resultCountEl.textContent = `${results.length} ${results.length === 1 ? 'PRODUCT' : 'PRODUCTS'}`;
+    }
+  }
+
+  /* Re-render and keep the URL in sync (replaceState: no history entry per keystroke) */
+  function update() {
+    const filters = readControls();
+    render(filters);
+
+    const url = `${window.location.pathname}${buildShopQuery(filters)}${window.location.hash}`;
+    window.history.replaceState(null, '', url);
+  }
+
+  /* Events */
+  let searchTimer = null;
+
+  searchInput?.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(update, 150);
+  });
+
+  searchForm?.addEventListener('submit', e => {
+    e.preventDefault();
+    clearTimeout(searchTimer);
+    update();
+    document.getElementById('productList')?.scrollIntoView({ behavior: 'smooth' });
+  });
+
+  filtersForm?.addEventListener('change', update);
+  filtersForm?.addEventListener('input', e => {
+    if (e.target === minPriceInput || e.target === maxPriceInput) update();
+  });
+  filtersForm?.addEventListener('submit', e => e.preventDefault());
+
+  /* The price range is in the display currency, so the results can change */
+  window.addEventListener('currency:change', update);
+  filtersForm?.addEventListener('reset', () => {
+    /* The reset event fires before the controls are cleared */
+    setTimeout(() => {
+      if (searchInput) searchInput.value = '';
+      update();
+    }, 0);
+  });
+
+  /* Initial render from the URL */
+  renderCategoryFilters();
+  const initialFilters = readShopFilters(window.location.search);
+  fillControls(initialFilters);
+  render(initialFilters);
+})();
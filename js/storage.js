@@ -0,0 +1,348 @@
+/* storage.js
+   Storage layer for everything the shop remembers
+
+   createStorage({ backends, namespace, version, migrations }) returns
+   { get, set, remove, keys, clear, keyOf, ready, backend }:
+   - backends: the backends to try, in order: 'local' (localStorage),
+     'session' (sessionStorage), 'indexedDB' and 'memory'. The first one
+     that works is used, so private browsing or blocked storage falls back
+     to memory instead of throwing.
+   - namespace: keys are stored as "<namespace>:<key>" (see keyOf)
+   - entries are stored as JSON { value, savedAt, expires? };
+     set(key, value, { ttl }) makes an entry expire ttl milliseconds later,
+     after which get() returns the fallback and drops it
+   - version / migrations: { <version>: ({ backend, storage }) => ... },
+     run in order (once) while the stored version is older than `version`
+   - a write the backend refuses (e.g. quota exceeded) is kept in memory
+     for the rest of the page's life, and set() returns false
+
+   Every backend has the same synchronous interface: getItem, setItem,
+   removeItem and keys. The IndexedDB backend answers from a copy in memory
+   that ready() fills from the database, and writes to the database in the
+   background.
+
+   AppStorage (localStorage) holds the shop's state; AppSessionStorage
+   (sessionStorage) holds what only lasts as long as the tab.
+*/
+
+/* ==========================================
+   BACKENDS
+   ========================================== */
+
+const StorageBackends = {
+  /* localStorage ('local') or sessionStorage ('session'); null where it
+     is missing or refuses writes (e.g. some private browsing modes) */
+  web(kind) {
+    let store;
+
+    try {
+      store = typeof window !== 'undefined' ? window[`${kind}Storage`] : undefined;
+      if (!store) return null;
+
+      store.setItem('__storage_probe__', '1');
+      store.removeItem('__storage_probe__');
+    } catch (err) {
+      return null;
+    }
+
+    return {
+      name: kind,
+      getItem: key => store.getItem(key),
+      setItem: (key, value) => store.setItem(key, value),
+      removeItem: key => store.removeItem(key),
+      keys: () => Array.from({ length: store.length }, (_, index) => store.key(index))
+    };
+  },
+
+  local() {
+    return StorageBackends.web('local');
+  },
+
+  session() {
+    return StorageBackends.web('session');
+  },
+
+  /* Kept for the page's life only (tests, tooling, fallback) */
+  memory() {
+    const entries = new Map();
+
+    return {
+      name: 'memory',
+      getItem: key => (entries.has(key) ? entries.get(key) : null),
+      setItem: (key, value) => {
+        entries.set(key, String(value));
+      },
+      removeItem: key => {
+        entries.delete(key);
+      },
+      keys: () => Array.from(entries.keys())
+    };
+  },
+
+  /* IndexedDB database `dbName`, read through a copy in memory; null
+     where IndexedDB is missing */
+  indexedDB(dbName = 'cpa-storage') {
+    if (typeof indexedDB === 'undefined') return null;
+
+    const STORE = 'entries';
+    const cache = StorageBackends.memory();
+
+    /* Keys written or removed before the database was read keep their new state */
+    const touched = new Set();
+
+    const opening = new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    const loading = opening
+      .then(db => new Promise((resolve, reject) => {
+        const request = db.transaction(STORE, 'readonly').objectStore(STORE).openCursor();
+
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve();
+            return;
+          }
+
+          if (!touched.has(cursor.key)) cache.setItem(cursor.key, cursor.value);
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      }))
+      .catch(err => console.warn('Could not read IndexedDB storage; using memory for this page', err));
+
+    function write(action) {
+      opening
+        .then(db => action(db.transaction(STORE, 'readwrite').objectStore(STORE)))
+        .catch(err => console.warn('Could not write IndexedDB storage', err));
+    }
+
+    return {
+      name: 'indexedDB',
+      ready: () => loading,
+      getItem: key => cache.getItem(key),
+      setItem: (key, value) => {
+        touched.add(key);
+        cache.setItem(key, value);
+        write(store => store.put(String(value), key));
+      },
+      removeItem: key => {
+        touched.add(key);
+        cache.removeItem(key);
+        write(store => store.delete(key));
+      },
+      keys: () => cache.keys()
+    };
+  }
+};
+
+/**
+ * First backend of `names` that can be used (memory when none can)
+ */
+function openStorageBackend(names) {
+  for (const name of names) {
+    const backend = StorageBackends[name] ? StorageBackends[name]() : null;
+    if (backend) return backend;
+  }
+
+  return StorageBackends.memory();
+}
+
+/* ==========================================
+   STORAGE
+   ========================================== */
+
+/**
+ * Namespaced, versioned storage over the first working backend (see the
+ * file comment for the options)
+ */
+function createStorage(options = {}) {
+  const {
+    backends = ['local', 'memory'],
+    namespace = 'app',
+    version = 1,
+    migrations = {},
+    now = () => Date.now()
+  } = options;
+
+  const backend = openStorageBackend(backends);
+  const overflow = StorageBackends.memory();
+  const prefix = `${namespace}:`;
+  const versionKey = `${prefix}__version`;
+  let warned = false;
+
+  /**
+   * Key as stored in the backend, e.g. "cpa:cart" (what storage events report)
+   */
+  function keyOf(key) {
+    return prefix + key;
+  }
+
+  function readRaw(storedKey) {
+    const raw = overflow.getItem(storedKey);
+    return raw !== null ? raw : backend.getItem(storedKey);
+  }
+
+  function writeRaw(storedKey, raw) {
+    try {
+      backend.setItem(storedKey, raw);
+      overflow.removeItem(storedKey);
+      return true;
+    } catch (err) {
+      if (!warned) console.warn(`Could not save to ${backend.name} storage; changes are kept for this page only`, err);
+      warned = true;
+      overflow.setItem(storedKey, raw);
+      return false;
+    }
+  }
+
+  function get(key, fallback) {
+    const raw = readRaw(keyOf(key));
+    if (raw === null) return fallback;
+
+    let entry;
+    try {
+      entry = JSON.parse(raw);
+    } catch (err) {
+      return fallback;
+    }
+
+    if (!entry || typeof entry !== 'object' || !('value' in entry)) return fallback;
+
+    if (entry.expires && entry.expires <= now()) {
+      remove(key);
+      return fallback;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Keep `value` under `key`. setOptions.ttl: forget it after this many
+   * milliseconds. Returns false when it could only be kept in memory.
+   */
+  function set(key, value, setOptions = {}) {
+    const entry = { value, savedAt: now() };
+    if (setOptions.ttl > 0) entry.expires = entry.savedAt + setOptions.ttl;
+
+    return writeRaw(keyOf(key), JSON.stringify(entry));
+  }
+
+  function remove(key) {
+    overflow.removeItem(keyOf(key));
+
+    try {
+      backend.removeItem(keyOf(key));
+    } catch (err) {
+      console.warn(`Could not remove "${key}" from ${backend.name} storage`, err);
+    }
+  }
+
+  /**
+   * Keys of this namespace (without the prefix)
+   */
+  function keys() {
+    const stored = new Set([...backend.keys(), ...overflow.keys()]);
+
+    return Array.from(stored)
+      .filter(storedKey => storedKey.startsWith(prefix) && storedKey !== versionKey)
+      .map(storedKey => storedKey.slice(prefix.length));
+  }
+
+  function clear() {
+    keys().forEach(remove);
+  }
+
+  /* Run the migrations newer than the stored version, then drop expired entries */
+  function prepare() {
+    const storedVersion = Number(backend.getItem(versionKey)) || 0;
+
+    if (storedVersion < version) {
+      Object.keys(migrations)
+        .map(Number)
+        .filter(step => step > storedVersion && step <= version)
+        .sort((a, b) => a - b)
+        .forEach(step => {
+          try {
+            migrations[step]({ backend, storage });
+          } catch (err) {
+            console.warn(`Storage migration ${step} failed`, err);
+          }
+        });
+
+      writeRaw(versionKey, String(version));
+    }
+
+    keys().forEach(key => get(key));
+  }
+
+  const storage = {
+    backend: backend.name,
+    keyOf,
+    get,
+    set,
+    remove,
+    keys,
+    clear,
+    ready: () => readiness
+  };
+
+  /* Backends read asynchronously (IndexedDB) are prepared once they are read */
+  const readiness = backend.ready ? backend.ready().then(prepare) : Promise.resolve(prepare());
+
+  return storage;
+}
+
+/* ==========================================
+   SHOP STORAGE
+   ========================================== */
+
+const STORAGE_NAMESPACE = 'cpa';
+
+const STORAGE_VERSION = 1;
+
+const STORAGE_MIGRATIONS = {
+  /* Values kept before the storage layer ("cpa_cart", plain JSON; the
+     language and currency as plain text) move into the namespace ("cpa:cart") */
+  1: ({ backend, storage }) => {
+    backend.keys().filter(key => key.startsWith('cpa_')).forEach(oldKey => {
+      const raw = backend.getItem(oldKey);
+      let value;
+
+      try {
+        value = JSON.parse(raw);
+      } catch (err) {
+        value = raw;
+      }
+
+      storage.set(oldKey.slice('cpa_'.length), value);
+      backend.removeItem(oldKey);
+    });
+  }
+};
+
+const AppStorage = createStorage({
+  backends: ['local', 'memory'],
+  namespace: STORAGE_NAMESPACE,
+  version: STORAGE_VERSION,
+  migrations: STORAGE_MIGRATIONS
+});
+
+const AppSessionStorage = createStorage({
+  backends: ['session', 'memory'],
+  namespace: STORAGE_NAMESPACE
+});
+
+/* Allow the storage layer to be checked in Node (tests, tooling) */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    StorageBackends,
+    openStorageBackend,
+    createStorage,
+    STORAGE_MIGRATIONS
+  };
+}
@@ -0,0 +1,198 @@
+/* summary.js
+   Order summary shared by the cart, shipping and payment pages
+
+   - Reads the cart store and prices every line from the catalog
+     (the snapshot stored with each line is used if the catalog cannot be loaded)
+   - Works out subtotal, promotions (promotions.js), shipping, tax (tax.js)
+     and total in one place, cent-exact (money.js)
+   - Renders the "Summary" panel. Each page prefixes the element ids:
+     <prefix>SummaryItems, <prefix>Subtotal, <prefix>Discounts, <prefix>Shipping,
+     <prefix>TaxesLabel, <prefix>Taxes and <prefix>Total (e.g. shipSubtotal)
+   - Saves the totals under STORAGE_KEYS.totals for the next checkout step
+
+   calculateOrderTotals also runs in Node, where the order checks
+   (order-check.js) recompute the totals on the server.
+
+   Requires common.js, money.js, cart-store.js, catalog.js, promotions.js and tax.js
+*/
+
+// Money, promotion and tax rules and messages (required in Node, where only the totals are used)
+const SummaryMoney = typeof Money !== 'undefined' ? Money : require('./money.js').Money;
+const SummaryI18n = typeof I18n !== 'undefined' ? I18n : require('./i18n.js').I18n;
+const SummaryPromotions = typeof applyPromotions === 'function' ? { applyPromotions } : require('./promotions.js');
+const SummaryTax = typeof calculateTax === 'function'
+  ? { getTaxableAmounts, calculateTax, addTaxToTotal, formatTaxLabel }
+  : require('./tax.js');
+
+/* Text of the Summary panel */
+const SummaryMessages = SummaryI18n.defineMessages('summary', {
+  empty: 'Your cart is empty.',
+  imageAlt: 'Order summary {name}',
+  qty: 'QTY {qty}',
+  free: 'FREE'
+});
+
+/* ==========================================
+   CART LINES
+   ========================================== */
+
+/**
+ * The catalog, or null when it cannot be loaded (prices then come
+ * from the cart snapshots)
+ */
+async function loadSummaryCatalog() {
+  try {
+    return await loadCatalog();
+  } catch (err) {
+    console.warn('Could not load product catalog, using stored cart prices', err);
+    return null;
+  }
+}
+
+/**
+ * Cart lines priced from the catalog: [{ sku, variant, qty, name, variantName,
+ * price, image, category, taxCategory, shipping, description, stock }].
+ * Products that are no longer sold are removed from the cart.
+ */
+function readSummaryLines(catalog) {
+  const lines = [];
+
+  CartStore.getItems().forEach(item => {
+    if (!catalog) {
+      lines.push(item);
+      return;
+    }
+
+    const product = getProductBySku(catalog, item.sku);
+
+    if (!product) {
+      CartStore.removeItem(item.sku, item.variant);
+      return;
+    }
+
+    const variant = getVariantBySku(product, item.variant);
+    const details = {
+      name: product.name,
+      variantName: getVariantName(product, variant),
+      price: getVariantPrice(product, variant),
+      image: getVariantImage(product, variant).src
+    };
+
+    /* Keep the snapshot current for pages without the catalog (header badge) */
+    if (item.price !== details.price || item.name !== details.name || item.variantName !== details.variantName) {
+      CartStore.updateDetails(item.sku, item.variant, details);
+    }
+
+    lines.push({
+      ...item,
+      ...details,
+      category: product.category,
+      taxCategory: product.taxCategory,
+      shipping: product.shipping,
+      description: product.description || '',
+      stock: getVariantStock(product, variant)
+    });
+  });
+
+  return lines;
+}
+
+/* ==========================================
+   TOTALS
+   ========================================== */
+
+/**
+ * Totals for an order.
+ * options: { promoCode, shippingCost, destination: { country, state } }
+ *
+ * Returns { subtotal, discount, discounts, promoCode, promoError,
+ *           taxableAmounts, taxes, taxLabel, taxInclusive, shippingCost, total }
+ */
+function calculateOrderTotals(lines, options = {}) {
+  const shippingCost = Number(options.shippingCost) || 0;
+  const destination = options.destination || {};
+
+  const subtotal = SummaryMoney.sum(lines.map(line => SummaryMoney.multiply(line.price, line.qty)));
+  const promotions = SummaryPromotions.applyPromotions(lines, { code: options.promoCode });
+  const discount = promotions.discountTotal;
+
+  const taxableAmounts = SummaryTax.getTaxableAmounts(lines, promotions.lineDiscounts);
+  const tax = SummaryTax.calculateTax(taxableAmounts, { country: destination.country, region: destination.state, shippingCost });
+  const total = SummaryTax.addTaxToTotal(SummaryMoney.add(SummaryMoney.subtract(subtotal, discount), shippingCost), tax);
+
+  return {
+    subtotal,
+    discount,
+    discounts: promotions.discounts,
+    promoCode: promotions.code,
+    promoError: promotions.codeError,
+    taxableAmounts,
+    taxes: tax.amount,
+    taxLabel: SummaryTax.formatTaxLabel(tax),
+    taxInclusive: tax.inclusive,
+    shippingCost,
+    total
+  };
+}
+
+/**
+ * Save totals for the next checkout step (the code error is page state only)
+ */
+function saveOrderTotals(totals) {
+  const { promoError, ...stored } = totals;
+  saveToStorage(STORAGE_KEYS.totals, stored);
+}
+
+/* ==========================================
+   RENDERING
+   ========================================== */
+
+function renderSummaryItems(container, lines) {
+  if (!container) return;
+
+  if (lines.length === 0) {
+    container.innerHTML = `<p class="text-sm text-white opacity-80">${escapeHTML(SummaryMessages.empty)}</p>`;
+    return;
+  }
+
+  container.innerHTML = lines.map(line => `
+    <article class="flex items-center gap-5">
+      <figure class="w-20 shrink-0">
+        <div class="flex aspect-square items-center justify-center border border-brand-green-dark bg-brand-green">
+          <img src="${escapeHTML(line.image || 'src/images/logo.png')}" alt="${escapeHTML(SummaryMessages.imageAlt({ name: line.name }))}" class="h-full w-full object-cover" />
+        </div>
+      </figure>
+
+      <div class="min-w-0">
+        <p class="text-xs uppercase tracking-widest text-white">${escapeHTML(line.name)}</p>
+        <p class="mt-1 text-xs tracking-widest text-white opacity-80">${[line.variantName, SummaryMessages.qty({ qty: Number(line.qty) })].filter(Boolean).map(escapeHTML).join(' · ')}</p>
+        <p class="mt-2 text-sm text-white opacity-80" data-price="${Money.multiply(line.price, line.qty)}">${formatCurrency(Money.multiply(line.price, line.qty))}</p>
+      </div>
+    </article>
+  `).join('');
+}
+
+/**
+ * Render the Summary panel of a page (missing elements are skipped)
+ */
+function renderOrderSummary(prefix, totals, lines) {
+  const byId = name => document.getElementById(`${prefix}${name}`);
+  const setText = (name, text) => {
+    const el = byId(name);
+    if (el) el.textContent = text;
+  };
+
+  if (lines) renderSummaryItems(byId('SummaryItems'), lines);
+
+  setText('Subtotal', formatCurrency(totals.subtotal));
+  renderDiscountRows(byId('Discounts'), totals.discounts);
+  setText('Shipping', totals.shippingCost === 0 ? SummaryMessages.free : formatCurrency(totals.shippingCost));
+  setText('TaxesLabel', totals.taxLabel);
+  setText('Taxes', formatCurrency(totals.taxes));
+  setText('Total', formatCurrency(totals.total));
+}
+
+/* Allow the totals to be worked out in Node (order-check.js, tests) */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { calculateOrderTotals };
+}
@@ -0,0 +1,249 @@
+/* tax.js
+   Multi-region tax engine for Aotearoa Adventure Gear
+
+   Every destination country has a tax rule:
+   - rate             : decimal rate (0.15 = 15%)
+   - mode             : 'inclusive' (prices already include the tax, e.g. NZ/AU GST)
+                        or 'exclusive' (tax is added on top, e.g. US sales tax)
+   - exemptCategories : product tax categories the tax does not apply to
+   - taxShipping      : whether the shipping charge is taxed as well
+   Countries with regional rates (US states) list them under `regions`;
+   a region overrides the country rule field by field.
+
+   Products are 'general' unless data/products.json gives them a
+   `taxCategory` (e.g. 'apparel').
+   Tax is worked out on the amounts after discounts and rounded once
+   per order, to the nearest cent.
+*/
+
+/* ==========================================
+   TAX RULES
+   ========================================== */
+
+/* Used until the customer picks a destination (the store is in NZ) */
+const TAX_DEFAULT_COUNTRY = 'NZ';
+
+const TAX_DEFAULT_CATEGORY = 'general';
+
+/* Destinations without a rule are exports: zero-rated */
+const TAX_EXPORT_RULE = { label: 'Tax', rate: 0, mode: 'exclusive', exemptCategories: [], taxShipping: false };
+
+const TAX_REGIONS = {
+  NZ: { label: 'GST', rate: 0.15, mode: 'inclusive', exemptCategories: [], taxShipping: true },
+  AU: { label: 'GST', rate: 0.1, mode: 'inclusive', exemptCategories: [], taxShipping: true },
+  US: {
+    label: 'Sales tax',
+    rate: 0,
+    mode: 'exclusive',
+    exemptCategories: [],
+    taxShipping: false,
+    regionLabel: 'State',
+    /* State-level base rates (local/county taxes are not included) */
+    regions: {
+      AL: { name: 'Alabama', rate: 0.04 },
+      AK: { name: 'Alaska', rate: 0 },
+      AZ: { name: 'Arizona', rate: 0.056 },
+      AR: { name: 'Arkansas', rate: 0.065 },
+      CA: { name: 'California', rate: 0.0725 },
+      CO: { name: 'Colorado', rate: 0.029 },
+      CT: { name: 'Connecticut', rate: 0.0635 },
+      DE: { name: 'Delaware', rate: 0 },
+      DC: { name: 'District of Columbia', rate: 0.06 },
+      FL: { name: 'Florida', rate: 0.06 },
+      GA: { name: 'Georgia', rate: 0.04 },
+      HI: { name: 'Hawaii', rate: 0.04 },
+      ID: { name: 'Idaho', rate: 0.06 },
+      IL: { name: 'Illinois', rate: 0.0625 },
+      IN: { name: 'Indiana', rate: 0.07 },
+      IA: { name: 'Iowa', rate: 0.06 },
+      KS: { name: 'Kansas', rate: 0.065 },
+      KY: { name: 'Kentucky', rate: 0.06 },
+      LA: { name: 'Louisiana', rate: 0.05 },
+      ME: { name: 'Maine', rate: 0.055 },
+      MD: { name: 'Maryland', rate: 0.06 },
+      MA: { name: 'Massachusetts', rate: 0.0625 },
+      MI: { name: 'Michigan', rate: 0.06 },
+      MN: { name: 'Minnesota', rate: 0.06875, exemptCategories: ['apparel'] },
+      MS: { name: 'Mississippi', rate: 0.07 },
+      MO: { name: 'Missouri', rate: 0.04225 },
+      MT: { name: 'Montana', rate: 0 },
+      NE: { name: 'Nebraska', rate: 0.055 },
+      NV: { name: 'Nevada', rate: 0.0685 },
+      NH: { name: 'New Hampshire', rate: 0 },
+      NJ: { name: 'New Jersey', rate: 0.06625, exemptCategories: ['apparel'] },
+      NM: { name: 'New Mexico', rate: 0.04875 },
+      NY: { name: 'New York', rate: 0.04 },
+      NC: { name: 'North Carolina', rate: 0.0475 },
+      ND: { name: 'North Dakota', rate: 0.05 },
+      OH: { name: 'Ohio', rate: 0.0575 },
+      OK: { name: 'Oklahoma', rate: 0.045 },
+      OR: { name: 'Oregon', rate: 0 },
+      PA: { name: 'Pennsylvania', rate: 0.06, exemptCategories: ['apparel'] },
+      RI: { name: 'Rhode Island', rate: 0.07 },
+      SC: { name: 'South Carolina', rate: 0.06 },
+      SD: { name: 'South Dakota', rate: 0.042 },
+      TN: { name: 'Tennessee', rate: 0.07 },
+      TX: { name: 'Texas', rate: 0.0625 },
+      UT: { name: 'Utah', rate: 0.061 },
+      VT: { name: 'Vermont', rate: 0.06, exemptCategories: ['apparel'] },
+      VA: { name: 'Virginia', rate: 0.053 },
+      WA: { name: 'Washington', rate: 0.065 },
+      WV: { name: 'West Virginia', rate: 0.06 },
+      WI: { name: 'Wisconsin', rate: 0.05 },
+      WY: { name: 'Wyoming', rate: 0.04 }
+    }
+  }
+};
+
+/* ==========================================
+   RULE LOOKUP
+   ========================================== */
+
+/* Own entries only, so codes such as "constructor" find no rule */
+const ownEntry = (table, code) => (table && Object.prototype.hasOwnProperty.call(table, code) ? table[code] : undefined);
+
+/**
+ * Whether a country has regional rates (the region must be known)
+ */
+function hasTaxRegions(country) {
+  const rule = ownEntry(TAX_REGIONS, country);
+  return Boolean(rule && rule.regions);
+}
+
+/**
+ * Regions of a country as [{ code, name }] sorted by name
+ */
+function getTaxRegionList(country) {
+  const rule = ownEntry(TAX_REGIONS, country);
+  if (!rule || !rule.regions) return [];
+
+  return Object.keys(rule.regions)
+    .map(code => ({ code, name: rule.regions[code].name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * The tax rule for a destination, with the region override applied
+ */
+function getTaxRule(country = TAX_DEFAULT_COUNTRY, region = '') {
+  const countryRule = ownEntry(TAX_REGIONS, country);
+  if (!countryRule) return { ...TAX_EXPORT_RULE, country, region: '' };
+
+  const { regions, ...base } = countryRule;
+  const regionRule = ownEntry(regions, region);
+
+  if (!regionRule) return { ...base, country, region: '', needsRegion: Boolean(regions) };
+
+  const { name, ...override } = regionRule;
+  return { ...base, ...override, country, region };
+}
+
+/* ==========================================
+   CALCULATION
+   ========================================== */
+
+function toCents(value) {
+  return Math.round((Number(value) || 0) * 100);
+}
+
+/**
+ * Net amount per tax category, after each line's discount.
+ * lines: [{ price, qty, taxCategory }], lineDiscounts: applyPromotions().lineDiscounts
+ */
+function getTaxableAmounts(lines, lineDiscounts = []) {
+  const cents = {};
+
+  lines.forEach((line, index) => {
+    const category = line.taxCategory || TAX_DEFAULT_CATEGORY;
+    const net = toCents((Number(line.price) || 0) * (Number(line.qty) || 0)) - toCents(lineDiscounts[index]);
+    cents[category] = (cents[category] || 0) + Math.max(0, net);
+  });
+
+  return Object.keys(cents).reduce((amounts, category) => {
+    amounts[category] = cents[category] / 100;
+    return amounts;
+  }, {});
+}
+
+/**
+ * Work out the tax for an order.
+ * taxableAmounts: { [taxCategory]: amount } (see getTaxableAmounts)
+ * options: { country, region, shippingCost }
+ *
+ * Returns {
+ *   amount,      // tax to show (included in the prices when inclusive)
+ *   inclusive,   // true when the amount is already part of the prices
+ *   rate, label, country, region,
+ *   needsRegion, // the country has regional rates but no region was given
+ *   taxable,     // amount the rate was applied to
+ *   exempt       // amount left out because of exempt categories
+ * }
+ */
+function calculateTax(taxableAmounts, options = {}) {
+  const rule = getTaxRule(options.country || TAX_DEFAULT_COUNTRY, options.region || '');
+  let taxableCents = 0;
+  let exemptCents = 0;
+
+  Object.keys(taxableAmounts || {}).forEach(category => {
+    const cents = toCents(taxableAmounts[category]);
+    if (rule.exemptCategories.includes(category)) {
+      exemptCents += cents;
+    } else {
+      taxableCents += cents;
+    }
+  });
+
+  if (rule.taxShipping) taxableCents += toCents(options.shippingCost);
+
+  const inclusive = rule.mode === 'inclusive';
+  const taxCents = inclusive
+    ? Math.round((taxableCents * rule.rate) / (1 + rule.rate))
+    : Math.round(taxableCents * rule.rate);
+
+  return {
+    amount: taxCents / 100,
+    inclusive,
+    rate: rule.rate,
+    label: rule.label,
+    country: rule.country,
+    region: rule.region,
+    needsRegion: Boolean(rule.needsRegion),
+    regionLabel: rule.regionLabel || '',
+    taxable: taxableCents / 100,
+    exempt: exemptCents / 100
+  };
+}
+
+/**
+ * Order total with the tax added only when it is not already in the prices
+ */
+function addTaxToTotal(amount, tax) {
+  return tax.inclusive ? amount : Math.round((amount + tax.amount) * 100) / 100;
+}
+
+/**
+ * Summary label, e.g. "GST (INCL. 15%)", "SALES TAX (CA 7.25%)"
+ * or "SALES TAX (SELECT STATE)"
+ */
+function formatTaxLabel(tax) {
+  if (tax.needsRegion) return `${tax.label} (select ${tax.regionLabel})`.toUpperCase();
+
+  const percent = `${Number((tax.rate * 100).toFixed(3))}%`;
+  const detail = tax.inclusive ? `incl. ${percent}` : [tax.region, percent].filter(Boolean).join(' ');
+  return `${tax.label} (${detail})`.toUpperCase();
+}
+
+/* Allow the engine to be loaded in Node (tests, tooling) */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TAX_DEFAULT_COUNTRY,
+    TAX_REGIONS,
+    hasTaxRegions,
+    getTaxRegionList,
+    getTaxRule,
+    getTaxableAmounts,
+    calculateTax,
+    addTaxToTotal,
+    formatTaxLabel
+  };
+}
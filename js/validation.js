@@ -3,10 +3,14 @@
    
    This module provides comprehensive client-side validation including:
    - HTML5 validation enhancement
-   - Custom validation for emails, postal codes, phone numbers
+   - Custom validation for emails, postal codes, phone numbers (the
+     rules of each country are in countries.js)
    - Credit card validation (number, expiry, CVV)
    - Real-time validation feedback
    - Accessible error messages
+   - Declarative schemas (ValidationSchemas) of per-field rules, with
+     cross-field, async and custom-message rules; the rules run without a
+     DOM (Node: require('./js/validation.js'))
    
    Task 3: Implement forms with data validation and error handling
 */
@@ -15,25 +19,24 @@
    VALIDATION PATTERNS & CONSTANTS
    ========================================== */
 
+// Postcode and phone rules per country (countries.js; required in Node)
+const ValidationCountries = typeof getCountryMeta === 'function'
+  ? { getCountryMeta, isRegionRequired, isValidPostalCode, formatPostalCode, normalizePhone }
+  : require('./countries.js');
+
+// Card scheme registry (card-schemes.js; required in Node)
+const ValidationCardSchemes = typeof detectCardScheme === 'function'
+  ? { CARD_UNKNOWN_SCHEME, getCardScheme, detectCardScheme, formatCardDigits, getCardNumberMaxLength, passesLuhn }
+  : require('./card-schemes.js');
+
+// Message catalogs (i18n.js; required in Node)
+const ValidationI18n = typeof I18n !== 'undefined' ? I18n : require('./i18n.js').I18n;
+
 const ValidationPatterns = {
   // Email pattern (RFC 5322 simplified)
   email: /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/,
   
-  // Postal codes by country
-  postalCodes: {
-    NZ: /^\d{4}$/,                           // New Zealand: 4 digits (e.g., 1010, 6011)
-    AU: /^\d{4}$/,                           // Australia: 4 digits
-    US: /^\d{5}(-\d{4})?$/                   // USA: 5 digits or ZIP+4
-  },
-  
-  // Phone patterns by country
-  phonePatterns: {
-    NZ: /^(\+?64|0)[2-9]\d{7,9}$/,           // NZ phone: +64 or 0 followed by digits
-    AU: /^(\+?61|0)[2-9]\d{8}$/,             // AU phone
-    US: /^(\+?1)?[2-9]\d{2}[2-9]\d{6}$/      // US phone
-  },
-  
-  // Generic phone (fallback)
+  // Phone for countries without rules in countries.js
   phone: /^[\d\s\-\+\(\)]{8,20}$/,
   
   // Name pattern (letters, spaces, hyphens, apostrophes)
@@ -59,35 +62,45 @@ const ValidationPatterns = {
    ERROR MESSAGES
    ========================================== */
 
-const ErrorMessages = {
+// English text; I18n resolves each message in the chosen language when read
+const ErrorMessages = ValidationI18n.defineMessages('validation', {
   required: 'This field is required',
   firstName: 'Please enter a valid first name (2-50 letters)',
   lastName: 'Please enter a valid last name (2-50 letters)',
   email: 'Please enter a valid email address (e.g., name@example.com)',
-  phone: {
-    NZ: 'Please enter a valid NZ phone number (e.g., 021 123 4567 or +64 21 123 4567)',
-    AU: 'Please enter a valid AU phone number',
-    US: 'Please enter a valid US phone number',
-    default: 'Please enter a valid phone number'
-  },
-  postalCode: {
-    NZ: 'Please enter a valid NZ postal code (4 digits, e.g., 1010)',
-    AU: 'Please enter a valid AU postal code (4 digits)',
-    US: 'Please enter a valid US ZIP code (e.g., 12345 or 12345-6789)',
-    default: 'Please enter a valid postal code'
-  },
+  phone: 'Please enter a valid phone number',
+  // Per country, with its own example (countries.js)
+  phoneCountry: 'Please enter a valid phone number for {country} (e.g., {example})',
+  postalCode: 'Please enter a valid postal code',
+  postalCodeCountry: 'Please enter a valid {label} for {country} (e.g., {example})',
   address: 'Please enter a valid address (minimum 5 characters)',
   city: 'Please enter a valid city name',
   country: 'Please select a country',
+  state: 'Please select a state',
+  region: 'Please select a {region}',
   cardNumber: 'Please enter a valid card number (13-19 digits)',
+  cardNumberScheme: 'Please enter a valid {scheme} card number ({lengths} digits)',
   cardExpiry: 'Please enter a valid expiry date (MM/YY)',
   cardExpiryPast: 'Card has expired. Please use a valid card',
-  cvv: 'Please enter a valid CVV (3-4 digits on back of card)',
+  cvv: 'Please enter a valid CVV (3 digits on the back of the card, 4 on the front for Amex)',
+  cvvScheme: 'Please enter the {length}-digit security code of your {scheme} card',
   cardHolder: 'Please enter the cardholder name as shown on card',
+  giftCardNumber: 'Please enter the 16-digit gift card number',
+  giftCardPin: 'Please enter the 4-digit PIN from the back of the gift card',
   currency: 'Please enter a valid positive amount',
+  option: 'Please select a {option}',
+  variantUnavailable: 'This combination is not available. Please choose another',
+  variantSoldOut: 'This combination is sold out',
+  variantInCart: 'All {count} in stock are already in your cart',
   quantity: 'Please enter a valid quantity (1 or more)',
-  quantityMax: 'Maximum quantity is 99'
-};
+  quantityMax: 'Maximum quantity is 99',
+  quantityStock: 'Only {count} left in stock',
+  product: 'This product is no longer available',
+  reviewRating: 'Please choose a star rating',
+  reviewTitle: 'Please enter a title of {min} to {max} characters',
+  reviewBody: 'Please write {min} to {max} characters about the product',
+  reviewAuthor: 'Please enter the name to show with your review ({min} to {max} characters)'
+});
 
 /* ==========================================
    UTILITY FUNCTIONS
@@ -101,12 +114,25 @@ function stripNonDigits(value) {
 }
 
 /**
- * Format credit card number with spaces every 4 digits
+ * Format a card number in its scheme's groups (card-schemes.js), cut to the
+ * scheme's longest number; scheme null: groups of four
  */
-function formatCardNumber(value) {
-  const digits = stripNonDigits(value);
-  const groups = digits.match(/.{1,4}/g);
-  return groups ? groups.join(' ') : digits;
+function formatCardNumber(value, scheme = ValidationCardSchemes.detectCardScheme(value)) {
+  const { lengths } = scheme || ValidationCardSchemes.CARD_UNKNOWN_SCHEME;
+  return ValidationCardSchemes.formatCardDigits(stripNonDigits(value).slice(0, Math.max(...lengths)), scheme);
+}
+
+/**
+ * Valid lengths for messages: [16] -> "16", [16, 17, 18, 19] -> "16-19",
+ * [13, 16, 19] -> "13, 16, 19"
+ */
+function formatCardLengths(lengths) {
+  const first = lengths[0];
+  const last = lengths[lengths.length - 1];
+  
+  if (lengths.length === 1) return String(first);
+  if (last - first === lengths.length - 1) return `${first}-${last}`;
+  return lengths.join(', ');
 }
 
 /**
@@ -175,13 +201,14 @@ function validatePhone(phone, country = 'NZ') {
     return { valid: false, message: ErrorMessages.required };
   }
   
-  const cleanPhone = phone.replace(/[\s\-\(\)]/g, '');
-  const pattern = ValidationPatterns.phonePatterns[country] || ValidationPatterns.phone;
-  const isValid = pattern.test(cleanPhone);
+  const meta = ValidationCountries.getCountryMeta(country);
+  const isValid = meta
+    ? ValidationCountries.normalizePhone(phone, country) !== ''
+    : ValidationPatterns.phone.test(phone.trim());
   
   return {
     valid: isValid,
-    message: isValid ? '' : (ErrorMessages.phone[country] || ErrorMessages.phone.default)
+    message: isValid ? '' : (meta ? ErrorMessages.phoneCountry({ country: meta.name, example: meta.phone.example }) : ErrorMessages.phone)
   };
 }
 
@@ -189,22 +216,26 @@ function validatePhone(phone, country = 'NZ') {
  * Validate postal code based on country
  */
 function validatePostalCode(postalCode, country = 'NZ') {
+  const meta = ValidationCountries.getCountryMeta(country);
+  
+  // Countries without postcodes (e.g. Fiji), or where it may be left out (Ireland)
+  if (meta && (!meta.postalCode || (meta.postalCode.optional && !(postalCode || '').trim()))) {
+    return { valid: true, message: '' };
+  }
+  
   if (!postalCode || postalCode.trim() === '') {
     return { valid: false, message: ErrorMessages.required };
   }
   
-  const cleanCode = postalCode.trim().toUpperCase();
-  const pattern = ValidationPatterns.postalCodes[country];
-  
-  if (!pattern) {
+  if (!meta) {
     // For unsupported countries, just check it's not empty
     return { valid: true, message: '' };
   }
   
-  const isValid = pattern.test(cleanCode);
+  const isValid = ValidationCountries.isValidPostalCode(postalCode, country);
   return {
     valid: isValid,
-    message: isValid ? '' : (ErrorMessages.postalCode[country] || ErrorMessages.postalCode.default)
+    message: isValid ? '' : ErrorMessages.postalCodeCountry({ label: meta.postalCode.label, country: meta.name, example: meta.postalCode.example })
   };
 }
 
@@ -237,7 +268,8 @@ function validateCity(city) {
 }
 
 /**
- * Validate credit card number using Luhn algorithm
+ * Validate a card number: the lengths of its scheme (card-schemes.js) and
+ * the Luhn check digit; numbers of no known scheme need 13-19 digits
  */
 function validateCardNumber(cardNumber) {
   if (!cardNumber || cardNumber.trim() === '') {
@@ -245,49 +277,29 @@ function validateCardNumber(cardNumber) {
   }
   
   const digits = stripNonDigits(cardNumber);
-  
-  // Check length (13-19 digits for major cards)
-  if (digits.length < 13 || digits.length > 19) {
-    return { valid: false, message: ErrorMessages.cardNumber };
-  }
-  
-  // Luhn algorithm validation
-  let sum = 0;
-  let isEven = false;
-  
-  for (let i = digits.length - 1; i >= 0; i--) {
-    let digit = parseInt(digits[i], 10);
-    
-    if (isEven) {
-      digit *= 2;
-      if (digit > 9) {
-        digit -= 9;
-      }
-    }
-    
-    sum += digit;
-    isEven = !isEven;
+  const scheme = ValidationCardSchemes.detectCardScheme(digits);
+  const message = scheme
+    ? ErrorMessages.cardNumberScheme({ scheme: scheme.name, lengths: formatCardLengths(scheme.lengths) })
+    : ErrorMessages.cardNumber;
+  
+  const lengths = (scheme || ValidationCardSchemes.CARD_UNKNOWN_SCHEME).lengths;
+  if (!lengths.includes(digits.length)) {
+    return { valid: false, message };
   }
   
-  const isValid = sum % 10 === 0;
+  const isValid = (scheme && scheme.luhn === false) || ValidationCardSchemes.passesLuhn(digits);
   return {
     valid: isValid,
-    message: isValid ? '' : ErrorMessages.cardNumber
+    message: isValid ? '' : message
   };
 }
 
 /**
- * Detect card type from number
+ * Card scheme id of a number (card-schemes.js), or 'unknown'
  */
 function detectCardType(cardNumber) {
-  const digits = stripNonDigits(cardNumber);
-  
-  if (/^4/.test(digits)) return 'visa';
-  if (/^5[1-5]/.test(digits) || /^2[2-7]/.test(digits)) return 'mastercard';
-  if (/^3[47]/.test(digits)) return 'amex';
-  if (/^6(?:011|5)/.test(digits)) return 'discover';
-  
-  return 'unknown';
+  const scheme = ValidationCardSchemes.detectCardScheme(cardNumber);
+  return scheme ? scheme.id : 'unknown';
 }
 
 /**
@@ -335,13 +347,44 @@ function validateCVV(cvv, cardType = 'visa') {
   
   const digits = stripNonDigits(cvv);
   
-  // Amex has 4 digit CVV, others have 3
-  const expectedLength = cardType === 'amex' ? 4 : 3;
-  const isValid = digits.length >= 3 && digits.length <= 4 && /^\d+$/.test(digits);
+  // The scheme's length (4 for Amex), 3 or 4 digits while it is unknown
+  const scheme = ValidationCardSchemes.getCardScheme(cardType);
+  const lengthOk = scheme ? digits.length === scheme.cvvLength : digits.length >= 3 && digits.length <= 4;
+  const isValid = lengthOk && /^\d+$/.test(cvv.trim());
+  
+  return {
+    valid: isValid,
+    message: isValid ? '' : (scheme ? ErrorMessages.cvvScheme({ length: scheme.cvvLength, scheme: scheme.name }) : ErrorMessages.cvv)
+  };
+}
+
+/**
+ * Validate gift card number (16 digits, spaces allowed)
+ */
+function validateGiftCardNumber(number) {
+  if (!number || number.trim() === '') {
+    return { valid: false, message: ErrorMessages.required };
+  }
+  
+  const isValid = /^[\d\s]+$/.test(number) && stripNonDigits(number).length === 16;
+  return {
+    valid: isValid,
+    message: isValid ? '' : ErrorMessages.giftCardNumber
+  };
+}
+
+/**
+ * Validate gift card PIN (4 digits)
+ */
+function validateGiftCardPin(pin) {
+  if (!pin || pin.trim() === '') {
+    return { valid: false, message: ErrorMessages.required };
+  }
   
+  const isValid = /^\d{4}$/.test(pin.trim());
   return {
     valid: isValid,
-    message: isValid ? '' : ErrorMessages.cvv
+    message: isValid ? '' : ErrorMessages.giftCardPin
   };
 }
 
@@ -363,17 +406,22 @@ function validateCurrency(amount) {
 }
 
 /**
- * Validate product quantity
+ * Validate product quantity: a whole number (not 1.5 or "2abc"), within
+ * the stock left when known
  */
-function validateQuantity(quantity) {
+function validateQuantity(quantity, stock = null) {
   if (quantity === '' || quantity === null || quantity === undefined) {
     return { valid: false, message: ErrorMessages.required };
   }
   
+  if (!ValidationPatterns.quantity.test(String(quantity).trim())) {
+    return { valid: false, message: ErrorMessages.quantity };
+  }
+  
   const value = parseInt(quantity, 10);
   
-  if (isNaN(value) || value < 1) {
-    return { valid: false, message: ErrorMessages.quantity };
+  if (stock !== null && value > stock) {
+    return { valid: false, message: ErrorMessages.quantityStock({ count: stock }) };
   }
   
   if (value > 99) {
@@ -383,16 +431,279 @@ function validateQuantity(quantity) {
   return { valid: true, message: '' };
 }
 
+/* ==========================================
+   VALIDATION SCHEMAS
+   ========================================== */
+
+/*
+   A schema lists the rules of each field, by field name:
+     { cardNumber: [ValidationRules.cardNumber()], cvv: [...], ... }
+
+   Rule: { validate(value, values, context) -> { valid, message } | boolean,
+           message?  custom message (or a function returning it, so it is
+                     read in the current language), replaces the rule's own one
+           when?(values, context) -> false skips the rule
+           async?    validate returns a Promise; only run by the *Async
+                     validators, after the field's other rules pass }
+
+   `values` are all the form's values by field name, so a rule can depend on
+   another field (the CVV length on the card number); `context` carries
+   anything else a rule needs (e.g. { country }). Rules run in order and
+   stop at the first failure. Nothing here touches the DOM, so schemas can
+   be checked in Node with validateValues().
+*/
+
+/**
+ * Rule from a validator returning { valid, message } or a boolean
+ */
+function createRule(validate, options = {}) {
+  return { ...options, validate };
+}
+
+/* Country of the address being validated */
+function getRuleCountry(values, context) {
+  return context.country || values.country || 'NZ';
+}
+
+const ValidationRules = {
+  required: message => createRule(value => ({ valid: String(value ?? '').trim() !== '', message: ErrorMessages.required }), { message }),
+  
+  /* A select whose placeholder option has no value */
+  selected: message => createRule(value => Boolean(value), { message }),
+  
+  /* Text of min to max characters (surrounding spaces ignored) */
+  length: (min, max, message) => createRule(value => {
+    const length = String(value ?? '').trim().length;
+    return length >= min && length <= max;
+  }, { message }),
+  
+  /* A country we ship to (countries.js) */
+  country: message => createRule(value => Boolean(ValidationCountries.getCountryMeta(value)), { message }),
+  
+  /* State, province... named as the country of values.country calls it */
+  region: message => createRule((value, values) => {
+    const meta = ValidationCountries.getCountryMeta(values.country);
+    return { valid: Boolean(value), message: meta && meta.region ? ErrorMessages.region({ region: meta.region.label.toLowerCase() }) : ErrorMessages.state };
+  }, { message }),
+  
+  name: (fieldType, message) => createRule(value => validateName(value, fieldType), { message }),
+  email: message => createRule(value => validateEmail(value), { message }),
+  address: message => createRule(value => validateAddress(value), { message }),
+  city: message => createRule(value => validateCity(value), { message }),
+  phone: message => createRule((value, values, context) => validatePhone(value, getRuleCountry(values, context)), { message }),
+  postalCode: message => createRule((value, values, context) => validatePostalCode(value, getRuleCountry(values, context)), { message }),
+  
+  cardNumber: message => createRule(value => validateCardNumber(value), { message }),
+  expiry: message => createRule(value => validateCardExpiry(value), { message }),
+  cardHolder: message => createRule(value => validateName(value, 'cardHolder'), { message }),
+  giftCardNumber: message => createRule(value => validateGiftCardNumber(value), { message }),
+  giftCardPin: message => createRule(value => validateGiftCardPin(value), { message }),
+  
+  /* A product option select (size, colour, model) */
+  option: (name, message) => createRule(value => ({ valid: Boolean(value), message: ErrorMessages.option({ option: String(name).toLowerCase() }) }), { message }),
+  
+  /* The chosen combination exists and one more fits its stock
+     (context: { variant, stock, inCart }; stock null: not tracked) */
+  variant: message => createRule((value, values, context) => {
+    if (!context.variant) return { valid: false, message: ErrorMessages.variantUnavailable };
+    
+    const stock = context.stock ?? null;
+    if (stock === null) return true;
+    if (stock <= 0) return { valid: false, message: ErrorMessages.variantSoldOut };
+    if ((context.inCart || 0) >= stock) return { valid: false, message: ErrorMessages.variantInCart({ count: stock }) };
+    return true;
+  }, { message }),
+  
+  /* A cart line's product is in the catalog (context: { product }) */
+  product: message => createRule((value, values, context) => ({ valid: Boolean(context.product), message: ErrorMessages.product }), { message }),
+  
+  /* A cart line's variant belongs to its product; products without
+     variants take none (context: { product, variant }) */
+  lineVariant: message => createRule((value, values, context) => {
+    if (!context.product) return true;
+    const variants = context.product.variants || [];
+    return { valid: variants.length > 0 ? Boolean(context.variant) : !value, message: ErrorMessages.variantUnavailable };
+  }, { message }),
+  
+  /* Whole quantity of 1-99 that fits the stock (context: { stock }; null: not tracked) */
+  quantity: message => createRule((value, values, context) => validateQuantity(value, context.stock ?? null), { message }),
+  
+  /* CVV length for the card type of values.cardNumber (4 digits for Amex) */
+  cvv: message => createRule((value, values) => validateCVV(value, detectCardType(values.cardNumber || '')), { message }),
+  
+  /* Same as another field (in values) or context entry, e.g. a billing
+     postcode that must match the shipping one; case and spaces ignored */
+  matches: (other, message) => createRule((value, values, context) => {
+    const normalize = text => String(text ?? '').replace(/\s+/g, '').toUpperCase();
+    return normalize(value) === normalize(other in values ? values[other] : context[other]);
+  }, { message }),
+  
+  /* check(value, values, context) resolves to { valid, message } or a boolean,
+     e.g. a server-side lookup */
+  async: (check, message) => createRule(check, { message, async: true })
+};
+
+/* Rules of the checkout forms; payment fields only apply to the selected method */
+const whenPaymentMethod = method => values => !values.paymentMethod || values.paymentMethod === method;
+
+const ValidationSchemas = {
+  shipping: {
+    firstName: [ValidationRules.name('firstName')],
+    lastName: [ValidationRules.name('lastName')],
+    address1: [ValidationRules.address()],
+    city: [ValidationRules.city()],
+    country: [ValidationRules.country(() => ErrorMessages.country)],
+    state: [{ ...ValidationRules.region(), when: values => ValidationCountries.isRegionRequired(values.country) }],
+    postalCode: [ValidationRules.postalCode()],
+    phone: [ValidationRules.phone()]
+  },
+  
+  payment: {
+    cardNumber: [{ ...ValidationRules.cardNumber(), when: whenPaymentMethod('card') }],
+    expiry: [{ ...ValidationRules.expiry(), when: whenPaymentMethod('card') }],
+    cvv: [{ ...ValidationRules.cvv(), when: whenPaymentMethod('card') }],
+    cardHolder: [{ ...ValidationRules.cardHolder(), when: whenPaymentMethod('card') }],
+    payLaterEmail: [{ ...ValidationRules.email(), when: whenPaymentMethod('paylater') }],
+    giftCardNumber: [{ ...ValidationRules.giftCardNumber(), when: whenPaymentMethod('giftcard') }],
+    giftCardPin: [{ ...ValidationRules.giftCardPin(), when: whenPaymentMethod('giftcard') }]
+  },
+  
+  newsletter: {
+    email: [ValidationRules.email()]
+  },
+  
+  /* A cart or order line checked against the catalog (server/api.js) */
+  cartLine: {
+    sku: [ValidationRules.product()],
+    variant: [ValidationRules.lineVariant()],
+    qty: [ValidationRules.quantity()]
+  },
+  
+  review: {
+    rating: [ValidationRules.selected(() => ErrorMessages.reviewRating)],
+    title: [ValidationRules.required(), ValidationRules.length(3, 80, () => ErrorMessages.reviewTitle({ min: 3, max: 80 }))],
+    body: [ValidationRules.required(), ValidationRules.length(20, 2000, () => ErrorMessages.reviewBody({ min: 20, max: 2000 }))],
+    author: [ValidationRules.required(), ValidationRules.length(2, 40, () => ErrorMessages.reviewAuthor({ min: 2, max: 40 }))]
+  }
+};
+
+/**
+ * Schema of a product's option selects ([{ id, name }]): each is required,
+ * and once all are chosen the last one also checks the combination
+ */
+function createProductSchema(options) {
+  const schema = {};
+  const allChosen = values => options.every(option => Boolean(values[option.id]));
+  
+  options.forEach((option, index) => {
+    schema[option.id] = [ValidationRules.option(option.name)];
+    if (index === options.length - 1) {
+      schema[option.id].push({ ...ValidationRules.variant(), when: allChosen });
+    }
+  });
+  
+  return schema;
+}
+
+/* { valid, message } from a rule's outcome */
+function toRuleResult(rule, outcome) {
+  const valid = typeof outcome === 'boolean' ? outcome : Boolean(outcome && outcome.valid);
+  if (valid) return { valid: true, message: '' };
+  
+  const message = typeof rule.message === 'function' ? rule.message() : rule.message;
+  return { valid: false, message: message || (outcome && outcome.message) || ErrorMessages.required };
+}
+
+function getApplicableRules(schema, field, values, context) {
+  return (schema[field] || []).filter(rule => !rule.when || rule.when(values, context));
+}
+
+/**
+ * Check one field with its synchronous rules: { valid, message }
+ */
+function validateValue(schema, field, values, context = {}) {
+  const value = values[field] ?? '';
+  
+  for (const rule of getApplicableRules(schema, field, values, context)) {
+    if (rule.async) continue;
+    
+    const result = toRuleResult(rule, rule.validate(value, values, context));
+    if (!result.valid) return result;
+  }
+  
+  return { valid: true, message: '' };
+}
+
+/**
+ * Check one field with all its rules, async ones last: Promise<{ valid, message }>
+ */
+async function validateValueAsync(schema, field, values, context = {}) {
+  const result = validateValue(schema, field, values, context);
+  if (!result.valid) return result;
+  
+  for (const rule of getApplicableRules(schema, field, values, context)) {
+    if (!rule.async) continue;
+    
+    const asyncResult = toRuleResult(rule, await rule.validate(values[field] ?? '', values, context));
+    if (!asyncResult.valid) return asyncResult;
+  }
+  
+  return result;
+}
+
+/**
+ * Check every field of a schema (synchronous rules): { valid, errors: { field: message } }
+ */
+function validateValues(schema, values, context = {}) {
+  const errors = {};
+  
+  Object.keys(schema).forEach(field => {
+    const result = validateValue(schema, field, values, context);
+    if (!result.valid) errors[field] = result.message;
+  });
+  
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Check every field of a schema with all rules: Promise<{ valid, errors }>
+ */
+async function validateValuesAsync(schema, values, context = {}) {
+  const errors = {};
+  
+  for (const field of Object.keys(schema)) {
+    const result = await validateValueAsync(schema, field, values, context);
+    if (!result.valid) errors[field] = result.message;
+  }
+  
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
 /* ==========================================
    DOM HELPERS FOR ERROR DISPLAY
    ========================================== */
 
+/**
+ * Error message element of a field: the nearest one among its wrappers
+ * (inputs with an icon sit in an extra relative wrapper)
+ */
+function findErrorSpan(input) {
+  let wrapper = input.parentElement;
+  
+  for (let depth = 0; wrapper && depth < 3; depth++) {
+    const errorSpan = wrapper.querySelector('.error-message');
+    if (errorSpan) return errorSpan;
+    wrapper = wrapper.parentElement;
+  }
+  
+  return null;
+}
+
 /**
  * Show error message for a field
  */
 function showFieldError(input, message) {
-  const errorSpan = input.parentElement.querySelector('.error-message') || 
-                    input.closest('div').querySelector('.error-message');
+  const errorSpan = findErrorSpan(input);
   
   if (errorSpan) {
     errorSpan.textContent = message;
@@ -410,12 +721,36 @@ function showFieldError(input, message) {
   }
 }
 
+/**
+ * Show errors keyed by field name (e.g. from the API or order-check.js)
+ * on a form's fields and focus the first. Returns the errors that have no
+ * field with an error message on the form.
+ */
+function showFieldErrors(form, errors = {}) {
+  const unshown = {};
+  let first = null;
+  
+  Object.keys(errors).forEach(name => {
+    // Radio groups (RadioNodeList) have no message of their own
+    const input = form.elements.namedItem(name);
+    
+    if (input && input.tagName && input.type !== 'hidden' && input.type !== 'radio' && findErrorSpan(input)) {
+      showFieldError(input, errors[name]);
+      first = first || input;
+    } else {
+      unshown[name] = errors[name];
+    }
+  });
+  
+  if (first) first.focus();
+  return unshown;
+}
+
 /**
  * Clear error message for a field
  */
 function clearFieldError(input) {
-  const errorSpan = input.parentElement.querySelector('.error-message') || 
-                    input.closest('div').querySelector('.error-message');
+  const errorSpan = findErrorSpan(input);
   
   if (errorSpan) {
     errorSpan.textContent = '';
@@ -451,61 +786,68 @@ function resetFieldStyling(input) {
    ========================================== */
 
 /**
- * Validate a single field based on its type/id
- */
-function validateField(input, country = 'NZ') {
-  const id = input.id;
-  const value = input.value;
-  let result = { valid: true, message: '' };
-  
-  switch (id) {
-    case 'firstName':
-      result = validateName(value, 'firstName');
-      break;
-    case 'lastName':
-      result = validateName(value, 'lastName');
-      break;
-    case 'email':
-      result = validateEmail(value);
-      break;
-    case 'phone':
-      result = validatePhone(value, country);
-      break;
-    case 'postalCode':
-      result = validatePostalCode(value, country);
-      break;
-    case 'address1':
-      result = validateAddress(value);
-      break;
-    case 'city':
-      result = validateCity(value);
-      break;
-    case 'country':
-      if (!value || value === '') {
-        result = { valid: false, message: ErrorMessages.country };
-      }
-      break;
-    case 'cardNumber':
-      result = validateCardNumber(value);
-      break;
-    case 'expiry':
-      result = validateCardExpiry(value);
-      break;
-    case 'cvv':
-      const cardType = detectCardType(document.getElementById('cardNumber')?.value || '');
-      result = validateCVV(value, cardType);
-      break;
-    case 'cardHolder':
-      result = validateName(value, 'cardHolder');
-      break;
-    default:
-      // For required fields without specific validation
-      if (input.hasAttribute('required') && (!value || value.trim() === '')) {
-        result = { valid: false, message: ErrorMessages.required };
-      }
-  }
+ * Schema of a form: options.schema, or the ValidationSchemas entry named by
+ * the form's data-validation-schema attribute
+ */
+function getFormSchema(form, options = {}) {
+  return options.schema || (form && ValidationSchemas[form.dataset.validationSchema]) || {};
+}
+
+/**
+ * Name a field is known by in schemas and values
+ */
+function getFieldKey(input) {
+  return input.name || input.id;
+}
+
+/**
+ * Values of a form's enabled fields by name (checked radios only)
+ */
+function getFormValues(form) {
+  const values = {};
+  if (!form) return values;
+  
+  Array.from(form.elements).forEach(input => {
+    const key = getFieldKey(input);
+    if (!key || input.disabled || !('value' in input)) return;
+    if ((input.type === 'radio' || input.type === 'checkbox') && !input.checked) return;
+    
+    values[key] = input.value;
+  });
   
-  return result;
+  return values;
+}
+
+/* Fields outside the schema are only checked for `required` */
+function getFieldSchema(input, options) {
+  const schema = getFormSchema(input.form, options);
+  const key = getFieldKey(input);
+  
+  if (schema[key] || !input.hasAttribute('required')) return schema;
+  return { ...schema, [key]: [ValidationRules.required()] };
+}
+
+function getFieldContext(options) {
+  return options.getCountry ? { country: options.getCountry() } : {};
+}
+
+function getFieldValues(input) {
+  return { ...getFormValues(input.form), [getFieldKey(input)]: input.value };
+}
+
+/**
+ * Validate a single field with its schema rules (synchronous ones).
+ * options: { schema, getCountry }
+ */
+function validateField(input, options = {}) {
+  return validateValue(getFieldSchema(input, options), getFieldKey(input), getFieldValues(input), getFieldContext(options));
+}
+
+/**
+ * Validate a single field with all its schema rules, async ones included
+ */
+function validateFieldAsync(input, options = {}) {
+  return validateValueAsync(getFieldSchema(input, options), getFieldKey(input), getFieldValues(input), getFieldContext(options));
 }
 
 /**
@@ -514,60 +856,54 @@ function validateField(input, country = 'NZ') {
 function setupRealTimeValidation(form, options = {}) {
   if (!form) return;
   
-  const inputs = form.querySelectorAll('input, select, textarea');
-  const getCountry = options.getCountry || (() => 'NZ');
+  // Listened to on the form, so fields rebuilt later (e.g. per country) are covered
+  const isField = target => target.matches('input, select, textarea');
   
-  inputs.forEach(input => {
-    // Validate on blur (when user leaves field)
-    input.addEventListener('blur', function() {
-      const result = validateField(this, getCountry());
-      
-      if (!result.valid) {
-        showFieldError(this, result.message);
-      } else {
-        clearFieldError(this);
-      }
-    });
+  // Validate on blur (when user leaves field)
+  form.addEventListener('focusout', async function(e) {
+    const input = e.target;
+    if (!isField(input)) return;
     
-    // Clear error on input (give user chance to fix)
-    input.addEventListener('input', function() {
-      // Only clear error, don't validate yet (less aggressive)
-      const errorSpan = this.parentElement.querySelector('.error-message') || 
-                        this.closest('div').querySelector('.error-message');
-      if (errorSpan && !errorSpan.classList.contains('hidden')) {
-        // User is typing, clear error but keep neutral styling
-        resetFieldStyling(this);
-        errorSpan.classList.add('hidden');
-      }
-    });
+    const result = await validateFieldAsync(input, options);
+    
+    if (!result.valid) {
+      showFieldError(input, result.message);
+    } else {
+      clearFieldError(input);
+    }
+  });
+  
+  // Clear error on input (give user chance to fix)
+  form.addEventListener('input', function(e) {
+    const input = e.target;
+    if (!isField(input)) return;
+    
+    // Only clear error, don't validate yet (less aggressive)
+    const errorSpan = findErrorSpan(input);
+    if (errorSpan && !errorSpan.classList.contains('hidden')) {
+      // User is typing, clear error but keep neutral styling
+      resetFieldStyling(input);
+      errorSpan.classList.add('hidden');
+    }
   });
 }
 
-/**
- * Validate entire form
- */
-function validateForm(form, options = {}) {
-  if (!form) return false;
-  
-  const inputs = form.querySelectorAll('input:not([type="radio"]):not([type="checkbox"]), select');
-  const getCountry = options.getCountry || (() => 'NZ');
-  
-  let isValid = true;
+/* Inputs validateForm checks: enabled, visible, not radios or checkboxes */
+function getValidatedInputs(form) {
+  return Array.from(form.querySelectorAll('input:not([type="radio"]):not([type="checkbox"]), select'))
+    .filter(input => !input.disabled && input.type !== 'hidden');
+}
+
+/* Show each field's result and focus the first invalid one */
+function showFormResults(inputs, results) {
   let firstInvalidField = null;
   
-  inputs.forEach(input => {
-    // Skip disabled or hidden fields
-    if (input.disabled || input.type === 'hidden') return;
-    
-    const result = validateField(input, getCountry());
+  inputs.forEach((input, index) => {
+    const result = results[index];
     
     if (!result.valid) {
       showFieldError(input, result.message);
-      isValid = false;
-      
-      if (!firstInvalidField) {
-        firstInvalidField = input;
-      }
+      if (!firstInvalidField) firstInvalidField = input;
     } else {
       clearFieldError(input);
     }
@@ -578,7 +914,28 @@ function validateForm(form, options = {}) {
     firstInvalidField.focus();
   }
   
-  return isValid;
+  return !firstInvalidField;
+}
+
+/**
+ * Validate entire form with its schema (synchronous rules).
+ * options: { schema, getCountry }
+ */
+function validateForm(form, options = {}) {
+  if (!form) return false;
+  
+  const inputs = getValidatedInputs(form);
+  return showFormResults(inputs, inputs.map(input => validateField(input, options)));
+}
+
+/**
+ * Validate entire form with all schema rules, async ones included: Promise<boolean>
+ */
+async function validateFormAsync(form, options = {}) {
+  if (!validateForm(form, options)) return false;
+  
+  const inputs = getValidatedInputs(form);
+  return showFormResults(inputs, await Promise.all(inputs.map(input => validateFieldAsync(input, options))));
 }
 
 /* ==========================================
@@ -595,8 +952,10 @@ function setupCardNumberFormatting(input) {
     const cursorPos = this.selectionStart;
     const oldLength = this.value.length;
     
-    // Format the number
-    this.value = formatCardNumber(this.value);
+    // Format the number in its scheme's groups (Amex 4-6-5)
+    const scheme = ValidationCardSchemes.detectCardScheme(this.value);
+    this.value = formatCardNumber(this.value, scheme);
+    this.maxLength = ValidationCardSchemes.getCardNumberMaxLength(scheme);
     
     // Adjust cursor position
     const newLength = this.value.length;
@@ -604,17 +963,17 @@ function setupCardNumberFormatting(input) {
     this.setSelectionRange(cursorPos + posDiff, cursorPos + posDiff);
     
     // Update card type icon
-    const cardType = detectCardType(this.value);
     const iconEl = document.getElementById('cardTypeIcon');
     if (iconEl) {
-      const icons = {
-        visa: 'VISA',
-        mastercard: 'MC',
-        amex: 'AMEX',
-        discover: 'DISC',
-        unknown: '▭'
-      };
-      iconEl.textContent = icons[cardType] || '▭';
+      iconEl.textContent = (scheme || ValidationCardSchemes.CARD_UNKNOWN_SCHEME).icon;
+      iconEl.title = scheme ? scheme.name : '';
+    }
+    
+    // Security code length of the scheme (3-4 digits while it is unknown)
+    const cvvInput = this.form && this.form.elements.cvv;
+    if (cvvInput) {
+      cvvInput.maxLength = scheme ? scheme.cvvLength : 4;
+      cvvInput.value = cvvInput.value.slice(0, cvvInput.maxLength);
     }
   });
 }
@@ -650,7 +1009,7 @@ function setupCVVInput(input) {
   if (!input) return;
   
   input.addEventListener('input', function() {
-    this.value = stripNonDigits(this.value).slice(0, 4);
+    this.value = stripNonDigits(this.value).slice(0, this.maxLength > 0 ? this.maxLength : 4);
   });
 }
 
@@ -673,19 +1032,26 @@ function initShippingFormValidation() {
   setupRealTimeValidation(form, { getCountry });
   
   // Handle form submission
-  form.addEventListener('submit', function(e) {
+  form.addEventListener('submit', async function(e) {
     e.preventDefault();
     
-    const isValid = validateForm(form, { getCountry });
+    const isValid = await validateFormAsync(form, { getCountry });
     
     if (isValid) {
-      // Save shipping data to storage
+      // Save shipping data to storage, with the postcode in its standard
+      // form and the phone number in E.164 (+64211234567)
       const formData = new FormData(form);
       const shippingData = Object.fromEntries(formData.entries());
-      saveToStorage('cpa_shipping', shippingData);
+      const country = getCountry();
+      if (shippingData.postalCode) {
+        shippingData.postalCode = ValidationCountries.formatPostalCode(shippingData.postalCode, country) || shippingData.postalCode;
+      }
+      shippingData.phone = ValidationCountries.normalizePhone(shippingData.phone, country) || shippingData.phone;
+      saveToStorage(STORAGE_KEYS.shipping, shippingData, { ttl: CHECKOUT_STORAGE_TTL });
       
-      // Navigate to payment page
-      window.location.href = 'payment.html';
+      // Mark the step done and continue to payment (checkout.js)
+      CheckoutFlow.completeStep('shipping');
+      CheckoutFlow.next('shipping');
     }
   });
   
@@ -697,7 +1063,7 @@ function initShippingFormValidation() {
       
       // Re-validate if fields have values
       if (postalInput && postalInput.value) {
-        const result = validatePostalCode(postalInput.value, this.value);
+        const result = validateField(postalInput, { getCountry });
         if (!result.valid) {
           showFieldError(postalInput, result.message);
         } else {
@@ -706,7 +1072,7 @@ function initShippingFormValidation() {
       }
       
       if (phoneInput && phoneInput.value) {
-        const result = validatePhone(phoneInput.value, this.value);
+        const result = validateField(phoneInput, { getCountry });
         if (!result.valid) {
           showFieldError(phoneInput, result.message);
         } else {
@@ -733,92 +1099,286 @@ function initPaymentFormValidation() {
   // Setup real-time validation
   setupRealTimeValidation(form);
   
-  // Handle payment method toggle
-  const cardInputs = form.querySelector('article:first-of-type .grid');
-  const paymentRadios = form.querySelectorAll('input[name="paymentMethod"]');
-  
-  paymentRadios.forEach(radio => {
-    radio.addEventListener('change', function() {
-      const isCard = this.value === 'card';
-      
-      // Toggle card inputs visibility/disabled state
-      const cardFields = cardInputs?.querySelectorAll('input');
-      cardFields?.forEach(field => {
-        if (isCard) {
-          field.disabled = false;
-          field.closest('.grid')?.classList.remove('opacity-50');
-        } else {
-          field.disabled = true;
-          field.closest('.grid')?.classList.add('opacity-50');
-          clearFieldError(field);
-        }
-      });
-    });
+  // Gift card number in groups of four, like card numbers
+  document.getElementById('giftCardNumber')?.addEventListener('input', function() {
+    this.value = formatCardNumber(this.value, null);
   });
   
+  // Method switching is owned by PaymentMethodController (payment-methods.js)
+  
   // Handle form submission
-  form.addEventListener('submit', function(e) {
+  form.addEventListener('submit', async function(e) {
     e.preventDefault();
     
-    const paymentMethod = form.querySelector('input[name="paymentMethod"]:checked')?.value;
+    const paymentMethod = PaymentMethodController.getSelected();
+    const totals = loadFromStorage(STORAGE_KEYS.totals, {}) || {};
     
-    // Only validate card fields if card payment selected
-    if (paymentMethod === 'card') {
-      const isValid = validateForm(form);
-      
-      if (isValid) {
-        // Show success message (in real app, would process payment)
-        showPaymentSuccess();
-      }
-    } else {
-      // PayPal selected - redirect to PayPal (simulated)
-      showPaymentSuccess();
+    // Only the selected method's sub-form is validated, then its own rules
+    showPaymentError(form, null);
+    const check = await PaymentMethodController.validate({ total: totals.total });
+    if (!check.valid) {
+      if (check.message) showPaymentError(form, { message: check.message });
+      return;
     }
+    
+    // Through the selected method's payment provider
+    submitPayment(form, paymentMethod);
   });
 }
 
+/* ==========================================
+   PAYMENT SUBMISSION
+   ========================================== */
+
+// Providers backed by the mock gateway (payment-providers.js), created on first use
+let checkoutPaymentProviders = null;
+
+// Text of the payment button and the approval dialog
+const PaymentFormMessages = ValidationI18n.defineMessages('paymentForm', {
+  processing: 'Processing…',
+  verifyTitle: 'Verify your card',
+  verifyText: 'Your bank needs to confirm this payment (3-D Secure, simulated).',
+  verifyApprove: 'Complete verification',
+  verifyCancel: 'Fail verification',
+  redirectText: 'You would now be taken to {provider} to log in and approve this payment (simulated).',
+  redirectApprove: 'Approve payment',
+  redirectCancel: 'Cancel and return',
+  payLaterProvider: 'your pay later provider',
+  payLaterTitle: 'Pay Later',
+  cartEmptied: 'Your cart is empty, so no order was placed and no payment was taken. Check My Orders for an order you already placed.'
+});
+
+// Payment errors that belong to a field of the method's sub-form
+const PaymentErrorFields = {
+  expired_card: 'expiry',
+  incorrect_cvc: 'cvv',
+  invalid_gift_card: 'giftCardPin',
+  insufficient_balance: 'giftCardNumber'
+};
+
 /**
- * Show payment success message
+ * Authorize and capture the order total with the provider for the chosen
+ * method (payment-methods.js), then record the order (order-store.js) and
+ * show its confirmation. Bank transfers are recorded as awaiting payment.
+ * Declines, challenges and timeouts are reported on the form. When the
+ * order cannot be recorded the captured payment is refunded, so paying
+ * again never charges twice.
  */
-function showPaymentSuccess() {
-  // Create success modal
-  const modal = document.createElement('div');
-  modal.className = 'fixed inset-0 flex items-center justify-center z-50';
-  modal.innerHTML = `
-    <div class="absolute inset-0 bg-black bg-opacity-50"></div>
-    <div class="relative bg-brand-green-dark border border-brand-green p-8 max-w-md mx-4 text-center">
-      <div class="text-green-400 text-5xl mb-4">✓</div>
-      <h2 class="text-2xl font-light tracking-widest text-white mb-4">Payment Successful!</h2>
-      <p class="text-white opacity-80 mb-6">Thank you for your order. You will receive a confirmation email shortly.</p>
-      <a href="index.html" class="inline-flex items-center justify-center bg-brand-blue px-8 py-3 text-xs font-medium tracking-widest text-white hover:bg-brand-blue-dark focus:outline-none">
-        Continue Shopping
-      </a>
-    </div>
-  `;
+async function submitPayment(form, paymentMethod) {
+  if (form.dataset.busy === 'true' || CartStore.getCount() === 0) return;
+  
+  if (!checkoutPaymentProviders) checkoutPaymentProviders = createPaymentProviders();
+  const method = getPaymentMethod(paymentMethod);
+  const provider = method && checkoutPaymentProviders[method.provider];
+  if (!provider) return;
+  
+  const values = PaymentMethodController.getValues();
+  const submission = OrderStore.createSubmission(paymentMethod, values);
+  
+  setPaymentBusy(form, true);
+  showPaymentError(form, null);
+  
+  try {
+    // Prices, shipping and taxes are worked out again from the catalog (order-check.js)
+    let checked;
+    try {
+      checked = await OrderStore.check(submission);
+    } catch (err) {
+      showPaymentError(form, { code: err.code, message: err.message });
+      return;
+    }
+    if (!checked.valid) {
+      showOrderErrors(form, checked.errors);
+      return;
+    }
+    
+    let result = await provider.authorize({
+      amount: checked.totals.total,
+      currency: Money.BASE_CURRENCY,
+      returnUrl: window.location.href,
+      ...method.request(values)
+    });
+    
+    // 3-D Secure challenge or PayPal approval
+    if (result.ok && result.status === 'requires_action') {
+      const approved = await showPaymentActionDialog(result.action);
+      result = await provider.completeAction(result.transactionId, { approved });
+    }
+    
+    // Bank transfers stay pending until the money arrives
+    if (result.ok && result.status !== 'pending') {
+      const authorizationId = result.transactionId;
+      result = await provider.capture(authorizationId);
+      if (!result.ok) provider.void(authorizationId);
+    }
+    
+    if (!result.ok) {
+      showPaymentError(form, result);
+      return;
+    }
+    
+    let order;
+    try {
+      order = await OrderStore.placeOrder({
+        method: paymentMethod,
+        ...method.describe(values),
+        transactionId: result.transactionId,
+        status: result.status,
+        instructions: result.instructions || null
+      }, submission);
+    } catch (err) {
+      // Refused by the order check or the server (api-client.js)
+      if (result.status === 'captured') await provider.refund(result.transactionId);
+      if (err.fields) showOrderErrors(form, err.fields);
+      else showPaymentError(form, { code: err.code, message: err.message });
+      return;
+    }
+    
+    // The cart was emptied meanwhile (the order was placed by an earlier submit)
+    if (!order) {
+      if (result.status === 'captured') await provider.refund(result.transactionId);
+      showPaymentError(form, { code: 'cart_emptied', message: PaymentFormMessages.cartEmptied });
+      return;
+    }
+    
+    window.location.href = `confirmation.html?order=${encodeURIComponent(order.number)}`;
+  } finally {
+    setPaymentBusy(form, false);
+  }
+}
+
+/**
+ * Show the errors of a refused order (order-check.js). Shipping details
+ * are corrected on the shipping step, so their errors send the customer
+ * back there; the others are shown on the payment form, and the rest
+ * (e.g. a changed total) above its button. The summary is re-priced on
+ * 'order:rejected'.
+ */
+function showOrderErrors(form, errors) {
+  const shippingFields = [...Object.keys(ValidationSchemas.shipping), 'shippingMethod'];
+  const shippingErrors = Object.fromEntries(Object.entries(errors).filter(([name]) => shippingFields.includes(name)));
+  
+  if (Object.keys(shippingErrors).length > 0) {
+    CheckoutFlow.go('shipping', 'shippingRejected', shippingErrors);
+    return;
+  }
   
-  document.body.appendChild(modal);
+  const unshown = showFieldErrors(form, errors);
+  const message = unshown.total || Object.values(unshown)[0];
+  if (message) showPaymentError(form, { code: 'invalid_order', message });
   
-  // Clear cart data
-  localStorage.removeItem(STORAGE_KEYS.totals);
-  localStorage.removeItem(STORAGE_KEYS.cart);
-  localStorage.removeItem('cpa_shipping');
+  window.dispatchEvent(new CustomEvent('order:rejected', { detail: { errors } }));
+}
+
+/**
+ * Disable the form while the payment is being processed
+ */
+function setPaymentBusy(form, busy) {
+  const button = form.querySelector('button[type="submit"]');
+  
+  form.dataset.busy = String(busy);
+  form.setAttribute('aria-busy', String(busy));
+  
+  if (button) {
+    if (!button.dataset.label) button.dataset.label = button.textContent.trim();
+    button.disabled = busy;
+    button.textContent = busy ? PaymentFormMessages.processing : button.dataset.label;
+  }
+}
+
+/**
+ * Show a failed PaymentResult on the form (null clears it)
+ */
+function showPaymentError(form, result) {
+  const errorEl = document.getElementById('paymentError');
+  
+  if (errorEl) {
+    errorEl.textContent = result ? result.message : '';
+    errorEl.classList.toggle('hidden', !result);
+  }
+  
+  const fieldId = result && PaymentErrorFields[result.code];
+  const field = fieldId && form.querySelector(`#${fieldId}`);
+  if (field) showFieldError(field, result.message);
+}
+
+/**
+ * Stand-in for the bank's 3-D Secure page or the provider's approval page
+ * (PayPal, pay later).
+ * Resolves true when the shopper approves.
+ */
+function showPaymentActionDialog(action) {
+  const isRedirect = action && action.type === 'redirect';
+  const providerName = action && action.provider === 'paylater' ? PaymentFormMessages.payLaterProvider : 'PayPal';
+  const copy = isRedirect
+    ? {
+        title: action.provider === 'paylater' ? PaymentFormMessages.payLaterTitle : 'PayPal',
+        text: PaymentFormMessages.redirectText({ provider: providerName }),
+        approve: PaymentFormMessages.redirectApprove,
+        cancel: PaymentFormMessages.redirectCancel
+      }
+    : {
+        title: PaymentFormMessages.verifyTitle,
+        text: PaymentFormMessages.verifyText,
+        approve: PaymentFormMessages.verifyApprove,
+        cancel: PaymentFormMessages.verifyCancel
+      };
+  
+  return new Promise(resolve => {
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 flex items-center justify-center z-50';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', 'paymentActionTitle');
+    modal.innerHTML = `
+      <div class="absolute inset-0 bg-black bg-opacity-50"></div>
+      <div class="relative bg-brand-green-dark border border-brand-green p-8 max-w-md mx-4 text-center">
+        <h2 id="paymentActionTitle" class="text-2xl font-light tracking-widest text-white mb-4">${copy.title}</h2>
+        <p class="text-white opacity-80 mb-6">${copy.text}</p>
+        <div class="flex flex-wrap items-center justify-center gap-4">
+          <button type="button" data-approve="true" class="inline-flex items-center justify-center bg-brand-blue px-8 py-3 text-xs font-medium tracking-widest text-white hover:bg-brand-blue-dark focus:outline-none">
+            ${copy.approve}
+          </button>
+          <button type="button" data-approve="false" class="inline-flex items-center justify-center bg-brand-green px-8 py-3 text-xs font-medium tracking-widest text-white hover:bg-brand-blue-dark focus:outline-none">
+            ${copy.cancel}
+          </button>
+        </div>
+      </div>
+    `;
+    
+    modal.addEventListener('click', e => {
+      const button = e.target.closest('button[data-approve]');
+      if (!button) return;
+      
+      modal.remove();
+      resolve(button.dataset.approve === 'true');
+    });
+    
+    document.body.appendChild(modal);
+    modal.querySelector('button[data-approve="true"]').focus();
+  });
 }
 
 /* ==========================================
    NEWSLETTER FORM VALIDATION
    ========================================== */
 
+const NewsletterMessages = ValidationI18n.defineMessages('newsletter', {
+  thanks: 'Thank you for subscribing!',
+  already: 'You are already subscribed. Thank you!'
+});
+
 function initNewsletterValidation() {
   const form = document.getElementById('newsletterForm');
   if (!form) return;
   
   setupRealTimeValidation(form);
   
-  form.addEventListener('submit', function(e) {
+  form.addEventListener('submit', async function(e) {
     e.preventDefault();
     
     const emailInput = document.getElementById('email');
-    const result = validateEmail(emailInput?.value);
+    const result = validateField(emailInput);
     
     if (!result.valid) {
       showFieldError(emailInput, result.message);
@@ -826,10 +1386,22 @@ function initNewsletterValidation() {
     } else {
       clearFieldError(emailInput);
       
+      // Signed up on the server when the page has the API (api-client.js)
+      let subscription = null;
+      if (ShopApi) {
+        try {
+          subscription = await ShopApi.subscribe(emailInput.value.trim());
+        } catch (err) {
+          showFieldError(emailInput, (err.fields && err.fields.email) || err.message);
+          emailInput.focus();
+          return;
+        }
+      }
+      
       // Show success message
       const successMsg = document.createElement('p');
       successMsg.className = 'text-green-400 text-sm mt-2';
-      successMsg.textContent = 'Thank you for subscribing!';
+      successMsg.textContent = subscription && subscription.alreadySubscribed ? NewsletterMessages.already : NewsletterMessages.thanks;
       
       // Remove any existing success message
       const existingSuccess = form.querySelector('.text-green-400');
@@ -850,10 +1422,43 @@ function initNewsletterValidation() {
    INITIALIZATION
    ========================================== */
 
-// Auto-initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', function() {
-  // Initialize form validations based on current page
-  initShippingFormValidation();
-  initPaymentFormValidation();
-  initNewsletterValidation();
-});
+// Auto-initialize when DOM is ready (not in Node, where only the rules are used)
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', function() {
+    // Initialize form validations based on current page
+    initShippingFormValidation();
+    initPaymentFormValidation();
+    initNewsletterValidation();
+  });
+}
+
+/* Allow the validators and schemas to be checked in Node (tests, tooling) */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ValidationPatterns,
+    ErrorMessages,
+    validateEmail,
+    validateName,
+    validatePhone,
+    validatePostalCode,
+    validateAddress,
+    validateCity,
+    validateCardNumber,
+    formatCardNumber,
+    detectCardType,
+    validateCardExpiry,
+    validateCVV,
+    validateGiftCardNumber,
+    validateGiftCardPin,
+    validateCurrency,
+    validateQuantity,
+    createRule,
+    ValidationRules,
+    ValidationSchemas,
+    createProductSchema,
+    validateValue,
+    validateValueAsync,
+    validateValues,
+    validateValuesAsync
+  };
+}
@@ -0,0 +1,349 @@
+/* api.js
+   JSON API of the shop, served by server/dev-server.js:
+
+   GET    /api/products              catalog { categories, products }
+   GET    /api/products/:sku         one product
+   GET    /api/carts/:id             cart { id, items, updatedAt }
+   PUT    /api/carts/:id             replace the cart's items { items }
+   DELETE /api/carts/:id             forget the cart
+   POST   /api/orders/check          check an order before paying { submission }
+   POST   /api/orders                place an order { client, submission, payment }
+   GET    /api/orders?client=:id     orders of a client, newest first
+   GET    /api/orders/:number        one order (?client=:id of the client that placed it)
+   POST   /api/newsletter            subscribe { email }
+
+   Request bodies are checked with the schemas of js/validation.js, so the
+   server gives the same messages as the forms. Errors are answered as
+   { error: { code, message, fields? } }, where fields maps the names of
+   the fields in error (form field names, or "items.0.qty" for cart lines)
+   to their messages.
+
+   Orders are never taken as the browser worked them out: the submission
+   (js/order-check.js) is priced from the catalog, its shipping option and
+   totals are recomputed and its form values are checked again. A
+   submission whose totals differ from the recomputed ones is refused with
+   a "total" field error, so the customer is shown the real amount before
+   paying again.
+
+   Carts and orders are addressed by a client id the browser makes up
+   (api-client.js); this prototype has no accounts. Payments are taken by
+   the mock gateway in the browser (js/payment-providers.js), which the
+   server cannot ask, so it never trusts the payment status it is sent:
+   orders are recorded as 'unverified' ('awaiting_payment' for bank
+   transfers) with the transaction id the browser reported.
+
+   createApi({ db, catalogFile }) returns handle(req, res), resolving to
+   false when the request is not for the API.
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const { ValidationSchemas, validateValues } = require('../js/validation.js');
+const { getProductBySku } = require('../js/catalog.js');
+const { formatPostalCode, normalizePhone } = require('../js/countries.js');
+const { ORDER_PAYMENT_LABELS, generateOrderNumber, createOrder } = require('../js/order-store.js');
+const { priceOrderLines, withoutPaymentSecrets, checkOrderSubmission } = require('../js/order-check.js');
+const { PAYMENT_CONFIG } = require('../js/payment-providers.js');
+
+const API_PREFIX = '/api';
+
+const API_CATALOG_FILE = path.join(__dirname, '..', 'data', 'products.json');
+
+/* Request bodies larger than this are refused */
+const API_BODY_LIMIT = 1024 * 1024;
+
+const API_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+const ApiErrorMessages = {
+  notFound: 'Not found',
+  methodNotAllowed: 'This method is not allowed here',
+  invalidJson: 'The request body is not a valid JSON object',
+  tooLarge: 'The request body is too large',
+  invalidId: 'Please use an id of 8 to 64 letters, digits, "-" or "_"',
+  invalidFields: 'Please check the highlighted fields',
+  invalidItems: 'Please send the cart lines as a list',
+  server: 'Something went wrong. Please try again.'
+};
+
+/**
+ * Error to answer with: { status, code, message, fields? }
+ */
+function createApiError(status, code, message, fields) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  if (fields) error.fields = fields;
+  return error;
+}
+
+/* ==========================================
+   REQUESTS AND RESPONSES
+   ========================================== */
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * JSON object body of a request ({} when empty). Anything but an object
+ * (null, a number, an array) is refused like invalid JSON.
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > API_BODY_LIMIT) {
+        reject(createApiError(413, 'too_large', ApiErrorMessages.tooLarge));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+
+      let body;
+      try {
+        body = text.trim() ? JSON.parse(text) : {};
+      } catch (err) {
+        body = null;
+      }
+
+      if (body && typeof body === 'object' && !Array.isArray(body)) resolve(body);
+      else reject(createApiError(400, 'invalid_json', ApiErrorMessages.invalidJson));
+    });
+
+    req.on('error', reject);
+  });
+}
+
+function checkId(id) {
+  if (!API_ID_PATTERN.test(String(id || ''))) {
+    throw createApiError(400, 'invalid_id', ApiErrorMessages.invalidId);
+  }
+  return id;
+}
+
+/* ==========================================
+   VALIDATION
+   ========================================== */
+
+/**
+ * What an order may keep of its payment (never card numbers). The status
+ * comes from the browser, so a payment is only ever 'pending' (bank
+ * transfers) or 'unverified'. Bank transfer instructions are always our
+ * own account (PAYMENT_CONFIG), paid with the order number as the
+ * reference; any the browser sends are ignored.
+ */
+function pickPayment(payment = {}) {
+  const bank = payment.method === 'bank';
+  const picked = {
+    method: payment.method,
+    label: String(payment.label || ORDER_PAYMENT_LABELS[payment.method] || ''),
+    transactionId: String(payment.transactionId || ''),
+    status: bank ? 'pending' : 'unverified'
+  };
+
+  if (payment.brand) picked.brand = String(payment.brand);
+  if (/^\d{4}$/.test(String(payment.last4 || ''))) picked.last4 = String(payment.last4);
+  if (bank) {
+    const { accountName, accountNumber, dueDays } = PAYMENT_CONFIG.bankTransfer;
+    picked.instructions = { accountName, accountNumber, dueDays };
+  }
+
+  return picked;
+}
+
+/**
+ * A checked shipping address as the shipping form stores it: the postcode
+ * in its standard form and the phone number in E.164 (+64211234567)
+ */
+function normalizeAddress(shipping) {
+  const address = { ...shipping };
+  if (address.postalCode) address.postalCode = formatPostalCode(address.postalCode, address.country) || address.postalCode;
+  address.phone = normalizePhone(address.phone, address.country) || address.phone;
+  return address;
+}
+
+/* ==========================================
+   API
+   ========================================== */
+
+function createApi(options = {}) {
+  const { db, catalogFile = API_CATALOG_FILE, now = () => Date.now() } = options;
+
+  /* Read on every request, so edits to the catalog show up without a restart */
+  async function loadCatalog() {
+    const data = JSON.parse(await fs.promises.readFile(catalogFile, 'utf8'));
+
+    return {
+      categories: Array.isArray(data.categories) ? data.categories : [],
+      products: Array.isArray(data.products) ? data.products : []
+    };
+  }
+
+  function getCart(id) {
+    return db.get('carts', id) || { id, items: [], updatedAt: null };
+  }
+
+  async function saveCart(id, body) {
+    if (!Array.isArray(body.items)) {
+      throw createApiError(422, 'invalid_cart', ApiErrorMessages.invalidItems, { items: ApiErrorMessages.invalidItems });
+    }
+
+    const { lines, errors } = priceOrderLines(await loadCatalog(), body.items);
+    if (Object.keys(errors).length > 0) {
+      throw createApiError(422, 'invalid_cart', ApiErrorMessages.invalidFields, errors);
+    }
+
+    const items = lines.map(({ sku, variant, qty, name, variantName, price, image }) => ({ sku, variant, qty, name, variantName, price, image }));
+    return db.put('carts', id, { id, items, updatedAt: new Date(now()).toISOString() });
+  }
+
+  /**
+   * Check a submission (js/order-check.js) without the card details it
+   * should never contain. Throws the field errors when it does not pass.
+   */
+  async function checkSubmission(body) {
+    const submission = body.submission && typeof body.submission === 'object' ? body.submission : {};
+    const result = checkOrderSubmission(await loadCatalog(), withoutPaymentSecrets(submission), { now: now() });
+
+    if (!result.valid) {
+      throw createApiError(422, 'invalid_order', ApiErrorMessages.invalidFields, result.errors);
+    }
+    return { submission, result };
+  }
+
+  /**
+   * What the customer will pay: the recomputed totals, shipping method and lines
+   */
+  async function checkOrder(body) {
+    const { result } = await checkSubmission(body);
+    return { totals: result.totals, shippingMethod: result.shippingMethod, items: result.lines };
+  }
+
+  /**
+   * Check a submission again and keep the order built from the checked
+   * lines and totals (createOrder, order-store.js). The payment is the
+   * masked one the browser took (maskPaymentMethod).
+   */
+  async function placeOrder(body) {
+    const client = checkId(body.client);
+    const { submission, result } = await checkSubmission(body);
+
+    let number = generateOrderNumber(new Date(now()));
+    while (db.get('orders', number)) number = generateOrderNumber(new Date(now()));
+
+    const record = createOrder({
+      number,
+      now: now(),
+      lines: result.lines,
+      totals: result.totals,
+      shipping: normalizeAddress(result.shipping),
+      shippingMethod: result.shippingMethod,
+      currency: result.totals.currency
+    });
+    record.payment = pickPayment({ ...body.payment, method: submission.payment.paymentMethod });
+    record.status = record.payment.status === 'pending' ? 'awaiting_payment' : 'unverified';
+
+    await db.remove('carts', client);
+    return db.put('orders', record.number, { ...record, client, receivedAt: new Date(now()).toISOString() });
+  }
+
+  async function subscribe(body) {
+    const values = { email: String(body.email || '').trim() };
+    const result = validateValues(ValidationSchemas.newsletter, values);
+    if (!result.valid) {
+      throw createApiError(422, 'invalid_email', ApiErrorMessages.invalidFields, result.errors);
+    }
+
+    const email = values.email.toLowerCase();
+    const existing = db.get('newsletter', email);
+    if (existing) return { status: 200, body: { ...existing, alreadySubscribed: true } };
+
+    const subscription = await db.put('newsletter', email, { email, subscribedAt: new Date(now()).toISOString() });
+    return { status: 201, body: subscription };
+  }
+
+  const ok = body => ({ status: 200, body });
+
+  /* [method, path pattern, handler(match, req, url) -> { status, body }] */
+  const routes = [
+    ['GET', /^\/products$/, async () => ok(await loadCatalog())],
+    ['GET', /^\/products\/([^/]+)$/, async match => {
+      const product = getProductBySku(await loadCatalog(), match[1]);
+      if (!product) throw createApiError(404, 'not_found', ApiErrorMessages.notFound);
+      return ok(product);
+    }],
+    ['GET', /^\/carts\/([^/]+)$/, async match => ok(getCart(checkId(match[1])))],
+    ['PUT', /^\/carts\/([^/]+)$/, async (match, req) => ok(await saveCart(checkId(match[1]), await readJsonBody(req)))],
+    ['DELETE', /^\/carts\/([^/]+)$/, async match => {
+      await db.remove('carts', checkId(match[1]));
+      return { status: 204 };
+    }],
+    ['POST', /^\/orders\/check$/, async (match, req) => ok(await checkOrder(await readJsonBody(req)))],
+    ['POST', /^\/orders$/, async (match, req) => ({ status: 201, body: await placeOrder(await readJsonBody(req)) })],
+    ['GET', /^\/orders$/, async (match, req, url) => {
+      const client = checkId(url.searchParams.get('client'));
+      return ok(db.list('orders', order => order.client === client)
+        .sort((a, b) => String(b.placedAt).localeCompare(String(a.placedAt))));
+    }],
+    /* Only the client that placed an order may read it (numbers can be guessed) */
+    ['GET', /^\/orders\/([^/]+)$/, async (match, req, url) => {
+      const client = checkId(url.searchParams.get('client'));
+      const order = db.get('orders', match[1]);
+      if (!order || order.client !== client) throw createApiError(404, 'not_found', ApiErrorMessages.notFound);
+      return ok(order);
+    }],
+    ['POST', /^\/newsletter$/, async (match, req) => subscribe(await readJsonBody(req))]
+  ];
+
+  /**
+   * Answer an API request. Resolves to false for paths outside /api.
+   */
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== API_PREFIX && !url.pathname.startsWith(`${API_PREFIX}/`)) return false;
+
+    const route = url.pathname.slice(API_PREFIX.length).replace(/\/$/, '');
+    const matching = routes.filter(([, pattern]) => pattern.test(route));
+
+    try {
+      if (matching.length === 0) throw createApiError(404, 'not_found', ApiErrorMessages.notFound);
+
+      const match = matching.find(([method]) => method === req.method);
+      if (!match) throw createApiError(405, 'method_not_allowed', ApiErrorMessages.methodNotAllowed);
+
+      const result = await match[2](route.match(match[1]), req, url);
+      sendJson(res, result.status, result.body);
+    } catch (err) {
+      if (!err.status) console.error('API request failed', req.method, req.url, err);
+
+      const status = err.status || 500;
+      const error = { code: err.code || 'server_error', message: err.status ? err.message : ApiErrorMessages.server };
+      if (err.fields) error.fields = err.fields;
+
+      sendJson(res, status, { error });
+    }
+
+    return true;
+  }
+
+  return { handle };
+}
+
+module.exports = {
+  API_PREFIX,
+  ApiErrorMessages,
+  createApiError,
+  createApi
+};
@@ -0,0 +1,118 @@
+/* db.js
+   Persistence for the API server (server/api.js)
+
+   The data is one JSON document of collections, each keyed by record id:
+   { carts: { <id>: cart }, orders: { <number>: order },
+     newsletter: { <email>: subscription } }
+
+   - openJsonDatabase(file) reads the file once and answers from memory;
+     every change rewrites it through a temporary file, so a crash never
+     leaves half a file behind. Writes are queued one after another.
+   - createMemoryDatabase() has the same interface without a file (tests).
+
+   Records are copied in and out, so callers never share objects with the
+   database. Collections have no prototype, so ids such as "constructor"
+   or "__proto__" are plain record ids.
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const DATABASE_COLLECTIONS = ['carts', 'orders', 'newsletter'];
+
+const copy = record => JSON.parse(JSON.stringify(record));
+
+const hasRecord = (collection, id) => Object.prototype.hasOwnProperty.call(collection, id);
+
+/**
+ * Database over `data`; persist(data) is called (one at a time) after
+ * every change and may return a promise
+ */
+function createDatabase(data = {}, persist = () => {}) {
+  const collections = Object.create(null);
+  DATABASE_COLLECTIONS.forEach(name => {
+    collections[name] = Object.assign(Object.create(null), data[name] && typeof data[name] === 'object' ? data[name] : {});
+  });
+
+  let queue = Promise.resolve();
+
+  function collection(name) {
+    if (!hasRecord(collections, name)) throw new Error(`Unknown collection "${name}"`);
+    return collections[name];
+  }
+
+  /* Persist after the writes already queued (a failed write does not block the next) */
+  function save() {
+    const snapshot = copy(collections);
+    queue = queue.catch(() => {}).then(() => persist(snapshot));
+    return queue;
+  }
+
+  function get(name, id) {
+    const records = collection(name);
+    return hasRecord(records, id) ? copy(records[id]) : null;
+  }
+
+  /**
+   * Records of a collection, optionally filtered by match(record)
+   */
+  function list(name, match = () => true) {
+    return Object.values(collection(name)).filter(match).map(copy);
+  }
+
+  async function put(name, id, record) {
+    collection(name)[id] = copy(record);
+    await save();
+    return copy(record);
+  }
+
+  /**
+   * Delete a record. Resolves to false when there was none.
+   */
+  async function remove(name, id) {
+    if (!hasRecord(collection(name), id)) return false;
+
+    delete collection(name)[id];
+    await save();
+    return true;
+  }
+
+  return { get, list, put, remove };
+}
+
+function createMemoryDatabase(data = {}) {
+  return createDatabase(copy(data));
+}
+
+/**
+ * Database kept in the JSON file `file` (created on the first write).
+ * A file that cannot be parsed is an error, so it is never overwritten.
+ */
+function openJsonDatabase(file) {
+  let data = {};
+
+  if (fs.existsSync(file)) {
+    const text = fs.readFileSync(file, 'utf8');
+
+    try {
+      data = text.trim() ? JSON.parse(text) : {};
+    } catch (err) {
+      throw new Error(`Could not read the database file ${file}: ${err.message}`);
+    }
+  }
+
+  return createDatabase(data, async snapshot => {
+    const temporary = `${file}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(temporary, `${JSON.stringify(snapshot, null, 2)}\n`);
+    await fs.promises.rename(temporary, file);
+  });
+}
+
+module.exports = {
+  DATABASE_COLLECTIONS,
+  createDatabase,
+  createMemoryDatabase,
+  openJsonDatabase
+};
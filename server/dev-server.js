@@ -0,0 +1,142 @@
+/* dev-server.js
+   Local development server: the static site plus the JSON API (api.js)
+
+     npm run dev                      http://localhost:3000
+     PORT=8080 npm run dev            another port
+     DB_FILE=:memory: npm run dev     keep nothing between runs (tests)
+
+   Data is kept in server/data/db.json unless DB_FILE names another file.
+   Pages are served like the production host (vercel.json, cleanUrls):
+   "/shop" serves shop.html. Every HTML page gets a
+   <meta name="shop-api" content="/api"> tag, which switches the pages
+   from browser storage to the API (js/api-client.js); the static
+   deployment has no such tag and keeps working without a server.
+*/
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const { createApi, API_PREFIX } = require('./api.js');
+const { createMemoryDatabase, openJsonDatabase } = require('./db.js');
+
+const SITE_ROOT = path.join(__dirname, '..');
+
+const DEFAULT_PORT = 3000;
+
+const DEFAULT_DB_FILE = path.join(__dirname, 'data', 'db.json');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2'
+};
+
+/* Not part of the site */
+const PRIVATE_PATHS = ['server', 'node_modules', 'package.json', 'package-lock.json', 'requests.jsonl'];
+
+/**
+ * File for a URL path, or null when it is outside the site
+ */
+function resolveSitePath(pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (err) {
+    return null;
+  }
+
+  const relative = path.normalize(decoded).replace(/^([/\\])+/, '');
+  const first = relative.split(/[/\\]/)[0];
+  if (first.startsWith('.') || PRIVATE_PATHS.includes(first)) return null;
+
+  const file = path.join(SITE_ROOT, relative);
+  return file.startsWith(SITE_ROOT) ? file : null;
+}
+
+/**
+ * Existing file for a path: "/" is index.html and "/shop" is shop.html
+ */
+async function findSiteFile(pathname) {
+  const file = resolveSitePath(pathname);
+  if (!file) return null;
+
+  const candidates = pathname.endsWith('/') ? [path.join(file, 'index.html')] : [file, `${file}.html`];
+
+  for (const candidate of candidates) {
+    try {
+      if ((await fs.promises.stat(candidate)).isFile()) return candidate;
+    } catch (err) {
+      // Try the next candidate
+    }
+  }
+
+  return null;
+}
+
+function sendText(res, status, text) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(text);
+}
+
+async function serveStatic(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    sendText(res, 405, 'Method not allowed');
+    return;
+  }
+
+  const file = await findSiteFile(new URL(req.url, 'http://localhost').pathname);
+  if (!file) {
+    sendText(res, 404, 'Not found');
+    return;
+  }
+
+  const type = CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+  let body = await fs.promises.readFile(file);
+
+  if (path.extname(file) === '.html') {
+    body = body.toString('utf8').replace(/<head>/i, `<head>\n  <meta name="shop-api" content="${API_PREFIX}">`);
+  }
+
+  res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+/**
+ * HTTP server for the site and the API.
+ * options: { db } (defaults to a database in memory)
+ */
+function createDevServer(options = {}) {
+  const api = createApi({ db: options.db || createMemoryDatabase() });
+
+  return http.createServer(async (req, res) => {
+    try {
+      if (await api.handle(req, res)) return;
+      await serveStatic(req, res);
+    } catch (err) {
+      console.error('Request failed', req.method, req.url, err);
+      if (!res.headersSent) sendText(res, 500, 'Server error');
+      else res.end();
+    }
+  });
+}
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  const dbFile = process.env.DB_FILE || DEFAULT_DB_FILE;
+  const db = dbFile === ':memory:' ? createMemoryDatabase() : openJsonDatabase(dbFile);
+
+  createDevServer({ db }).listen(port, () => {
+    console.log(`Aotearoa Adventure Gear: http://localhost:${port} (API at ${API_PREFIX}, data in ${dbFile})`);
+  });
+}
+
+module.exports = { createDevServer };
@@ -0,0 +1,226 @@
+/* JSON API (server/api.js) through its client (js/api-client.js), served
+   by the development server with a database in memory (server/db.js) */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createDevServer } = require('../server/dev-server.js');
+const { createMemoryDatabase, openJsonDatabase } = require('../server/db.js');
+const { createApiClient } = require('../js/api-client.js');
+const { ValidationSchemas, validateQuantity, validateValues } = require('../js/validation.js');
+const { checkOrderSubmission } = require('../js/order-check.js');
+
+const line = { sku: 'AAG-TP-05', variant: 'AAG-TP-05-AL', qty: 1 };
+
+const shipping = {
+  firstName: 'Aroha',
+  lastName: 'Ngata',
+  address1: '1 Queen Street',
+  city: 'Auckland',
+  country: 'NZ',
+  postalCode: '1010',
+  phone: '021 123 4567',
+  shippingMethod: 'nz-standard'
+};
+
+const submission = {
+  items: [line],
+  promoCode: '',
+  shipping,
+  payment: { paymentMethod: 'paypal' },
+  totals: {}
+};
+
+let server;
+let db;
+let api;
+
+test.before(async () => {
+  db = createMemoryDatabase();
+  server = createDevServer({ db });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  api = createApiClient(`http://127.0.0.1:${server.address().port}/api`, { clientId: 'test-client-1' });
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * The error a request rejects with
+ */
+async function failure(promise) {
+  try {
+    await promise;
+  } catch (err) {
+    return err;
+  }
+  assert.fail('the request should have failed');
+}
+
+test('products are listed from the catalog', async () => {
+  const catalog = await api.getCatalog();
+
+  assert.ok(catalog.products.length > 0);
+  assert.ok(Array.isArray(catalog.categories));
+  assert.equal((await api.getProduct('AAG-TP-05')).sku, 'AAG-TP-05');
+  assert.equal((await failure(api.getProduct('NOPE'))).status, 404);
+});
+
+test('a cart is priced on the server and read back', async () => {
+  assert.deepEqual((await api.getCart()).items, []);
+
+  const saved = await api.saveCart([{ ...line, qty: 2, price: 0.01 }]);
+  assert.equal(saved.items[0].qty, 2);
+  assert.ok(saved.items[0].price > 1);
+  assert.deepEqual((await api.getCart()).items, saved.items);
+
+  const err = await failure(api.saveCart([{ ...line, qty: 0 }]));
+  assert.equal(err.status, 422);
+  assert.ok(err.fields['items.0.qty']);
+
+  const port = server.address().port;
+  const response = await fetch(`http://127.0.0.1:${port}/api/carts/test-client-1`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ items: 'x' })
+  });
+  assert.equal(response.status, 422);
+  assert.ok((await response.json()).error.fields.items);
+  assert.equal((await api.getCart()).items.length, 1);
+
+  assert.equal(await api.clearCart(), null);
+  assert.deepEqual((await api.getCart()).items, []);
+});
+
+test('orders with invalid fields are refused with the field errors', async () => {
+  const err = await failure(api.checkOrder({
+    ...submission,
+    items: [{ sku: 'NOPE', qty: 1 }],
+    shipping: { ...shipping, postalCode: 'ABC', firstName: '' },
+    payment: { paymentMethod: 'cash' }
+  }));
+
+  assert.equal(err.status, 422);
+  assert.equal(err.code, 'invalid_order');
+  assert.ok(err.fields['items.0.sku']);
+  assert.ok(err.fields.firstName);
+  assert.ok(err.fields.postalCode);
+  assert.ok(err.fields.paymentMethod);
+});
+
+test('values of other JSON types are field errors, not server errors', async () => {
+  const err = await failure(api.checkOrder({
+    ...submission,
+    shipping: { ...shipping, phone: 211234567, postalCode: 1010, city: ['x'] },
+    payment: { paymentMethod: 'card', expiry: 1225, cardHolder: null }
+  }));
+
+  assert.equal(err.status, 422);
+  assert.ok(err.fields.city);
+  assert.ok(err.fields.expiry);
+  assert.ok(err.fields.cardHolder);
+  assert.equal(err.fields.phone, undefined);
+  assert.equal(err.fields.postalCode, undefined);
+
+  const country = await failure(api.checkOrder({ ...submission, shipping: { ...shipping, country: 'constructor' } }));
+  assert.equal(country.status, 422);
+  assert.ok(country.fields.country);
+
+  const payLater = await failure(api.checkOrder({ ...submission, payment: { paymentMethod: 'paylater', payLaterEmail: 5 } }));
+  assert.equal(payLater.status, 422);
+  assert.ok(payLater.fields.payLaterEmail);
+});
+
+test('an order is placed at the server\'s totals and kept for its client', async () => {
+  // The totals the browser works out, as the checkout pages do
+  const { totals } = checkOrderSubmission(await api.getCatalog(), submission);
+  const checked = await api.checkOrder({ ...submission, totals });
+  assert.equal(checked.items[0].sku, line.sku);
+  assert.deepEqual(checked.totals, totals);
+
+  // Other totals are refused with the real ones in the message
+  const err = await failure(api.placeOrder({ ...submission, totals: { ...checked.totals, total: 1 } }, {}));
+  assert.equal(err.status, 422);
+  assert.ok(err.fields.total);
+
+  await api.saveCart([line]);
+  const order = await api.placeOrder({ ...submission, totals: checked.totals }, { label: 'PayPal', transactionId: 'tx-1', status: 'captured' });
+
+  assert.equal(order.status, 'unverified');
+  assert.equal(order.shippingAddress.phone, '+64211234567');
+  assert.equal(order.totals.total, checked.totals.total);
+  assert.deepEqual((await api.getCart()).items, []);
+  assert.deepEqual((await api.getOrders()).map(item => item.number), [order.number]);
+  assert.equal((await api.getOrder(order.number)).number, order.number);
+
+  const other = createApiClient(`http://127.0.0.1:${server.address().port}/api`, { clientId: 'test-client-2' });
+  assert.equal((await failure(other.getOrder(order.number))).status, 404);
+  assert.deepEqual(await other.getOrders(), []);
+});
+
+test('a promo code below its minimum spend is left out of the totals', async () => {
+  const promo = { ...submission, promoCode: 'KIWI25' };
+  const { totals } = checkOrderSubmission(await api.getCatalog(), promo);
+  const checked = await api.checkOrder({ ...promo, totals });
+
+  assert.ok(checked.totals.subtotal < 250);
+  assert.equal(checked.totals.discount, checkOrderSubmission(await api.getCatalog(), submission).totals.discount);
+});
+
+test('bank transfer orders show our account, whatever the browser sends', async () => {
+  const bank = { ...submission, payment: { paymentMethod: 'bank' } };
+  const { totals } = checkOrderSubmission(await api.getCatalog(), bank);
+  const order = await api.placeOrder({ ...bank, totals }, {
+    transactionId: 'tx-2',
+    status: 'captured',
+    instructions: { accountName: 'Someone Else', accountNumber: '99-9999-9999999-99', dueDays: 1 }
+  });
+
+  assert.equal(order.status, 'awaiting_payment');
+  assert.deepEqual(order.payment.instructions, { accountName: 'Aotearoa Adventure Gear Ltd', accountNumber: '12-3456-0123456-00', dueDays: 3 });
+});
+
+test('the memory database copies records and keeps any id as a plain id', async () => {
+  const memory = createMemoryDatabase();
+  const record = { id: 'constructor', items: [] };
+
+  assert.equal(memory.get('carts', 'constructor'), null);
+  await memory.put('carts', 'constructor', record);
+  record.items.push('changed');
+
+  assert.deepEqual(memory.get('carts', 'constructor'), { id: 'constructor', items: [] });
+  assert.equal(await memory.remove('carts', 'toString'), false);
+  assert.throws(() => memory.get('users', 'x'), /Unknown collection/);
+});
+
+test('the JSON database keeps its records in the file', async () => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'shop-db-'));
+  const file = path.join(dir, 'db.json');
+
+  try {
+    await openJsonDatabase(file).put('orders', 'AAG-1', { number: 'AAG-1' });
+    assert.deepEqual(openJsonDatabase(file).get('orders', 'AAG-1'), { number: 'AAG-1' });
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+});
+
+/* Cart line rules the API prices carts and orders with */
+
+test('cart lines are checked against their product, variant and stock', () => {
+  const product = { sku: 'AAG-BP-01', variants: [{ sku: 'AAG-BP-01-65' }] };
+  const variant = product.variants[0];
+  const cartLine = { sku: 'AAG-BP-01', variant: 'AAG-BP-01-65', qty: 2 };
+
+  assert.equal(validateValues(ValidationSchemas.cartLine, cartLine, { product, variant, stock: 2 }).valid, true);
+  assert.ok(validateValues(ValidationSchemas.cartLine, { ...cartLine, qty: 3 }, { product, variant, stock: 2 }).errors.qty);
+  assert.ok(validateValues(ValidationSchemas.cartLine, cartLine, { product: null, variant: null, stock: null }).errors.sku);
+  assert.ok(validateValues(ValidationSchemas.cartLine, { ...cartLine, variant: 'X' }, { product, variant: null, stock: null }).errors.variant);
+});
+
+test('quantities are whole numbers from 1 to 99', () => {
+  ['1', 2, ' 3 ', '99'].forEach(qty => assert.equal(validateQuantity(qty).valid, true, String(qty)));
+  ['', '0', -1, 1.5, '2abc', '1e2', 100].forEach(qty => assert.equal(validateQuantity(qty).valid, false, String(qty)));
+});
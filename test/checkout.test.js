@@ -0,0 +1,47 @@
+/* Checkout step rules (js/checkout.js) */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getCartKey, getCheckoutBlocker, resolveCheckoutStep, checkoutTransition } = require('../js/checkout.js');
+
+const items = [{ sku: 'AAG-TP-05', variant: 'AAG-TP-05-AL', qty: 1 }, { sku: 'AAG-BP-01', variant: '', qty: 2 }];
+const cartKey = getCartKey(items);
+
+const empty = { itemCount: 0, cartKey: '', shipping: null };
+const withCart = { itemCount: 3, cartKey, shipping: null };
+const shipped = { itemCount: 3, cartKey, shipping: { cartKey } };
+
+test('the cart key ignores the order of the lines', () => {
+  assert.equal(getCartKey([...items].reverse()), cartKey);
+  assert.notEqual(getCartKey([{ ...items[0], qty: 2 }, items[1]]), cartKey);
+});
+
+test('each step names the step that is missing', () => {
+  assert.equal(getCheckoutBlocker('cart', empty), null);
+  assert.deepEqual(getCheckoutBlocker('shipping', empty), { step: 'cart', reason: 'emptyCart' });
+  assert.deepEqual(getCheckoutBlocker('payment', withCart), { step: 'shipping', reason: 'missingShipping' });
+  assert.deepEqual(getCheckoutBlocker('payment', { ...shipped, cartKey: 'changed' }), { step: 'shipping', reason: 'cartChanged' });
+  assert.equal(getCheckoutBlocker('payment', shipped), null);
+});
+
+test('a blocked step resolves to the first step that can be entered', () => {
+  assert.deepEqual(resolveCheckoutStep('payment', empty), { step: 'cart', reason: 'emptyCart' });
+  assert.deepEqual(resolveCheckoutStep('payment', withCart), { step: 'shipping', reason: 'missingShipping' });
+  assert.deepEqual(resolveCheckoutStep('payment', shipped), { step: 'payment', reason: '' });
+});
+
+test('next moves forward only when the next step can be entered', () => {
+  assert.deepEqual(checkoutTransition('cart', 'next', withCart), { step: 'shipping', reason: '' });
+  assert.deepEqual(checkoutTransition('cart', 'next', empty), { step: 'cart', reason: 'emptyCart' });
+  assert.deepEqual(checkoutTransition('shipping', 'next', withCart), { step: 'shipping', reason: 'missingShipping' });
+  assert.deepEqual(checkoutTransition('shipping', 'next', shipped), { step: 'payment', reason: '' });
+  assert.deepEqual(checkoutTransition('payment', 'next', shipped), { step: 'payment', reason: '' });
+});
+
+test('back and goto land on a step that can be entered', () => {
+  assert.deepEqual(checkoutTransition('payment', 'back', shipped), { step: 'shipping', reason: '' });
+  assert.deepEqual(checkoutTransition('cart', 'back', empty), { step: 'cart', reason: '' });
+  assert.deepEqual(checkoutTransition('cart', { type: 'goto', step: 'payment' }, withCart), { step: 'shipping', reason: 'missingShipping' });
+  assert.deepEqual(checkoutTransition('cart', { type: 'goto', step: 'nowhere' }, shipped), { step: 'cart', reason: '' });
+});
@@ -0,0 +1,183 @@
+/* Re-checking orders before payment (js/order-check.js), against a small
+   catalog of its own */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  ORDER_CHECK_SECRET_FIELDS,
+  OrderCheckMessages,
+  priceOrderLines,
+  withoutPaymentSecrets,
+  checkOrderSubmission
+} = require('../js/order-check.js');
+const { PaymentMessages } = require('../js/payment-providers.js');
+const { applyPromotions } = require('../js/promotions.js');
+const { Money } = require('../js/money.js');
+
+const image = { src: 'src/images/products/test.png', alt: '' };
+
+const catalog = {
+  categories: [],
+  products: [
+    {
+      sku: 'T-TENT',
+      name: 'Test Tent',
+      category: 'camping',
+      price: 450,
+      images: [image],
+      variants: [
+        { sku: 'T-TENT-2P', options: { size: '2 Person' }, stock: 9, image },
+        { sku: 'T-TENT-3P', options: { size: '3 Person' }, price: 520, stock: 1, image }
+      ],
+      shipping: { weightKg: 2.8, dimensionsCm: [55, 22, 22] }
+    },
+    {
+      sku: 'T-MUG',
+      name: 'Test Mug',
+      category: 'camping',
+      price: 20,
+      stock: 50,
+      images: [image],
+      shipping: { weightKg: 0.3, dimensionsCm: [10, 10, 10] }
+    }
+  ]
+};
+
+const shipping = {
+  firstName: 'Aroha',
+  lastName: 'Ngata',
+  address1: '1 Queen Street',
+  city: 'Auckland',
+  country: 'NZ',
+  postalCode: '1010',
+  phone: '021 123 4567',
+  shippingMethod: 'nz-standard'
+};
+
+/**
+ * A submission with the totals the checkout would have shown for it
+ */
+function submit(overrides = {}) {
+  const submission = {
+    items: [{ sku: 'T-MUG', variant: '', qty: 2 }],
+    promoCode: '',
+    shipping,
+    payment: { paymentMethod: 'paypal' },
+    ...overrides
+  };
+  return { ...submission, totals: checkOrderSubmission(catalog, { ...submission, totals: {} }).totals };
+}
+
+test('an order with the totals it was shown passes', () => {
+  const result = checkOrderSubmission(catalog, submit());
+
+  assert.equal(result.valid, true, JSON.stringify(result.errors));
+  assert.equal(result.lines[0].price, 20);
+  assert.equal(result.shippingMethod.id, 'nz-standard');
+});
+
+test('tampered totals are refused with the real total', () => {
+  const submission = submit();
+  const result = checkOrderSubmission(catalog, { ...submission, totals: { ...submission.totals, total: 1 } });
+
+  assert.equal(result.valid, false);
+  assert.match(result.errors.total, /\d/);
+  assert.deepEqual(Object.keys(result.errors), ['total']);
+});
+
+test('lines are priced from the catalog, never from the submission', () => {
+  const { lines } = priceOrderLines(catalog, [{ sku: 'T-TENT', variant: 'T-TENT-3P', qty: 1, price: 1, name: 'Free tent' }]);
+
+  assert.equal(lines[0].price, 520);
+  assert.equal(lines[0].name, 'Test Tent');
+});
+
+test('lines of the same product and variant share its stock', () => {
+  const { lines, errors } = priceOrderLines(catalog, [
+    { sku: 'T-TENT', variant: 'T-TENT-3P', qty: 1 },
+    { sku: 'T-TENT', variant: 'T-TENT-3P', qty: 1 },
+    { sku: 'T-TENT', variant: 'T-TENT-2P', qty: 1 }
+  ]);
+
+  assert.equal(lines.length, 2);
+  assert.deepEqual(Object.keys(errors), ['items.1.qty']);
+});
+
+test('unknown products and variants are line errors', () => {
+  const { lines, errors } = priceOrderLines(catalog, [
+    { sku: 'NOPE', variant: '', qty: 1 },
+    { sku: 'T-TENT', variant: 'T-TENT-9P', qty: 1 },
+    { sku: 'T-TENT', variant: '', qty: 1 },
+    { sku: 'T-MUG', variant: 'T-TENT-2P', qty: 1 }
+  ]);
+
+  assert.deepEqual(lines, []);
+  assert.ok(errors['items.0.sku']);
+  assert.ok(errors['items.1.variant']);
+  assert.ok(errors['items.2.variant']);
+  assert.ok(errors['items.3.variant']);
+});
+
+test('an empty cart and an unknown payment method are refused', () => {
+  const result = checkOrderSubmission(catalog, submit({ items: [], payment: { paymentMethod: 'toString' } }));
+
+  assert.equal(result.errors.items, OrderCheckMessages.emptyCart);
+  assert.equal(result.errors.paymentMethod, OrderCheckMessages.paymentMethod);
+  assert.equal(checkOrderSubmission(catalog, submit({ payment: { paymentMethod: '__proto__' } })).errors.paymentMethod,
+    OrderCheckMessages.paymentMethod);
+});
+
+test('pay later is refused above its limit', () => {
+  const result = checkOrderSubmission(catalog, submit({
+    items: [{ sku: 'T-TENT', variant: 'T-TENT-2P', qty: 5 }],
+    payment: { paymentMethod: 'paylater', payLaterEmail: 'aroha@example.com' }
+  }));
+
+  assert.ok(result.totals.total > 2000);
+  assert.equal(result.errors.paymentMethod, PaymentMessages.pay_later_limit);
+});
+
+test('a promo code below its minimum spend gives no discount', () => {
+  const plain = checkOrderSubmission(catalog, submit());
+  const result = checkOrderSubmission(catalog, submit({ promoCode: 'KIWI25' }));
+
+  assert.equal(result.valid, true, JSON.stringify(result.errors));
+  assert.ok(result.totals.subtotal < 250);
+  assert.equal(result.totals.discount, plain.totals.discount);
+  assert.equal(result.totals.total, plain.totals.total);
+});
+
+test('card and gift card secrets are never sent on', () => {
+  const payment = {
+    paymentMethod: 'card',
+    cardNumber: '4111 1111 1111 1111',
+    cvv: '123',
+    giftCardNumber: '1234 5678 9012 3456',
+    giftCardPin: '1234',
+    cardHolder: 'Aroha Ngata'
+  };
+  const submission = { items: [], payment };
+  const sent = withoutPaymentSecrets(submission);
+
+  ORDER_CHECK_SECRET_FIELDS.forEach(field => assert.equal(field in sent.payment, false, field));
+  assert.deepEqual(sent.payment, { paymentMethod: 'card', cardHolder: 'Aroha Ngata' });
+  assert.equal(submission.payment.cvv, '123');
+});
+
+test('discounts are split over the lines in whole cents', () => {
+  const lines = [
+    { sku: 'A', category: 'test', price: 99.99, qty: 1 },
+    { sku: 'B', category: 'test', price: 33.37, qty: 3 },
+    { sku: 'C', category: 'test', price: 66.67, qty: 1 }
+  ];
+
+  ['KIWI25', 'WELCOME10'].forEach(code => {
+    const result = applyPromotions(lines, { code, now: Date.parse('2026-01-01') });
+
+    assert.equal(result.code, code);
+    result.lineDiscounts.forEach(amount => assert.equal(Money.add(amount), amount, code));
+    assert.equal(Money.sum(result.lineDiscounts), result.discountTotal);
+  });
+  assert.equal(applyPromotions(lines, { code: 'KIWI25', now: Date.parse('2026-01-01') }).discountTotal, 25);
+});
@@ -0,0 +1,46 @@
+/* Campaign countdown (js/promotions.js) at the times a clock gives it */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { I18n } = require('../js/i18n.js');
+const { PromotionMessages, getCountdownDisplay } = require('../js/promotions.js');
+
+const campaign = {
+  id: 'test-sale',
+  label: 'Test sale',
+  type: 'percent',
+  value: 10,
+  startsAt: '2026-11-01T00:00:00Z',
+  endsAt: '2026-11-03T00:00:00Z'
+};
+
+test('before a campaign the countdown runs to its start', () => {
+  const display = getCountdownDisplay(Date.parse('2026-10-30T22:58:30Z'), [campaign]);
+
+  assert.equal(display.mode, 'upcoming');
+  assert.equal(display.label, PromotionMessages.countdownUpcoming);
+  assert.equal(display.heading, PromotionMessages.countdownStartsIn);
+  assert.deepEqual([display.days, display.hours, display.minutes, display.seconds], [1, 1, 1, 30]);
+  assert.equal(display.urgent, false);
+});
+
+test('a running campaign counts down to its end, urgently in the last hour', () => {
+  const display = getCountdownDisplay(Date.parse('2026-11-02T23:15:00Z'), [campaign]);
+
+  assert.equal(display.mode, 'active');
+  assert.equal(display.promotion, campaign);
+  assert.equal(display.heading, PromotionMessages.countdownEndsIn);
+  assert.deepEqual([display.days, display.hours, display.minutes, display.seconds], [0, 0, 45, 0]);
+  assert.equal(display.urgent, true);
+});
+
+test('after the last campaign there is nothing to count down to', () => {
+  assert.equal(getCountdownDisplay(Date.parse('2026-11-03T00:00:00Z'), [campaign]).mode, 'none');
+});
+
+test('the banner text is translated', () => {
+  ['countdownActive', 'countdownUpcoming', 'countdownEndsIn', 'countdownStartsIn'].forEach(key => {
+    assert.notEqual(I18n.t(`promotions.${key}`, {}, { language: 'mi' }), PromotionMessages[key], key);
+  });
+});
@@ -0,0 +1,125 @@
+/* Validation rules and schemas (js/validation.js), run without a DOM */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  ErrorMessages,
+  createRule,
+  ValidationRules,
+  ValidationSchemas,
+  validateValue,
+  validateValues,
+  validateValuesAsync
+} = require('../js/validation.js');
+
+const nextYear = String((new Date().getFullYear() + 1) % 100).padStart(2, '0');
+
+const address = {
+  firstName: 'Aroha',
+  lastName: 'Ngata',
+  address1: '1 Queen Street',
+  city: 'Auckland',
+  country: 'NZ',
+  postalCode: '1010',
+  phone: '021 123 4567'
+};
+
+const card = {
+  paymentMethod: 'card',
+  cardNumber: '4111 1111 1111 1111',
+  expiry: `12/${nextYear}`,
+  cvv: '123',
+  cardHolder: 'Aroha Ngata'
+};
+
+test('shipping schema accepts a complete New Zealand address', () => {
+  assert.deepEqual(validateValues(ValidationSchemas.shipping, address), { valid: true, errors: {} });
+});
+
+test('shipping schema reports every field in error', () => {
+  const result = validateValues(ValidationSchemas.shipping, { ...address, firstName: '', postalCode: 'ABC' });
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(Object.keys(result.errors).sort(), ['firstName', 'postalCode']);
+  assert.equal(result.errors.firstName, ErrorMessages.required);
+});
+
+test('only countries we ship to are accepted', () => {
+  ['XX', 'constructor', 'toString', '__proto__', ''].forEach(country => {
+    assert.equal(validateValues(ValidationSchemas.shipping, { ...address, country }).errors.country, ErrorMessages.country, country);
+  });
+});
+
+test('postcode and phone follow the country of the address', () => {
+  const australian = { ...address, country: 'AU', state: 'NSW', postalCode: '2000', phone: '0412 345 678' };
+
+  assert.equal(validateValues(ValidationSchemas.shipping, australian).valid, true);
+  assert.ok(validateValues(ValidationSchemas.shipping, { ...australian, postalCode: '20000' }).errors.postalCode);
+});
+
+test('state is only required where the country has states (when)', () => {
+  const australian = { ...address, country: 'AU', postalCode: '2000', phone: '0412 345 678' };
+
+  assert.ok(validateValues(ValidationSchemas.shipping, australian).errors.state);
+  assert.equal('state' in validateValues(ValidationSchemas.shipping, address).errors, false);
+});
+
+test('CVV length depends on the card number (cross-field rule)', () => {
+  const amex = { ...card, cardNumber: '3782 822463 10005' };
+
+  assert.equal(validateValues(ValidationSchemas.payment, card).valid, true);
+  assert.ok(validateValue(ValidationSchemas.payment, 'cvv', amex).message.includes('4-digit'));
+  assert.equal(validateValue(ValidationSchemas.payment, 'cvv', { ...amex, cvv: '1234' }).valid, true);
+});
+
+test('payment fields only apply to the selected method (when)', () => {
+  const payLater = { paymentMethod: 'paylater', payLaterEmail: 'aroha@example.co.nz' };
+
+  assert.deepEqual(validateValues(ValidationSchemas.payment, payLater), { valid: true, errors: {} });
+  assert.deepEqual(Object.keys(validateValues(ValidationSchemas.payment, { paymentMethod: 'card' }).errors).sort(),
+    ['cardHolder', 'cardNumber', 'cvv', 'expiry']);
+});
+
+test('a rule message replaces the rule\'s own one', () => {
+  const schema = { nickname: [ValidationRules.length(2, 5, 'Two to five letters')] };
+
+  assert.deepEqual(validateValues(schema, { nickname: 'A' }).errors, { nickname: 'Two to five letters' });
+  assert.equal(validateValues(schema, { nickname: 'Aroha' }).valid, true);
+});
+
+test('rules run in order and stop at the first failure', () => {
+  const calls = [];
+  const schema = {
+    code: [
+      createRule(value => { calls.push('first'); return value !== ''; }, { message: 'Required' }),
+      createRule(() => { calls.push('second'); return true; })
+    ]
+  };
+
+  assert.equal(validateValue(schema, 'code', { code: '' }).message, 'Required');
+  assert.deepEqual(calls, ['first']);
+});
+
+test('async rules run after the synchronous ones pass', async () => {
+  const checked = [];
+  const schema = {
+    email: [
+      ValidationRules.email(),
+      ValidationRules.async(async value => {
+        checked.push(value);
+        return value !== 'taken@example.com';
+      }, 'This email is already subscribed')
+    ]
+  };
+
+  assert.deepEqual(await validateValuesAsync(schema, { email: 'bad' }), { valid: false, errors: { email: ErrorMessages.email } });
+  assert.deepEqual(checked, []);
+
+  assert.deepEqual(await validateValuesAsync(schema, { email: 'taken@example.com' }),
+    { valid: false, errors: { email: 'This email is already subscribed' } });
+  assert.equal((await validateValuesAsync(schema, { email: 'new@example.com' })).valid, true);
+
+  // The synchronous validators skip async rules
+  assert.equal(validateValues(schema, { email: 'taken@example.com' }).valid, true);
+});